@@ -0,0 +1,110 @@
+/**
+ * ChapterController - Tracks and navigates the chapters of the current media
+ */
+
+import { eventBus } from '../core/EventBus.js';
+import { EVENTS, PLAYER_CONFIG } from '../utils/constants.js';
+
+export class ChapterController {
+    constructor(mediaController) {
+        this.mediaController = mediaController;
+
+        // { start, end, title }, from a WebVTT chapters file
+        this.chapters = [];
+        this.currentIndex = -1;
+
+        this.init();
+    }
+
+    init() {
+        this.subscribeToEvents();
+    }
+
+    subscribeToEvents() {
+        eventBus.on(EVENTS.CHAPTERS_LOAD, ({ chapters }) => this.setChapters(chapters));
+        eventBus.on(EVENTS.TIME_UPDATE, ({ currentTime }) => this.update(currentTime));
+    }
+
+    /**
+     * @param {Array<{start: number, end: number, title: string}>} chapters
+     */
+    setChapters(chapters) {
+        this.chapters = [...chapters].sort((a, b) => a.start - b.start);
+        this.currentIndex = -1;
+        this.update(this.mediaController.currentTime, true);
+    }
+
+    /**
+     * Update the current chapter for a playback position
+     * @param {number} time - Track time
+     * @param {boolean} [force] - Emit even if the chapter didn't change
+     */
+    update(time, force = false) {
+        const index = this.getChapterIndexAt(time);
+        if (index === this.currentIndex && !force) return;
+
+        this.currentIndex = index;
+        eventBus.emit(EVENTS.CHAPTER_CHANGE, {
+            chapters: this.chapters,
+            index,
+            chapter: this.currentChapter,
+        });
+    }
+
+    /**
+     * @param {number} time - Track time
+     * @returns {number} Index of the chapter playing at that time, or -1 between/before chapters
+     */
+    getChapterIndexAt(time) {
+        return this.chapters.findLastIndex(({ start, end }) => time >= start && time < end);
+    }
+
+    // --- Navigation ---
+
+    /**
+     * @param {number} index
+     * @returns {Object|null} The chapter sought to
+     */
+    seekToChapter(index) {
+        const chapter = this.chapters[index];
+        if (!chapter) return null;
+
+        this.mediaController.seek(chapter.start);
+        this.update(chapter.start);
+        return chapter;
+    }
+
+    /**
+     * @returns {Object|null} The chapter jumped to
+     */
+    nextChapter() {
+        const current = this.mediaController.currentTime;
+        const index = this.chapters.findIndex(({ start }) => start > current);
+
+        return index < 0 ? null : this.seekToChapter(index);
+    }
+
+    /**
+     * Go back to the start of the current chapter, or to the previous one
+     * when already near its start
+     * @returns {Object|null} The chapter jumped to
+     */
+    previousChapter() {
+        const limit = this.mediaController.currentTime - PLAYER_CONFIG.CHAPTER_RESTART_THRESHOLD;
+        const index = this.chapters.findLastIndex(({ start }) => start < limit);
+
+        return index < 0 ? this.seekToChapter(0) : this.seekToChapter(index);
+    }
+
+    // --- Getters ---
+
+    get hasChapters() {
+        return this.chapters.length > 0;
+    }
+
+    get currentChapter() {
+        return this.chapters[this.currentIndex] || null;
+    }
+}
+
+export default ChapterController;
@@ -100,12 +100,86 @@ export class KeyboardController {
                 }
                 break;
 
-            // Subtitles toggle
+            // Subtitles toggle / styled-plain ASS rendering
             case 'c':
                 e.preventDefault();
-                this.player.subtitleController?.toggle();
+                if (e.shiftKey) {
+                    this.player.subtitleController?.toggleRenderMode();
+                } else {
+                    this.player.subtitleController?.toggle();
+                }
+                break;
+
+            // Subtitle delay (Ctrl/Cmd+G and Ctrl+H stay with the browser)
+            case 'g':
+            case 'h': {
+                if (e.ctrlKey || e.metaKey) break;
+                e.preventDefault();
+                const step = e.shiftKey
+                    ? PLAYER_CONFIG.SUBTITLE_DELAY_STEP_LARGE
+                    : PLAYER_CONFIG.SUBTITLE_DELAY_STEP;
+                this.player.subtitleController?.adjustDelay(key === 'g' ? -step : step);
+                break;
+            }
+
+            // Sync next subtitle cue to now / cycle framerate stretch
+            case 's':
+                if (e.ctrlKey || e.metaKey) break;
+                e.preventDefault();
+                if (e.shiftKey) {
+                    this.player.subtitleController?.cycleFramerateStretch();
+                } else {
+                    this.player.subtitleController?.syncToNextCue();
+                }
+                break;
+
+            // A-B loop points
+            case '[':
+                e.preventDefault();
+                this.player.mediaController?.setLoopStart();
+                break;
+
+            case ']':
+                e.preventDefault();
+                this.player.mediaController?.setLoopEnd();
+                break;
+
+            case '\\':
+                e.preventDefault();
+                this.player.mediaController?.clearLoop();
+                break;
+
+            // Frame stepping (pauses)
+            case ',':
+            case '.':
+                e.preventDefault();
+                this.handleFrameStep(key === '.' ? 1 : -1);
                 break;
 
+            // Playback speed
+            case '<':
+            case '>':
+                e.preventDefault();
+                this.handleSpeedStep(key === '>' ? 1 : -1);
+                break;
+
+            // Bookmarks: add, previous / next
+            case 'b':
+                if (e.ctrlKey || e.metaKey) break;
+                e.preventDefault();
+                this.handleAddBookmark();
+                break;
+
+            // Shift: previous / next chapter (the page scrolls when there is nothing to jump to)
+            case 'pageup':
+            case 'pagedown': {
+                const jumped = e.shiftKey
+                    ? this.handleChapterJump(key === 'pageup')
+                    : this.handleBookmarkJump(key === 'pageup');
+                if (jumped) e.preventDefault();
+                break;
+            }
+
             // Escape - exit fullscreen
             case 'escape':
                 if (this.player.fullscreenController?.isFullscreen) {
@@ -145,12 +219,97 @@ export class KeyboardController {
                 }
                 break;
 
+            // Undo / redo playlist edits
+            case 'z':
+                if (e.ctrlKey || e.metaKey) {
+                    e.preventDefault();
+                    this.handleUndo(e.shiftKey);
+                }
+                break;
+
+            case 'y':
+                if (e.ctrlKey || e.metaKey) {
+                    e.preventDefault();
+                    this.handleUndo(true);
+                }
+                break;
+
             default:
                 // Unhandled key
                 break;
         }
     }
 
+    /**
+     * @param {boolean} isRedo
+     */
+    handleUndo(isRedo) {
+        const playlistManager = this.player.playlistManager;
+        if (!playlistManager) return;
+
+        const done = isRedo ? playlistManager.redo() : playlistManager.undo();
+        if (!done) {
+            this.player.uiManager?.showOsd(isRedo ? 'Nothing to redo' : 'Nothing to undo');
+        }
+    }
+
+    handleAddBookmark() {
+        if (!this.player.bookmarkManager?.addBookmark()) {
+            this.player.uiManager?.showOsd('Nothing to bookmark');
+        }
+    }
+
+    /**
+     * @param {boolean} isPrevious
+     * @returns {Object|null} The bookmark jumped to
+     */
+    handleBookmarkJump(isPrevious) {
+        const bookmarkManager = this.player.bookmarkManager;
+        if (!bookmarkManager) return null;
+
+        const bookmark = isPrevious ? bookmarkManager.jumpToPrevious() : bookmarkManager.jumpToNext();
+        this.player.uiManager?.showOsd(bookmark ? bookmark.name : 'No more bookmarks');
+        return bookmark;
+    }
+
+    /**
+     * @param {number} frames - Negative to step back
+     */
+    handleFrameStep(frames) {
+        const mediaController = this.player.mediaController;
+        if (!mediaController) return;
+
+        const frame = mediaController.stepFrame(frames);
+        this.player.uiManager?.showOsd(frame === null ? 'Frame stepping needs a video' : `Frame ${frame}`);
+    }
+
+    /**
+     * @param {number} steps - Negative to slow down
+     */
+    handleSpeedStep(steps) {
+        const mediaController = this.player.mediaController;
+        if (!mediaController) return;
+
+        mediaController.stepPlaybackRate(steps);
+        this.player.uiManager?.showOsd(`Speed ${mediaController.getPlaybackRate()}x`);
+    }
+
+    /**
+     * @param {boolean} isPrevious
+     * @returns {Object|null} The chapter jumped to
+     */
+    handleChapterJump(isPrevious) {
+        const chapterController = this.player.chapterController;
+        if (!chapterController?.hasChapters) {
+            this.player.uiManager?.showOsd('No chapters');
+            return null;
+        }
+
+        const chapter = isPrevious ? chapterController.previousChapter() : chapterController.nextChapter();
+        this.player.uiManager?.showOsd(chapter ? chapter.title : 'No more chapters');
+        return chapter;
+    }
+
     /**
      * Enable keyboard shortcuts
      */
@@ -179,9 +338,23 @@ export class KeyboardController {
             { key: 'F', action: 'Toggle Fullscreen' },
             { key: 'Shift + P', action: 'Toggle Picture-in-Picture' },
             { key: 'C', action: 'Toggle Subtitles' },
+            { key: 'Shift + C', action: 'Styled / Plain ASS Subtitles' },
+            { key: 'G / H', action: `Subtitle Delay -/+ ${PLAYER_CONFIG.SUBTITLE_DELAY_STEP * 1000}ms` },
+            { key: 'Shift + G / H', action: `Subtitle Delay -/+ ${PLAYER_CONFIG.SUBTITLE_DELAY_STEP_LARGE}s` },
+            { key: 'S', action: 'Sync Next Subtitle to Now' },
+            { key: 'Shift + S', action: 'Cycle Subtitle Framerate' },
+            { key: ', / .', action: 'Previous / Next Frame (paused)' },
+            { key: '< / >', action: `Speed -/+ ${PLAYER_CONFIG.SPEED_STEP}x` },
+            { key: '[ / ]', action: 'Set Loop Point A / B' },
+            { key: '\\', action: 'Clear A-B Loop' },
+            { key: 'B', action: 'Add Bookmark' },
+            { key: 'Page Up / Page Down', action: 'Previous / Next Bookmark' },
+            { key: 'Shift + Page Up / Page Down', action: 'Previous / Next Chapter' },
             { key: '0-9', action: 'Seek to 0%-90%' },
             { key: 'N', action: 'Next Track' },
             { key: 'Shift + N', action: 'Previous Track' },
+            { key: 'Ctrl + Z', action: 'Undo Playlist Edit' },
+            { key: 'Ctrl + Shift + Z / Ctrl + Y', action: 'Redo Playlist Edit' },
         ];
     }
 }
@@ -4,11 +4,36 @@
 
 import { eventBus } from '../core/EventBus.js';
 import { stateManager } from '../core/StateManager.js';
-import { EVENTS, PLAYER_CONFIG } from '../utils/constants.js';
+import { EVENTS, PLAYER_CONFIG, MEDIA_TYPE } from '../utils/constants.js';
+import { clamp, getMediaIdentity, storageMapGet, storageMapSet } from '../utils/helpers.js';
+
+const { STORAGE_KEYS } = PLAYER_CONFIG;
 
 export class MediaController {
     constructor(mediaElement) {
         this.media = mediaElement;
+
+        // CUE tracks play a { start, end } part of their file; times reported
+        // to the rest of the player are relative to the segment
+        this.segment = null;
+        this.segmentEnded = false;
+
+        // A-B loop points in track time (null when unset), how many times the
+        // section plays (0 = until cleared) and the pause before each repeat
+        this.loop = { a: null, b: null };
+        this.loopRepeats = 0;
+        this.loopPause = 0;
+        this.loopCount = 0;
+        this.loopResumeTimeout = null;
+        // Position at the previous time update, to tell playing across B from seeking past it
+        this.lastTime = 0;
+
+        // Identity of the loaded file, for its saved speed (null if it can't be identified)
+        this.trackIdentity = null;
+
+        // Pending requestVideoFrameCallback of the frame rate detection
+        this.frameCallbackId = null;
+
         this.init();
     }
 
@@ -29,14 +54,18 @@ export class MediaController {
         this.media.addEventListener('error', (e) => this.handleError(e));
 
         // EventBus listeners
-        eventBus.on(EVENTS.TRACK_CHANGE, (data) => this.loadTrack(data.track));
+        eventBus.on(EVENTS.TRACK_CHANGE, (data) =>
+            this.loadTrack(data.track, data.autoPlay ?? true, data.startTime || 0)
+        );
     }
 
     restorePlaybackRate() {
         const savedRate = stateManager.get('playbackRate');
         if (savedRate) {
+            this.media.defaultPlaybackRate = savedRate;
             this.media.playbackRate = savedRate;
         }
+        this.media.preservesPitch = stateManager.get('preservesPitch');
     }
 
     // --- Playback Methods ---
@@ -64,7 +93,7 @@ export class MediaController {
 
     stop() {
         this.pause();
-        this.media.currentTime = 0;
+        this.media.currentTime = this.segmentStart;
         stateManager.set({ isPlaying: false, currentTime: 0 });
         eventBus.emit(EVENTS.STOP);
     }
@@ -73,13 +102,14 @@ export class MediaController {
 
     seek(time) {
         if (!isNaN(this.media.duration)) {
-            this.media.currentTime = Math.max(0, Math.min(time, this.media.duration));
-            eventBus.emit(EVENTS.SEEK, { time: this.media.currentTime });
+            this.media.currentTime = this.segmentStart + Math.max(0, Math.min(time, this.duration));
+            this.lastTime = this.currentTime;
+            eventBus.emit(EVENTS.SEEK, { time: this.currentTime });
         }
     }
 
     seekBy(seconds) {
-        this.seek(this.media.currentTime + seconds);
+        this.seek(this.currentTime + seconds);
     }
 
     skipBackward() {
@@ -92,54 +122,352 @@ export class MediaController {
 
     seekToPercent(percent) {
         if (!isNaN(this.media.duration)) {
-            this.seek((percent / 100) * this.media.duration);
+            this.seek((percent / 100) * this.duration);
+        }
+    }
+
+    // --- Frame Stepping ---
+
+    /**
+     * Step whole frames while paused (pausing first if needed)
+     * @param {number} frames - Negative to step back
+     * @returns {number|null} The frame now shown, or null for audio
+     */
+    stepFrame(frames) {
+        if (!this.canStepFrames) return null;
+
+        this.pause();
+        return this.seekToFrame(this.currentFrame + frames);
+    }
+
+    /**
+     * @param {number} frame - Frame number, counted from 0
+     * @returns {number|null} The frame sought to, or null for audio
+     */
+    seekToFrame(frame) {
+        if (!this.canStepFrames) return null;
+
+        const fps = this.frameRate;
+        const lastFrame = Math.max(0, Math.ceil(this.duration * fps) - 1);
+        const target = clamp(Math.round(frame), 0, lastFrame);
+
+        // Aim at the middle of the frame, so rounding can't land on its neighbour
+        this.seek((target + 0.5) / fps);
+        return target;
+    }
+
+    /**
+     * Time the frames of the playing video to find its frame rate
+     */
+    detectFrameRate() {
+        if (this.frameCallbackId !== null) {
+            this.media.cancelVideoFrameCallback(this.frameCallbackId);
+            this.frameCallbackId = null;
+        }
+        stateManager.set({ detectedFrameRate: null }, EVENTS.TIME_DISPLAY_CHANGE);
+
+        if (!this.canStepFrames || !('requestVideoFrameCallback' in this.media)) return;
+
+        const frameDurations = [];
+        let previous = null;
+
+        const onFrame = (now, { mediaTime, presentedFrames }) => {
+            // Only frames presented one after the other; seeks and dropped frames would skew the timing
+            if (previous && presentedFrames - previous.presentedFrames === 1 && mediaTime > previous.mediaTime) {
+                frameDurations.push(mediaTime - previous.mediaTime);
+            }
+            previous = { mediaTime, presentedFrames };
+
+            if (frameDurations.length < PLAYER_CONFIG.FRAME_RATE_SAMPLES) {
+                this.frameCallbackId = this.media.requestVideoFrameCallback(onFrame);
+                return;
+            }
+
+            this.frameCallbackId = null;
+            stateManager.set({ detectedFrameRate: toFrameRate(frameDurations) }, EVENTS.TIME_DISPLAY_CHANGE);
+        };
+
+        this.frameCallbackId = this.media.requestVideoFrameCallback(onFrame);
+    }
+
+    /**
+     * Frame rate assumed for videos whose frame rate can't be detected
+     * @param {number} fps
+     */
+    setFallbackFrameRate(fps) {
+        if (fps > 0) {
+            stateManager.set({ frameRate: fps }, EVENTS.TIME_DISPLAY_CHANGE);
         }
     }
 
     // --- Playback Rate Methods ---
 
+    /**
+     * Set the playback speed. Media with a file or media type default only
+     * keep it until the next track; otherwise it becomes the general speed.
+     * @param {number} rate - Clamped to SPEED_MIN..SPEED_MAX
+     */
     setPlaybackRate(rate) {
-        if (PLAYER_CONFIG.PLAYBACK_SPEEDS.includes(rate)) {
-            this.media.playbackRate = rate;
-            stateManager.set({ playbackRate: rate }, EVENTS.SPEED_CHANGE);
-        }
+        if (!Number.isFinite(rate)) return;
+
+        const speed = Math.round(clamp(rate, PLAYER_CONFIG.SPEED_MIN, PLAYER_CONFIG.SPEED_MAX) * 100) / 100;
+        this.applyPlaybackRate(speed, this.speedDefault === null ? { generalSpeed: speed } : {});
+    }
+
+    /**
+     * Speed up or slow down by SPEED_STEP
+     * @param {number} steps - Negative to slow down
+     */
+    stepPlaybackRate(steps) {
+        // Snap to the step grid, so 1.12x goes to 1.15x rather than 1.17x
+        const current = Math.round(this.media.playbackRate / PLAYER_CONFIG.SPEED_STEP);
+        this.setPlaybackRate((current + steps) * PLAYER_CONFIG.SPEED_STEP);
     }
 
     cyclePlaybackRate() {
         const currentRate = this.media.playbackRate;
         const speeds = PLAYER_CONFIG.PLAYBACK_SPEEDS;
-        const currentIndex = speeds.indexOf(currentRate);
-        const nextIndex = (currentIndex + 1) % speeds.length;
-        this.setPlaybackRate(speeds[nextIndex]);
+        this.setPlaybackRate(speeds.find((speed) => speed > currentRate) ?? speeds[0]);
+    }
+
+    /**
+     * @param {number} rate
+     * @param {Object} [updates] - Other state to set along with it
+     */
+    applyPlaybackRate(rate, updates = {}) {
+        // load() resets playbackRate to defaultPlaybackRate
+        this.media.defaultPlaybackRate = rate;
+        this.media.playbackRate = rate;
+        stateManager.set({ playbackRate: rate, ...updates }, EVENTS.SPEED_CHANGE);
+    }
+
+    /**
+     * Keep the pitch of sped up or slowed down audio (otherwise it shifts with the speed)
+     * @param {boolean} enabled
+     */
+    setPreservesPitch(enabled) {
+        this.media.preservesPitch = enabled;
+        stateManager.set({ preservesPitch: enabled }, EVENTS.SPEED_CHANGE);
+    }
+
+    togglePreservesPitch() {
+        this.setPreservesPitch(!stateManager.get('preservesPitch'));
+    }
+
+    // --- Speed Defaults ---
+
+    /**
+     * Always play the current file at the current speed, or stop doing so
+     * @param {boolean} enabled
+     * @returns {boolean} False if the file can't be identified
+     */
+    setTrackSpeedDefault(enabled) {
+        if (!this.trackIdentity) return false;
+
+        const speed = enabled ? this.media.playbackRate : null;
+        storageMapSet(
+            STORAGE_KEYS.TRACK_SPEEDS,
+            this.trackIdentity,
+            enabled ? { speed } : null,
+            PLAYER_CONFIG.TRACK_SPEEDS_MAX_ENTRIES
+        );
+        stateManager.set({ trackSpeed: speed }, EVENTS.SPEED_CHANGE);
+        return true;
+    }
+
+    /**
+     * Always play media of the current type (audio or video) at the current speed, or stop doing so
+     * @param {boolean} enabled
+     */
+    setMediaTypeSpeedDefault(enabled) {
+        const mediaType = stateManager.get('mediaType');
+        const speeds = { ...stateManager.get('mediaTypeSpeeds') };
+
+        if (enabled) {
+            speeds[mediaType] = this.media.playbackRate;
+        } else {
+            delete speeds[mediaType];
+        }
+        stateManager.set({ mediaTypeSpeeds: speeds }, EVENTS.SPEED_CHANGE);
+    }
+
+    /**
+     * Switch to the loaded track's default speed, or back to the general speed
+     * @param {Object} track
+     */
+    applySpeedDefault(track) {
+        this.trackIdentity = getMediaIdentity(track);
+        const saved = this.trackIdentity ? storageMapGet(STORAGE_KEYS.TRACK_SPEEDS, this.trackIdentity) : null;
+
+        stateManager.set({ trackSpeed: saved?.speed ?? null });
+        this.applyPlaybackRate(this.speedDefault ?? stateManager.get('generalSpeed'));
     }
 
     getPlaybackRate() {
         return this.media.playbackRate;
     }
 
+    // --- A-B Loop ---
+
+    /**
+     * Set loop point A; a B that is no longer after it is dropped
+     * @param {number} [time] - Track time, defaults to the current position
+     */
+    setLoopStart(time = this.currentTime) {
+        const { b } = this.loop;
+        this.setLoop(time, b !== null && b - time >= PLAYER_CONFIG.AB_LOOP_MIN_LENGTH ? b : null, 'start');
+    }
+
+    /**
+     * Set loop point B (A defaults to the start); a B before A swaps the two
+     * @param {number} [time] - Track time, defaults to the current position
+     */
+    setLoopEnd(time = this.currentTime) {
+        const a = this.loop.a ?? 0;
+        if (Math.abs(time - a) < PLAYER_CONFIG.AB_LOOP_MIN_LENGTH) return;
+
+        this.setLoop(Math.min(a, time), Math.max(a, time), 'end');
+    }
+
+    clearLoop() {
+        const hadLoop = this.loop.a !== null || this.loop.b !== null;
+        this.setLoop(null, null, hadLoop ? 'clear' : null);
+    }
+
+    /**
+     * @param {number} repeats - Times the section plays, 0 to loop until cleared
+     */
+    setLoopRepeats(repeats) {
+        this.loopRepeats = Math.max(0, repeats);
+        this.emitLoopChange(null);
+    }
+
+    /**
+     * @param {number} seconds - Pause before each repeat
+     */
+    setLoopPause(seconds) {
+        this.loopPause = Math.max(0, seconds);
+        this.emitLoopChange(null);
+    }
+
+    /**
+     * @param {number|null} a
+     * @param {number|null} b
+     * @param {string|null} reason - What changed, for on-screen feedback
+     */
+    setLoop(a, b, reason) {
+        const toTrackTime = (time) => (time === null ? null : clamp(time, 0, this.duration || time));
+
+        this.loop = { a: toTrackTime(a), b: toTrackTime(b) };
+        this.loopCount = 0;
+        this.cancelLoopResume();
+        this.emitLoopChange(reason);
+    }
+
+    /**
+     * @param {string|null} reason
+     */
+    emitLoopChange(reason) {
+        eventBus.emit(EVENTS.LOOP_CHANGE, { ...this.getLoopState(), reason });
+    }
+
+    /**
+     * @returns {Object} { a, b, repeats, pause, count }
+     */
+    getLoopState() {
+        return {
+            ...this.loop,
+            repeats: this.loopRepeats,
+            pause: this.loopPause,
+            count: this.loopCount,
+        };
+    }
+
+    /**
+     * Go back to A after a pass through the section
+     * @returns {boolean} Whether playback went back; false once the repeats are used up
+     */
+    repeatLoop() {
+        const passes = this.loopCount + 1;
+        if (this.loopRepeats > 0 && passes >= this.loopRepeats) {
+            // Done: playback carries on past B
+            this.setLoop(null, null, 'finished');
+            return false;
+        }
+
+        this.loopCount = passes;
+        this.seek(this.loop.a);
+
+        if (this.loopPause > 0) {
+            this.pause();
+            this.loopResumeTimeout = setTimeout(() => {
+                this.loopResumeTimeout = null;
+                this.play();
+            }, this.loopPause * 1000);
+        } else if (this.media.paused) {
+            this.play();
+        }
+
+        this.emitLoopChange('repeat');
+        return true;
+    }
+
+    cancelLoopResume() {
+        clearTimeout(this.loopResumeTimeout);
+        this.loopResumeTimeout = null;
+    }
+
     // --- Track Loading ---
 
-    loadTrack(track, autoPlay = true) {
+    /**
+     * Load a track into the media element
+     * @param {Object} track
+     * @param {boolean} autoPlay - Start playing once ready
+     * @param {number} startTime - Position to seek to once metadata is loaded
+     */
+    loadTrack(track, autoPlay = true, startTime = 0) {
         if (!track || !track.url) return;
 
-        // Revoke previous blob URL if exists
+        // Loop points belong to the previous track
+        this.clearLoop();
+        this.lastTime = startTime;
+
+        // Another CUE track of the loaded file: seek instead of reloading
+        const isLoaded = this.media.src === track.url && this.media.readyState >= HTMLMediaElement.HAVE_METADATA;
+        if (track.segment && isLoaded) {
+            this.switchSegment(track, autoPlay, startTime);
+            return;
+        }
+
+        this.segment = track.segment || null;
+        this.segmentEnded = false;
+
+        // Revoke the previous blob URL unless a track of any playlist still uses it
         const currentSrc = this.media.src;
-        if (currentSrc && currentSrc.startsWith('blob:')) {
+        const isInPlaylist = stateManager
+            .get('playlists')
+            .some((entry) => entry.tracks.some((item) => item.url === currentSrc));
+        if (currentSrc && currentSrc.startsWith('blob:') && !isInPlaylist) {
             URL.revokeObjectURL(currentSrc);
         }
 
         this.media.src = track.url;
         this.media.load();
 
-        stateManager.set({
-            currentSrc: track.url,
-            mediaTitle: track.name || 'Unknown',
-            mediaArtist: track.artist || '',
-            mediaCover: track.cover || null,
-            mediaType: track.type,
-        });
-
-        eventBus.emit(EVENTS.MEDIA_LOAD, { track });
+        this.setTrackState(track);
+        this.detectFrameRate();
+        eventBus.emit(EVENTS.MEDIA_LOAD, { track, startTime });
+
+        const position = this.segmentStart + startTime;
+        if (position > 0) {
+            this.media.addEventListener(
+                'loadedmetadata',
+                () => {
+                    this.media.currentTime = Math.min(position, this.media.duration || position);
+                },
+                { once: true }
+            );
+        }
 
         // Auto-play when ready
         if (autoPlay) {
@@ -151,6 +479,45 @@ export class MediaController {
         }
     }
 
+    /**
+     * Move to another CUE track of the file that is already loaded
+     * @param {Object} track
+     * @param {boolean} autoPlay
+     * @param {number} startTime - Position within the track
+     */
+    switchSegment(track, autoPlay, startTime) {
+        this.segment = track.segment;
+        this.segmentEnded = false;
+
+        // Running on from the previous track needs no seek
+        const position = this.segmentStart + startTime;
+        if (Math.abs(this.media.currentTime - position) > PLAYER_CONFIG.SEGMENT_SEEK_TOLERANCE) {
+            this.media.currentTime = position;
+        }
+
+        this.setTrackState(track);
+        eventBus.emit(EVENTS.MEDIA_LOAD, { track, startTime });
+        this.handleLoadedMetadata();
+
+        if (autoPlay) {
+            this.play();
+        }
+    }
+
+    /**
+     * @param {Object} track
+     */
+    setTrackState(track) {
+        stateManager.set({
+            currentSrc: track.url,
+            mediaTitle: track.name || 'Unknown',
+            mediaArtist: track.artist || '',
+            mediaCover: track.cover || null,
+            mediaType: track.type,
+        });
+        this.applySpeedDefault(track);
+    }
+
     loadSource(url, metadata = {}) {
         const track = {
             url,
@@ -158,6 +525,7 @@ export class MediaController {
             artist: metadata.artist || '',
             cover: metadata.cover || null,
             type: metadata.type || 'video',
+            subtitles: metadata.subtitles || [],
         };
         this.loadTrack(track);
     }
@@ -165,6 +533,8 @@ export class MediaController {
     // --- Event Handlers ---
 
     handlePlay() {
+        // Playing during the pause between repeats skips the rest of the wait
+        this.cancelLoopResume();
         stateManager.set({ isPlaying: true }, EVENTS.PLAY);
     }
 
@@ -173,7 +543,17 @@ export class MediaController {
     }
 
     handleEnded() {
-        stateManager.set({ isPlaying: false });
+        // B at the very end of the track: loop instead of moving on
+        if (this.isLooping && this.duration - this.loop.b < PLAYER_CONFIG.AB_LOOP_MIN_LENGTH) {
+            // Already back at A when a time update got there first
+            if (this.currentTime < this.loop.b) return;
+            if (this.repeatLoop()) return;
+        }
+
+        // A CUE track ending mid-file leaves the element playing
+        if (this.media.ended) {
+            stateManager.set({ isPlaying: false });
+        }
         eventBus.emit(EVENTS.ENDED);
 
         // Auto-advance to next track
@@ -182,25 +562,42 @@ export class MediaController {
             stateManager.setCurrentTrack(nextIndex);
             // Small delay before playing next track
             setTimeout(() => this.play(), 100);
+        } else if (!this.media.ended) {
+            this.pause();
         }
     }
 
     handleTimeUpdate() {
+        // Playing across B (not seeking past it) goes back to A
+        const crossedLoopEnd = this.isLooping && this.lastTime <= this.loop.b && this.currentTime >= this.loop.b;
+        this.lastTime = this.currentTime;
+        if (crossedLoopEnd && this.repeatLoop()) return;
+
+        // The end of a CUE track counts as the end of the media
+        if (this.segment?.end != null && this.media.currentTime >= this.segment.end) {
+            if (!this.segmentEnded) {
+                this.segmentEnded = true;
+                this.handleEnded();
+            }
+            return;
+        }
+        this.segmentEnded = false;
+
         stateManager.set({
-            currentTime: this.media.currentTime,
+            currentTime: this.currentTime,
         });
         eventBus.emit(EVENTS.TIME_UPDATE, {
-            currentTime: this.media.currentTime,
-            duration: this.media.duration,
+            currentTime: this.currentTime,
+            duration: this.duration,
         });
     }
 
     handleLoadedMetadata() {
         stateManager.set({
-            duration: this.media.duration,
+            duration: this.duration,
         });
         eventBus.emit(EVENTS.DURATION_CHANGE, {
-            duration: this.media.duration,
+            duration: this.duration,
         });
     }
 
@@ -236,11 +633,51 @@ export class MediaController {
     // --- Getters ---
 
     get currentTime() {
-        return this.media.currentTime;
+        return Math.max(0, this.media.currentTime - this.segmentStart);
     }
 
     get duration() {
-        return this.media.duration || 0;
+        const end = this.segment?.end ?? this.media.duration;
+        return Math.max(0, (end || 0) - this.segmentStart);
+    }
+
+    /**
+     * Offset of the current CUE track in its file (0 for whole files)
+     */
+    get segmentStart() {
+        return this.segment?.start || 0;
+    }
+
+    /**
+     * Speed the current media defaults to: its file's, else its media type's, else null
+     * @returns {number|null}
+     */
+    get speedDefault() {
+        const mediaType = stateManager.get('mediaType');
+        return stateManager.get('trackSpeed') ?? stateManager.get('mediaTypeSpeeds')[mediaType] ?? null;
+    }
+
+    /**
+     * Detected frame rate of the video, or the configured fallback
+     * @returns {number}
+     */
+    get frameRate() {
+        return stateManager.get('detectedFrameRate') || stateManager.get('frameRate');
+    }
+
+    /**
+     * @returns {number} Frame shown at the current position, counted from 0
+     */
+    get currentFrame() {
+        return Math.floor(this.currentTime * this.frameRate + 1e-6);
+    }
+
+    get canStepFrames() {
+        return stateManager.get('mediaType') === MEDIA_TYPE.VIDEO && this.media.tagName === 'VIDEO';
+    }
+
+    get isLooping() {
+        return this.loop.a !== null && this.loop.b !== null;
     }
 
     get isPlaying() {
@@ -252,4 +689,20 @@ export class MediaController {
     }
 }
 
+/**
+ * Frame rate from timed frame durations: the median, snapped to the nearest
+ * standard rate when within 1% of it
+ * @param {Array<number>} frameDurations - Seconds per frame
+ * @returns {number}
+ */
+function toFrameRate(frameDurations) {
+    const sorted = [...frameDurations].sort((a, b) => a - b);
+    const fps = 1 / sorted[Math.floor(sorted.length / 2)];
+    const nearest = PLAYER_CONFIG.FRAME_RATES.reduce((best, rate) =>
+        Math.abs(rate - fps) < Math.abs(best - fps) ? rate : best
+    );
+
+    return Math.abs(nearest - fps) / nearest < 0.01 ? nearest : Math.round(fps * 1000) / 1000;
+}
+
 export default MediaController;
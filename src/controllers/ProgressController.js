@@ -4,13 +4,19 @@
 
 import { eventBus } from '../core/EventBus.js';
 import { stateManager } from '../core/StateManager.js';
-import { EVENTS } from '../utils/constants.js';
-import { formatTime, clamp, isTouchDevice } from '../utils/helpers.js';
+import { EVENTS, PLAYER_CONFIG, MEDIA_TYPE, TIME_DISPLAY_MODE } from '../utils/constants.js';
+import { formatTime, formatTimecode, clamp, isTouchDevice, createElement } from '../utils/helpers.js';
 
 export class ProgressController {
     constructor(elements, mediaController) {
         this.mediaController = mediaController;
-        this.elements = elements; // { progressBar, progressFill, progressBuffer, tooltip, currentTime, duration }
+        // { progressBar, progressFill, progressBuffer, progressLoop, progressMarkers, progressChapters,
+        //   tooltip, currentTime, duration }
+        this.elements = elements;
+
+        this.loop = { a: null, b: null };
+        this.bookmarks = [];
+        this.chapters = [];
 
         this.isDragging = false;
         this.isTouch = isTouchDevice();
@@ -52,7 +58,29 @@ export class ProgressController {
 
     subscribeToEvents() {
         eventBus.on(EVENTS.TIME_UPDATE, (data) => this.updateProgress(data));
-        eventBus.on(EVENTS.DURATION_CHANGE, (data) => this.updateDuration(data));
+        eventBus.on(EVENTS.DURATION_CHANGE, (data) => {
+            this.updateDuration(data);
+            this.updateLoop();
+            this.updateMarkers();
+            this.updateChapters();
+        });
+        eventBus.on(EVENTS.CHAPTERS_LOAD, ({ chapters }) => {
+            this.chapters = chapters;
+            this.updateChapters();
+        });
+        eventBus.on(EVENTS.BOOKMARKS_CHANGE, ({ bookmarks }) => {
+            this.bookmarks = bookmarks;
+            this.updateMarkers();
+        });
+        eventBus.on(EVENTS.LOOP_CHANGE, ({ a, b }) => {
+            this.loop = { a, b };
+            this.updateLoop();
+        });
+        eventBus.on(EVENTS.TIME_DISPLAY_CHANGE, () => {
+            const { currentTime, duration } = this.mediaController;
+            this.updateProgress({ currentTime, duration });
+            this.updateDuration({ duration });
+        });
         eventBus.on(EVENTS.MEDIA_LOAD, () => this.reset());
     }
 
@@ -67,32 +95,110 @@ export class ProgressController {
         }
 
         if (currentTimeEl) {
-            currentTimeEl.textContent = formatTime(currentTime);
+            currentTimeEl.textContent = this.formatDisplayTime(currentTime);
         }
     }
 
     updateDuration({ duration }) {
         const { duration: durationEl } = this.elements;
         if (durationEl) {
-            durationEl.textContent = formatTime(duration);
+            durationEl.textContent = this.formatDisplayTime(duration);
         }
     }
 
+    /**
+     * Format a time for the time display: timecode for video in timecode mode
+     * @param {number} time
+     * @returns {string}
+     */
+    formatDisplayTime(time) {
+        const isTimecode =
+            stateManager.get('timeDisplayMode') === TIME_DISPLAY_MODE.TIMECODE &&
+            stateManager.get('mediaType') === MEDIA_TYPE.VIDEO;
+
+        return isTimecode ? formatTimecode(time, this.mediaController.frameRate) : formatTime(time);
+    }
+
     updateBuffer(buffered, duration) {
         const { progressBuffer } = this.elements;
         if (!progressBuffer || !buffered.length || duration <= 0) return;
 
+        // Buffered ranges are in file time; CUE tracks start part-way into the file
+        const offset = this.mediaController.segmentStart;
+
         // Get the buffer range that includes current time
-        const currentTime = this.mediaController.currentTime;
+        const currentTime = offset + this.mediaController.currentTime;
         for (let i = 0; i < buffered.length; i++) {
             if (buffered.start(i) <= currentTime && buffered.end(i) >= currentTime) {
-                const bufferEnd = (buffered.end(i) / duration) * 100;
+                const bufferEnd = clamp(((buffered.end(i) - offset) / duration) * 100, 0, 100);
                 progressBuffer.style.width = `${bufferEnd}%`;
                 break;
             }
         }
     }
 
+    /**
+     * Show the A-B loop region, or just A while B is still unset
+     */
+    updateLoop() {
+        const { progressLoop } = this.elements;
+        if (!progressLoop) return;
+
+        const { a, b } = this.loop;
+        const duration = this.mediaController.duration;
+
+        if (a === null || duration <= 0) {
+            progressLoop.classList.add('hidden');
+            return;
+        }
+
+        const start = clamp((a / duration) * 100, 0, 100);
+        const end = b === null ? start : clamp((b / duration) * 100, 0, 100);
+
+        progressLoop.style.left = `${start}%`;
+        progressLoop.style.width = `${end - start}%`;
+        progressLoop.classList.toggle('pending', b === null);
+        progressLoop.classList.remove('hidden');
+    }
+
+    /**
+     * Draw a tick on the seek bar for each bookmark
+     */
+    updateMarkers() {
+        const { progressMarkers } = this.elements;
+        if (!progressMarkers) return;
+
+        const duration = this.mediaController.duration;
+        const markers = duration > 0 ? this.bookmarks.filter(({ time }) => time <= duration) : [];
+
+        progressMarkers.replaceChildren(
+            ...markers.map(({ time }) => {
+                const marker = createElement('div', { className: 'progress-marker' });
+                marker.style.left = `${(time / duration) * 100}%`;
+                return marker;
+            })
+        );
+    }
+
+    /**
+     * Split the seek bar at each chapter start
+     */
+    updateChapters() {
+        const { progressChapters } = this.elements;
+        if (!progressChapters) return;
+
+        const duration = this.mediaController.duration;
+        const starts = duration > 0 ? this.chapters.filter(({ start }) => start > 0 && start < duration) : [];
+
+        progressChapters.replaceChildren(
+            ...starts.map(({ start }) => {
+                const divider = createElement('div', { className: 'progress-chapter-divider' });
+                divider.style.left = `${(start / duration) * 100}%`;
+                return divider;
+            })
+        );
+    }
+
     reset() {
         const { progressFill, progressBuffer, currentTime, duration } = this.elements;
 
@@ -105,6 +211,12 @@ export class ProgressController {
     // --- Seeking Methods ---
 
     handleSeekStart(e) {
+        // Shift-click sets loop point A, Alt-click sets B
+        if (e.shiftKey || e.altKey) {
+            this.handleLoopPoint(e);
+            return;
+        }
+
         this.isDragging = true;
         this.handleSeekMove(e);
     }
@@ -142,6 +254,7 @@ export class ProgressController {
 
     handleClick(e) {
         if (this.isDragging) return; // Don't double-process if dragging
+        if (e.shiftKey || e.altKey) return; // Loop point, set on mousedown
 
         const { progressBar } = this.elements;
         const rect = progressBar.getBoundingClientRect();
@@ -151,6 +264,24 @@ export class ProgressController {
         this.mediaController.seekToPercent(percent);
     }
 
+    /**
+     * @param {MouseEvent} e
+     */
+    handleLoopPoint(e) {
+        e.preventDefault();
+
+        const { progressBar } = this.elements;
+        const rect = progressBar.getBoundingClientRect();
+        const position = clamp(e.clientX - rect.left, 0, rect.width);
+        const time = (position / rect.width) * this.mediaController.duration;
+
+        if (e.altKey) {
+            this.mediaController.setLoopEnd(time);
+        } else {
+            this.mediaController.setLoopStart(time);
+        }
+    }
+
     // --- Tooltip Methods ---
 
     handleMouseMove(e) {
@@ -162,10 +293,21 @@ export class ProgressController {
         const rect = progressBar.getBoundingClientRect();
         const position = clamp(e.clientX - rect.left, 0, rect.width);
         const percent = position / rect.width;
-        const time = percent * this.mediaController.duration;
+        const duration = this.mediaController.duration;
+        const time = percent * duration;
+
+        // Near a bookmark tick: show the bookmark instead
+        const maxDistance = (PLAYER_CONFIG.BOOKMARK_HOVER_DISTANCE / rect.width) * duration;
+        const bookmark = this.bookmarks.find((item) => Math.abs(item.time - time) <= maxDistance);
 
-        tooltip.textContent = formatTime(time);
-        tooltip.style.left = `${position}px`;
+        if (bookmark) {
+            tooltip.textContent = `${formatTime(bookmark.time)} · ${bookmark.name}`;
+            tooltip.style.left = `${(bookmark.time / duration) * rect.width}px`;
+        } else {
+            const chapter = this.chapters.findLast(({ start, end }) => time >= start && time < end);
+            tooltip.textContent = chapter ? `${formatTime(time)} · ${chapter.title}` : formatTime(time);
+            tooltip.style.left = `${position}px`;
+        }
         tooltip.classList.remove('hidden');
     }
 
@@ -1,16 +1,47 @@
 /**
- * SubtitleController - Handles subtitle loading and toggling
+ * SubtitleController - Handles subtitle loading, track selection and toggling
  */
 
 import { eventBus } from '../core/EventBus.js';
 import { stateManager } from '../core/StateManager.js';
-import { EVENTS } from '../utils/constants.js';
+import { EVENTS, PLAYER_CONFIG, SUBTITLE_RENDER_MODE, TEXT_TRACK_KIND } from '../utils/constants.js';
+import {
+    getFileExtension,
+    getMediaIdentity,
+    storageMapGet,
+    storageMapSet,
+} from '../utils/helpers.js';
+import {
+    srtToVtt,
+    cuesToVtt,
+    createSubtitleEntry,
+    parseVtt,
+    looksLikeChapters,
+    unescapeVttText,
+} from '../utils/subtitleParser.js';
+import { parseAss, assToCues } from '../utils/assParser.js';
+import { AssRenderer } from '../features/AssRenderer.js';
 
 export class SubtitleController {
-    constructor(mediaElement, trackElement) {
+    constructor(mediaElement, overlayContainer = null) {
         this.media = mediaElement;
-        this.trackElement = trackElement;
-        this.currentSubtitleUrl = null;
+
+        // Subtitle sources loaded for the current media item
+        this.subtitles = [];
+        this.activeId = null;
+        this.lastActiveId = null;
+
+        // Playlist track whose subtitle list is being shown
+        this.mediaTrack = null;
+        this.loadToken = 0;
+
+        // Timing adjustment for the current media item: delay in seconds and
+        // an optional [subtitle fps, video fps] framerate stretch
+        this.delay = 0;
+        this.framerate = null;
+
+        // Styled ASS/SSA rendering
+        this.assRenderer = overlayContainer ? new AssRenderer(overlayContainer, mediaElement) : null;
 
         this.init();
     }
@@ -20,90 +51,571 @@ export class SubtitleController {
     }
 
     subscribeToEvents() {
-        // Clear subtitles when new media loads
-        eventBus.on(EVENTS.MEDIA_LOAD, () => this.clear());
+        // Swap in the subtitle set of the new media item
+        eventBus.on(EVENTS.MEDIA_LOAD, ({ track }) => this.loadForTrack(track));
     }
 
     // --- Subtitle Loading ---
 
-    loadFromFile(file) {
-        if (!file || !this.trackElement) return false;
+    /**
+     * Load a subtitle file and attach it to the current media item
+     * @param {File} file
+     * @returns {Promise<boolean>}
+     */
+    async loadFromFile(file) {
+        if (!file) return false;
 
-        const filename = file.name.toLowerCase();
-        if (!filename.endsWith('.vtt') && !filename.endsWith('.srt')) {
-            console.error('Invalid subtitle file format. Use .vtt or .srt');
+        const extension = getFileExtension(file.name);
+        if (!PLAYER_CONFIG.SUBTITLE_EXTENSIONS.includes(extension)) {
+            const formats = PLAYER_CONFIG.SUBTITLE_EXTENSIONS.map((ext) => `.${ext}`).join(', ');
+            console.error(`Invalid subtitle file format. Use ${formats}`);
             return false;
         }
 
-        // Revoke previous URL
-        if (this.currentSubtitleUrl) {
-            URL.revokeObjectURL(this.currentSubtitleUrl);
-        }
+        return this.addEntry(createSubtitleEntry({ file, filename: file.name }));
+    }
+
+    /**
+     * Load a subtitle URL and attach it to the current media item
+     * @param {string} url
+     * @param {Object} [options] - { label, language, kind }
+     * @returns {Promise<boolean>}
+     */
+    async loadFromUrl(url, options = {}) {
+        if (!url) return false;
+
+        const filename = url.split(/[?#]/)[0].split('/').pop() || url;
+        return this.addEntry(createSubtitleEntry({ url, filename, ...options }));
+    }
 
-        // Create new object URL
-        this.currentSubtitleUrl = URL.createObjectURL(file);
-        this.trackElement.src = this.currentSubtitleUrl;
+    /**
+     * Store an entry on the current media item, load it and make it active
+     * @param {Object} entry
+     * @returns {Promise<boolean>}
+     */
+    async addEntry(entry) {
+        const token = this.loadToken;
+        const subtitle = await this.materialize(entry);
+        if (!subtitle) return false;
+
+        // A newer media item was loaded in the meantime
+        if (token !== this.loadToken) {
+            this.destroySubtitle(subtitle);
+            return false;
+        }
 
-        // Set mode to hidden initially
-        if (this.trackElement.track) {
-            this.trackElement.track.mode = 'hidden';
+        if (this.mediaTrack) {
+            this.mediaTrack.subtitles = [...(this.mediaTrack.subtitles || []), entry];
         }
 
-        stateManager.set({
-            subtitleSrc: this.currentSubtitleUrl,
-            subtitlesEnabled: false,
-        });
+        if (subtitle.chapters) {
+            this.emitChapters(subtitle);
+            return true;
+        }
 
-        eventBus.emit(EVENTS.SUBTITLE_LOAD, { filename: file.name });
+        this.subtitles.push(subtitle);
+        eventBus.emit(EVENTS.SUBTITLE_LOAD, { filename: entry.filename, id: entry.id });
 
+        this.select(entry.id);
         return true;
     }
 
-    loadFromUrl(url) {
-        if (!url || !this.trackElement) return false;
+    /**
+     * Replace the loaded subtitles with those stored on a playlist track
+     * @param {Object} track - Playlist track
+     */
+    async loadForTrack(track) {
+        this.clear();
+        this.mediaTrack = track || null;
+        this.restoreTiming();
+
+        const entries = track?.subtitles || [];
+        if (entries.length === 0) return;
+
+        const token = this.loadToken;
+        for (const entry of entries) {
+            const subtitle = await this.materialize(entry);
+            if (token !== this.loadToken) {
+                this.destroySubtitle(subtitle);
+                return;
+            }
+            if (subtitle?.chapters) {
+                this.emitChapters(subtitle);
+            } else if (subtitle) {
+                this.subtitles.push(subtitle);
+            }
+        }
 
-        this.trackElement.src = url;
+        const savedId = track.activeSubtitleId;
+        if (savedId && this.subtitles.some((subtitle) => subtitle.id === savedId)) {
+            this.select(savedId, false);
+        } else {
+            this.lastActiveId = this.getPreferredSubtitle()?.id ?? null;
+            this.emitTracksUpdate();
+        }
+    }
+
+    /**
+     * Pick the subtitle to show when the user turns subtitles on:
+     * one in the browser's language if available, otherwise the first
+     * @returns {Object|undefined}
+     */
+    getPreferredSubtitle() {
+        const browserLanguage = (navigator.language || '').split('-')[0].toLowerCase();
+        const matching = this.subtitles.find(
+            ({ entry }) => entry.language && entry.language.split('-')[0].toLowerCase() === browserLanguage
+        );
+        return matching || this.subtitles[0];
+    }
 
-        if (this.trackElement.track) {
-            this.trackElement.track.mode = 'hidden';
+    /**
+     * Read and convert a subtitle entry into something the player can show
+     * @param {Object} entry
+     * @returns {Promise<Object|null>} Loaded subtitle or null on error
+     */
+    async materialize(entry) {
+        const extension = getFileExtension(entry.filename);
+        const subtitle = {
+            id: entry.id,
+            entry,
+            format: extension === 'ass' || extension === 'ssa' ? 'ass' : 'vtt',
+            script: null,
+            element: null,
+            objectUrl: null,
+        };
+
+        try {
+            subtitle.chapters = extension === 'vtt' ? await this.readChapters(entry) : null;
+
+            if (subtitle.chapters) {
+                subtitle.format = 'chapters';
+            } else if (subtitle.format === 'ass') {
+                subtitle.script = parseAss(await this.readEntryText(entry));
+            } else if (extension === 'srt') {
+                // Browsers only render WebVTT in <track>, so convert SRT up front
+                const vtt = srtToVtt(await this.readEntryText(entry));
+                this.attachTrackElement(subtitle, this.createVttBlob(vtt));
+            } else {
+                this.attachTrackElement(subtitle, entry.file || entry.url);
+            }
+        } catch (error) {
+            console.error('Error parsing subtitle file:', error);
+            this.destroySubtitle(subtitle);
+            eventBus.emit(EVENTS.SUBTITLE_LOAD, {
+                filename: entry.filename,
+                error,
+                message: `Could not load subtitles from "${entry.filename}": ${error.message}`,
+            });
+            return null;
         }
 
-        stateManager.set({
-            subtitleSrc: url,
-            subtitlesEnabled: false,
+        return subtitle;
+    }
+
+    /**
+     * Read a WebVTT entry as chapters when it is named or shaped like a chapter file
+     * @param {Object} entry
+     * @returns {Promise<Array<{start: number, end: number, title: string}>|null>} Null for subtitles
+     */
+    async readChapters(entry) {
+        const isNamed = entry.kind === TEXT_TRACK_KIND.CHAPTERS;
+
+        let cues;
+        try {
+            cues = parseVtt(await this.readEntryText(entry));
+        } catch (error) {
+            // Subtitles still go to the <track>, which reports its own errors
+            if (isNamed) throw error;
+            return null;
+        }
+
+        if (!isNamed && !looksLikeChapters(cues)) return null;
+
+        entry.kind = TEXT_TRACK_KIND.CHAPTERS;
+        return cues.map(({ start, end, text }) => ({
+            start,
+            end,
+            title: unescapeVttText(text.replace(/\n/g, ' ')),
+        }));
+    }
+
+    /**
+     * @param {Object} subtitle - A loaded chapter file
+     */
+    emitChapters(subtitle) {
+        eventBus.emit(EVENTS.CHAPTERS_LOAD, { chapters: subtitle.chapters, filename: subtitle.entry.filename });
+    }
+
+    /**
+     * @param {Object} entry
+     * @returns {Promise<string>}
+     */
+    async readEntryText(entry) {
+        if (entry.file) {
+            return entry.file.text();
+        }
+
+        const response = await fetch(entry.url);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        return response.text();
+    }
+
+    /**
+     * Create a native <track> element for a WebVTT source
+     * @param {Object} subtitle
+     * @param {Blob|File|string} source - WebVTT blob or URL
+     */
+    attachTrackElement(subtitle, source) {
+        const { entry } = subtitle;
+        const element = document.createElement('track');
+
+        if (typeof source === 'string') {
+            element.src = source;
+        } else {
+            subtitle.objectUrl = URL.createObjectURL(source);
+            element.src = subtitle.objectUrl;
+        }
+
+        element.kind = 'subtitles';
+        element.label = entry.label;
+        if (entry.language) element.srclang = entry.language;
+
+        // Cues only exist once the track has loaded
+        element.addEventListener('load', () => this.applyCueTiming(subtitle));
+
+        this.media.appendChild(element);
+        element.track.mode = 'disabled';
+        subtitle.element = element;
+    }
+
+    /**
+     * Remove a loaded subtitle's element and object URL
+     * @param {Object|null} subtitle
+     */
+    destroySubtitle(subtitle) {
+        if (!subtitle) return;
+
+        if (subtitle.element) {
+            subtitle.element.track.mode = 'disabled';
+            subtitle.element.remove();
+            subtitle.element = null;
+        }
+
+        if (subtitle.objectUrl) {
+            URL.revokeObjectURL(subtitle.objectUrl);
+            subtitle.objectUrl = null;
+        }
+    }
+
+    /**
+     * @param {string} vtt - WebVTT file contents
+     * @returns {Blob}
+     */
+    createVttBlob(vtt) {
+        return new Blob([vtt], { type: 'text/vtt' });
+    }
+
+    /**
+     * Whether a subtitle is drawn by the ASS overlay renderer
+     * @param {Object} subtitle
+     * @returns {boolean}
+     */
+    usesRenderer(subtitle) {
+        return (
+            subtitle.format === 'ass' &&
+            !!this.assRenderer &&
+            this.renderMode === SUBTITLE_RENDER_MODE.STYLED
+        );
+    }
+
+    // --- Track Selection ---
+
+    /**
+     * Show the subtitle with the given id, or turn subtitles off with null
+     * @param {string|null} id
+     * @param {boolean} remember - Whether to store the choice on the media item
+     */
+    select(id, remember = true) {
+        const subtitle = id ? this.subtitles.find((item) => item.id === id) : null;
+
+        // Hide everything first; only one subtitle is shown at a time
+        this.subtitles.forEach((item) => {
+            if (item.element) item.element.track.mode = 'disabled';
         });
+        this.assRenderer?.clear();
+
+        this.activeId = subtitle ? subtitle.id : null;
+        if (subtitle) {
+            this.lastActiveId = subtitle.id;
+            this.showSubtitle(subtitle);
+        }
 
-        eventBus.emit(EVENTS.SUBTITLE_LOAD, { url });
+        if (remember && this.mediaTrack) {
+            this.mediaTrack.activeSubtitleId = this.activeId;
+        }
 
-        return true;
+        stateManager.set({
+            subtitleSrc: subtitle ? subtitle.entry.filename : null,
+            subtitlesEnabled: !!subtitle,
+        });
+
+        eventBus.emit(EVENTS.SUBTITLE_TOGGLE, { enabled: !!subtitle, id: this.activeId });
+        this.emitTracksUpdate();
     }
 
-    // --- Subtitle Toggle ---
+    /**
+     * @param {Object} subtitle
+     */
+    showSubtitle(subtitle) {
+        if (this.usesRenderer(subtitle)) {
+            this.assRenderer.load(subtitle.script);
+            this.assRenderer.setTiming(this.delay, this.stretch);
+            this.assRenderer.show();
+            return;
+        }
 
-    enable() {
-        if (!this.trackElement || !this.trackElement.track) return;
+        // The plain ASS/SSA fallback goes through a native track as well
+        if (!subtitle.element && subtitle.script) {
+            this.attachTrackElement(subtitle, this.createVttBlob(cuesToVtt(assToCues(subtitle.script))));
+        }
 
         try {
-            this.trackElement.track.mode = 'showing';
-            stateManager.set({ subtitlesEnabled: true });
-            eventBus.emit(EVENTS.SUBTITLE_TOGGLE, { enabled: true });
+            subtitle.element.track.mode = 'showing';
+            this.applyCueTiming(subtitle);
         } catch (error) {
             console.error('Error enabling subtitles:', error);
         }
     }
 
-    disable() {
-        if (!this.trackElement || !this.trackElement.track) return;
+    emitTracksUpdate() {
+        eventBus.emit(EVENTS.SUBTITLE_TRACKS_UPDATE, {
+            tracks: this.getTracks(),
+            activeId: this.activeId,
+        });
+    }
 
-        try {
-            this.trackElement.track.mode = 'hidden';
-            stateManager.set({ subtitlesEnabled: false });
-            eventBus.emit(EVENTS.SUBTITLE_TOGGLE, { enabled: false });
-        } catch (error) {
-            console.error('Error disabling subtitles:', error);
+    /**
+     * Get the loaded subtitle tracks for display
+     * @returns {Array<{id: string, label: string, language: string|null, filename: string}>}
+     */
+    getTracks() {
+        return this.subtitles.map(({ entry }) => ({
+            id: entry.id,
+            label: entry.label,
+            language: entry.language,
+            filename: entry.filename,
+        }));
+    }
+
+    // --- Timing Offset ---
+
+    /**
+     * Time scale factor from the framerate stretch
+     * @returns {number}
+     */
+    get stretch() {
+        return this.framerate ? this.framerate[0] / this.framerate[1] : 1;
+    }
+
+    /**
+     * Shift a native track's cues to the current delay and stretch, keeping the original times
+     * @param {Object} subtitle
+     */
+    applyCueTiming(subtitle) {
+        const cues = subtitle.element?.track?.cues;
+        if (!cues) return;
+
+        if (!subtitle.originalTimes) {
+            subtitle.originalTimes = new Map();
+        }
+
+        for (const cue of Array.from(cues)) {
+            if (!subtitle.originalTimes.has(cue)) {
+                subtitle.originalTimes.set(cue, [cue.startTime, cue.endTime]);
+            }
+
+            const [start, end] = subtitle.originalTimes.get(cue);
+            cue.startTime = Math.max(0, start * this.stretch + this.delay);
+            cue.endTime = Math.max(0, end * this.stretch + this.delay);
+        }
+    }
+
+    /**
+     * Apply the current timing to every loaded subtitle and remember it for the media item
+     */
+    applyTiming() {
+        this.subtitles.forEach((subtitle) => this.applyCueTiming(subtitle));
+        this.assRenderer?.setTiming(this.delay, this.stretch);
+        this.saveTiming();
+
+        eventBus.emit(EVENTS.SUBTITLE_OFFSET_CHANGE, {
+            delay: this.delay,
+            framerate: this.framerate,
+        });
+    }
+
+    /**
+     * Set the subtitle delay (positive values show subtitles later)
+     * @param {number} seconds
+     */
+    setDelay(seconds) {
+        // Round to milliseconds to avoid float drift from repeated steps
+        this.delay = Math.round(seconds * 1000) / 1000;
+        this.applyTiming();
+    }
+
+    /**
+     * Change the subtitle delay by a step
+     * @param {number} seconds
+     */
+    adjustDelay(seconds) {
+        this.setDelay(this.delay + seconds);
+    }
+
+    /**
+     * Stretch subtitle times from one framerate to another (e.g. 23.976 -> 25)
+     * @param {number|null} subtitleFps - Framerate the subtitles were timed for, or null to reset
+     * @param {number} [videoFps] - Framerate of the video
+     */
+    setFramerateStretch(subtitleFps, videoFps) {
+        this.framerate = subtitleFps && videoFps ? [subtitleFps, videoFps] : null;
+        this.applyTiming();
+    }
+
+    /**
+     * Cycle through the common framerate stretch presets
+     */
+    cycleFramerateStretch() {
+        const presets = PLAYER_CONFIG.SUBTITLE_FRAMERATE_PRESETS;
+        const currentIndex = presets.findIndex(
+            (preset) =>
+                (preset === null && this.framerate === null) ||
+                (preset && this.framerate && preset[0] === this.framerate[0] && preset[1] === this.framerate[1])
+        );
+        const next = presets[(currentIndex + 1) % presets.length];
+
+        this.setFramerateStretch(next?.[0] ?? null, next?.[1]);
+    }
+
+    /**
+     * Shift the delay so the next cue starts at the current playback time
+     * @returns {boolean} Whether a cue was found to sync to
+     */
+    syncToNextCue() {
+        const subtitle = this.subtitles.find((item) => item.id === this.activeId);
+        if (!subtitle) return false;
+
+        const now = this.media.currentTime;
+        const next = this.getOriginalCueStarts(subtitle).find(
+            (start) => start * this.stretch + this.delay > now
+        );
+        if (next === undefined) return false;
+
+        this.setDelay(now - next * this.stretch);
+        return true;
+    }
+
+    /**
+     * Get the unshifted cue start times of a subtitle, in order
+     * @param {Object} subtitle
+     * @returns {Array<number>}
+     */
+    getOriginalCueStarts(subtitle) {
+        if (this.usesRenderer(subtitle)) {
+            return subtitle.script.events.map((event) => event.start);
+        }
+
+        this.applyCueTiming(subtitle);
+        return subtitle.originalTimes
+            ? Array.from(subtitle.originalTimes.values(), ([start]) => start).sort((a, b) => a - b)
+            : [];
+    }
+
+    resetTiming() {
+        this.delay = 0;
+        this.framerate = null;
+        this.applyTiming();
+    }
+
+    /**
+     * Restore the saved timing of the current media item
+     */
+    restoreTiming() {
+        const identity = getMediaIdentity(this.mediaTrack);
+        const saved = identity ? storageMapGet(PLAYER_CONFIG.STORAGE_KEYS.SUBTITLE_OFFSETS, identity) : null;
+
+        this.delay = saved?.delay || 0;
+        this.framerate = saved?.framerate || null;
+        this.assRenderer?.setTiming(this.delay, this.stretch);
+    }
+
+    /**
+     * Save the current timing for the current media item
+     */
+    saveTiming() {
+        const identity = getMediaIdentity(this.mediaTrack);
+        if (!identity) return;
+
+        const isDefault = this.delay === 0 && !this.framerate;
+        storageMapSet(
+            PLAYER_CONFIG.STORAGE_KEYS.SUBTITLE_OFFSETS,
+            identity,
+            isDefault ? null : { delay: this.delay, framerate: this.framerate },
+            PLAYER_CONFIG.SUBTITLE_OFFSETS_MAX_ENTRIES
+        );
+    }
+
+    // --- Render Mode ---
+
+    /**
+     * Switch between styled (overlay) and plain (native track) ASS/SSA rendering
+     * @param {string} mode - SUBTITLE_RENDER_MODE value
+     */
+    setRenderMode(mode) {
+        if (!Object.values(SUBTITLE_RENDER_MODE).includes(mode)) {
+            console.warn('Invalid subtitle render mode:', mode);
+            return;
+        }
+
+        stateManager.set({ subtitleRenderMode: mode });
+
+        // Re-apply the active subtitle in the new mode
+        if (this.activeId) {
+            this.select(this.activeId, false);
         }
     }
 
+    /**
+     * Toggle between styled and plain ASS/SSA rendering
+     */
+    toggleRenderMode() {
+        this.setRenderMode(
+            this.renderMode === SUBTITLE_RENDER_MODE.STYLED
+                ? SUBTITLE_RENDER_MODE.PLAIN
+                : SUBTITLE_RENDER_MODE.STYLED
+        );
+    }
+
+    get renderMode() {
+        return stateManager.get('subtitleRenderMode');
+    }
+
+    // --- Subtitle Toggle ---
+
+    enable() {
+        if (this.subtitles.length === 0) return;
+
+        const hasLast = this.subtitles.some((subtitle) => subtitle.id === this.lastActiveId);
+        this.select(hasLast ? this.lastActiveId : this.subtitles[0].id);
+    }
+
+    disable() {
+        if (this.activeId === null) return;
+        this.select(null);
+    }
+
     toggle() {
         if (this.isEnabled) {
             this.disable();
@@ -113,32 +625,32 @@ export class SubtitleController {
     }
 
     clear() {
-        if (this.currentSubtitleUrl) {
-            URL.revokeObjectURL(this.currentSubtitleUrl);
-            this.currentSubtitleUrl = null;
-        }
+        this.loadToken++;
+        this.subtitles.forEach((subtitle) => this.destroySubtitle(subtitle));
+        this.subtitles = [];
+        this.activeId = null;
+        this.lastActiveId = null;
+        this.mediaTrack = null;
+        this.assRenderer?.clear();
 
-        if (this.trackElement) {
-            this.trackElement.removeAttribute('src');
-            if (this.trackElement.track) {
-                this.trackElement.track.mode = 'disabled';
-            }
-        }
+        eventBus.emit(EVENTS.CHAPTERS_LOAD, { chapters: [], filename: null });
 
         stateManager.set({
             subtitleSrc: null,
             subtitlesEnabled: false,
         });
+
+        this.emitTracksUpdate();
     }
 
     // --- Getters ---
 
     get isEnabled() {
-        return this.trackElement?.track?.mode === 'showing';
+        return this.activeId !== null;
     }
 
     get hasSubtitles() {
-        return !!this.trackElement?.src;
+        return this.subtitles.length > 0;
     }
 
     /**
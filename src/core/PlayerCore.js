@@ -4,8 +4,15 @@
 
 import { eventBus } from './EventBus.js';
 import { stateManager } from './StateManager.js';
-import { EVENTS, MEDIA_TYPE } from '../utils/constants.js';
-import { getMediaType, isTouchDevice } from '../utils/helpers.js';
+import {
+    EVENTS,
+    MEDIA_TYPE,
+    PLAYLIST_FORMAT,
+    ENQUEUE_MODE,
+    BOOKMARK_FORMAT,
+    TIME_DISPLAY_MODE,
+} from '../utils/constants.js';
+import { getMediaType, isTouchDevice, parseTimecode } from '../utils/helpers.js';
 
 // Controllers
 import { MediaController } from '../controllers/MediaController.js';
@@ -13,17 +20,24 @@ import { VolumeController } from '../controllers/VolumeController.js';
 import { ProgressController } from '../controllers/ProgressController.js';
 import { FullscreenController } from '../controllers/FullscreenController.js';
 import { SubtitleController } from '../controllers/SubtitleController.js';
+import { ChapterController } from '../controllers/ChapterController.js';
 import { KeyboardController } from '../controllers/KeyboardController.js';
 
 // Features
 import { FileLoader } from '../features/FileLoader.js';
 import { PlaylistManager } from '../features/PlaylistManager.js';
 import { AudioVisualizer } from '../features/AudioVisualizer.js';
+import { DurationProbe } from '../features/DurationProbe.js';
+import { PlaylistPersistence } from '../features/PlaylistPersistence.js';
+import { ResumeManager } from '../features/ResumeManager.js';
+import { BookmarkManager } from '../features/BookmarkManager.js';
 
 // UI
 import { UIManager } from '../ui/UIManager.js';
 import { ThemeManager } from '../ui/ThemeManager.js';
 import { PlaylistUI } from '../ui/components/PlaylistUI.js';
+import { PlaylistSwitcher } from '../ui/components/PlaylistSwitcher.js';
+import { BookmarkList } from '../ui/components/BookmarkList.js';
 
 export class PlayerCore {
     constructor(containerSelector) {
@@ -37,6 +51,9 @@ export class PlayerCore {
         this.elements = {};
         this.controllers = {};
 
+        // Opened files waiting for a choice in the enqueue prompt
+        this.pendingTracks = null;
+
         this.init();
     }
 
@@ -48,6 +65,9 @@ export class PlayerCore {
         this.attachEventListeners();
         this.setupDragAndDrop();
 
+        // Bring back the previous session's playlist
+        this.playlistPersistence.restore();
+
         console.log('LAS Player initialized');
     }
 
@@ -80,9 +100,14 @@ export class PlayerCore {
             progressBar: $('#progress-bar') || $('.progress-bar'),
             progressFill: $('#progress-fill') || $('.progress-fill'),
             progressBuffer: $('#progress-buffer') || $('.progress-buffer'),
+            progressLoop: $('#progress-loop'),
+            progressMarkers: $('#progress-markers'),
+            progressChapters: $('#progress-chapters'),
             progressTooltip: $('#progress-tooltip') || $('.progress-tooltip'),
             currentTime: $('#current-time') || $('.current-time'),
             duration: $('#duration') || $('.duration'),
+            timeDisplay: $('#time-display'),
+            timeOptions: $('#time-options'),
 
             // Volume
             volumeBtn: $('#volume-btn'),
@@ -93,18 +118,50 @@ export class PlayerCore {
             speedBtn: $('#speed-btn'),
             speedOptions: $('#speed-options'),
 
+            // A-B loop
+            loopBtn: $('#loop-btn'),
+            loopOptions: $('#loop-options'),
+
+            // Chapters
+            chapterSelector: $('.chapter-selector'),
+            chapterBtn: $('#chapter-btn'),
+            chapterOptions: $('#chapter-options'),
+
             // Display modes
             fullscreenBtn: $('#fullscreen'),
             pipBtn: $('#pip-toggle'),
 
             // Subtitles
-            subtitleTrack: $('#subtitle-track'),
             subtitleBtn: $('#subtitle-toggle'),
+            subtitleMenuBtn: $('#subtitle-menu-btn'),
+            subtitleOptions: $('#subtitle-options'),
 
             // Playlist
             sidebar: $doc('#sidebar') || $doc('.sidebar'),
             sidebarClose: $doc('#sidebar-close'),
             playlistContainer: $doc('#playlist') || $doc('.playlist'),
+            playlistSummary: $doc('#playlist-summary'),
+            playlistSearch: $doc('#playlist-search'),
+            playlistTypeFilter: $doc('#playlist-type-filter'),
+            playlistSort: $doc('#playlist-sort'),
+            playlistSelectionBar: $doc('#playlist-selection-bar'),
+            playlistSelectionCount: $doc('#playlist-selection-count'),
+            playlistSelect: $doc('#playlist-select'),
+            playlistNewBtn: $doc('#playlist-new'),
+            playlistRenameBtn: $doc('#playlist-rename'),
+            playlistDuplicateBtn: $doc('#playlist-duplicate'),
+            playlistDeleteBtn: $doc('#playlist-delete'),
+            exportM3uBtn: $doc('#export-m3u'),
+            exportPlsBtn: $doc('#export-pls'),
+            exportXspfBtn: $doc('#export-xspf'),
+            duplicateModeSelect: $doc('#duplicate-mode'),
+            duplicateHashToggle: $doc('#duplicate-content-hash'),
+            removeDuplicatesBtn: $doc('#remove-duplicates'),
+            bookmarkList: $doc('#bookmark-list'),
+            bookmarkAddBtn: $doc('#bookmark-add'),
+            bookmarkImportBtn: $doc('#bookmark-import'),
+            bookmarkExportJsonBtn: $doc('#bookmark-export-json'),
+            bookmarkExportVttBtn: $doc('#bookmark-export-vtt'),
             shuffleBtn: $('#shuffle'),
             repeatBtn: $('#repeat'),
 
@@ -117,6 +174,7 @@ export class PlayerCore {
             // Audio visualizer
             visualizerCanvas: $('#visualizer-canvas') || $('.visualizer-canvas'),
             albumArt: $('#album-art') || $('.album-art'),
+            albumArtPlaceholder: $('.album-art-placeholder'),
             trackTitle: $('#track-title') || $('.track-title'),
             trackArtist: $('#track-artist') || $('.track-artist'),
 
@@ -129,6 +187,29 @@ export class PlayerCore {
             // Error
             errorOverlay: $('#error-overlay'),
             errorMessage: $('#error-message'),
+
+            // On-screen message
+            osd: $('#osd'),
+            restorePrompt: $('#restore-prompt'),
+            restoreMessage: $('#restore-message'),
+            restoreAcceptBtn: $('#restore-accept'),
+            restoreDismissBtn: $('#restore-dismiss'),
+            resumePrompt: $('#resume-prompt'),
+            resumeMessage: $('#resume-message'),
+            resumeAcceptBtn: $('#resume-accept'),
+            resumeDismissBtn: $('#resume-dismiss'),
+            framePrompt: $('#frame-prompt'),
+            frameMessage: $('#frame-message'),
+            frameInput: $('#frame-input'),
+            frameAcceptBtn: $('#frame-accept'),
+            frameDismissBtn: $('#frame-dismiss'),
+            undoToast: $('#undo-toast'),
+            undoMessage: $('#undo-message'),
+            undoBtn: $('#undo-btn'),
+            undoDismissBtn: $('#undo-dismiss'),
+            enqueuePrompt: $('#enqueue-prompt'),
+            enqueueMessage: $('#enqueue-message'),
+            enqueueDismissBtn: $('#enqueue-dismiss'),
         };
 
         // Use video as primary media element, audio as secondary
@@ -149,7 +230,19 @@ export class PlayerCore {
      * Initialize all controllers
      */
     initializeControllers() {
-        const { video, subtitleTrack, progressBar, progressFill, progressBuffer, progressTooltip, currentTime, duration } = this.elements;
+        const {
+            video,
+            videoContainer,
+            progressBar,
+            progressFill,
+            progressBuffer,
+            progressLoop,
+            progressMarkers,
+            progressChapters,
+            progressTooltip,
+            currentTime,
+            duration,
+        } = this.elements;
 
         if (!this.mediaElement) {
             console.error('No media element found');
@@ -159,6 +252,9 @@ export class PlayerCore {
         // Media controller
         this.mediaController = new MediaController(this.mediaElement);
 
+        // Chapters of the current media
+        this.chapterController = new ChapterController(this.mediaController);
+
         // Volume controller
         this.volumeController = new VolumeController(this.mediaElement);
 
@@ -168,6 +264,9 @@ export class PlayerCore {
                 progressBar,
                 progressFill,
                 progressBuffer,
+                progressLoop,
+                progressMarkers,
+                progressChapters,
                 tooltip: progressTooltip,
                 currentTime,
                 duration,
@@ -179,7 +278,7 @@ export class PlayerCore {
         this.fullscreenController = new FullscreenController(this.container, this.mediaElement);
 
         // Subtitle controller
-        this.subtitleController = new SubtitleController(this.mediaElement, subtitleTrack);
+        this.subtitleController = new SubtitleController(this.mediaElement, videoContainer);
 
         // Keyboard controller
         this.keyboardController = new KeyboardController(this);
@@ -197,6 +296,18 @@ export class PlayerCore {
         // Playlist manager
         this.playlistManager = new PlaylistManager();
 
+        // Background duration lookup for playlist tracks
+        this.durationProbe = new DurationProbe();
+
+        // Playlist saving and restoring across reloads
+        this.playlistPersistence = new PlaylistPersistence();
+
+        // Per-file resume positions
+        this.resumeManager = new ResumeManager(this.mediaController);
+
+        // Per-file bookmarks
+        this.bookmarkManager = new BookmarkManager(this.mediaController);
+
         // Audio visualizer
         if (visualizerCanvas) {
             this.audioVisualizer = new AudioVisualizer(visualizerCanvas, this.mediaElement);
@@ -207,19 +318,67 @@ export class PlayerCore {
      * Initialize UI managers
      */
     initializeUI() {
-        const { playlistContainer } = this.elements;
+        const {
+            playlistContainer,
+            playlistSummary,
+            playlistSearch,
+            playlistTypeFilter,
+            playlistSort,
+            playlistSelectionBar,
+            playlistSelectionCount,
+            playlistSelect,
+            playlistNewBtn,
+            playlistRenameBtn,
+            playlistDuplicateBtn,
+            playlistDeleteBtn,
+            bookmarkList,
+            bookmarkAddBtn,
+            bookmarkExportJsonBtn,
+            bookmarkExportVttBtn,
+        } = this.elements;
 
         // Theme manager
         this.themeManager = new ThemeManager(this.container);
 
         // UI manager
         this.uiManager = new UIManager(this.elements);
+        this.uiManager.updateLoopUI(this.mediaController.getLoopState());
 
         // Playlist UI
         if (playlistContainer) {
-            this.playlistUI = new PlaylistUI(playlistContainer, this.playlistManager);
+            this.playlistUI = new PlaylistUI(playlistContainer, this.playlistManager, playlistSummary, {
+                search: playlistSearch,
+                typeFilter: playlistTypeFilter,
+                sort: playlistSort,
+                selectionBar: playlistSelectionBar,
+                selectionCount: playlistSelectionCount,
+            });
         }
 
+        // Named playlist switcher
+        if (playlistSelect) {
+            this.playlistSwitcher = new PlaylistSwitcher(
+                {
+                    select: playlistSelect,
+                    newBtn: playlistNewBtn,
+                    renameBtn: playlistRenameBtn,
+                    duplicateBtn: playlistDuplicateBtn,
+                    deleteBtn: playlistDeleteBtn,
+                },
+                this.playlistManager
+            );
+        }
+
+        // Bookmarks of the current media
+        this.bookmarkList = new BookmarkList(
+            {
+                list: bookmarkList,
+                addBtn: bookmarkAddBtn,
+                exportButtons: [bookmarkExportJsonBtn, bookmarkExportVttBtn].filter(Boolean),
+            },
+            this.bookmarkManager
+        );
+
         // Subscribe to events for UI updates
         eventBus.on(EVENTS.MEDIA_LOAD, () => this.hideDropZone());
         eventBus.on(EVENTS.TRACK_CHANGE, () => this.hideDropZone());
@@ -260,16 +419,44 @@ export class PlayerCore {
             fullscreenBtn,
             pipBtn,
             subtitleBtn,
+            subtitleMenuBtn,
+            subtitleOptions,
             speedBtn,
             speedOptions,
+            loopBtn,
+            loopOptions,
+            chapterBtn,
+            chapterOptions,
+            timeDisplay,
+            timeOptions,
             shuffleBtn,
             repeatBtn,
             themeBtn,
             sidebarToggleBtn,
             sidebarClose,
+            exportM3uBtn,
+            exportPlsBtn,
+            exportXspfBtn,
+            duplicateModeSelect,
+            duplicateHashToggle,
+            removeDuplicatesBtn,
+            bookmarkImportBtn,
+            bookmarkExportJsonBtn,
+            bookmarkExportVttBtn,
             openFileBtn,
             openFolderBtn,
             subtitleUploadBtn,
+            restoreAcceptBtn,
+            restoreDismissBtn,
+            resumeAcceptBtn,
+            resumeDismissBtn,
+            frameInput,
+            frameAcceptBtn,
+            frameDismissBtn,
+            undoBtn,
+            undoDismissBtn,
+            enqueuePrompt,
+            enqueueDismissBtn,
             video,
         } = this.elements;
 
@@ -301,10 +488,27 @@ export class PlayerCore {
 
         // Subtitles
         subtitleBtn?.addEventListener('click', () => this.subtitleController.toggle());
+        subtitleMenuBtn?.addEventListener('click', () => this.toggleSubtitleOptions());
+        subtitleOptions?.addEventListener('click', (e) => this.handleSubtitleSelection(e));
 
         // Playback speed
         speedBtn?.addEventListener('click', () => this.toggleSpeedOptions());
         speedOptions?.addEventListener('click', (e) => this.handleSpeedSelection(e));
+        speedOptions?.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && e.target.matches('.speed-custom-input')) this.handleCustomSpeed(e.target);
+        });
+
+        // A-B loop
+        loopBtn?.addEventListener('click', () => loopOptions?.classList.toggle('hidden'));
+        loopOptions?.addEventListener('click', (e) => this.handleLoopSelection(e));
+
+        // Time display: timecode mode, go to frame, frame rate
+        timeDisplay?.addEventListener('click', () => timeOptions?.classList.toggle('hidden'));
+        timeOptions?.addEventListener('click', (e) => this.handleTimeSelection(e));
+
+        // Chapters
+        chapterBtn?.addEventListener('click', () => chapterOptions?.classList.toggle('hidden'));
+        chapterOptions?.addEventListener('click', (e) => this.handleChapterSelection(e));
 
         // Shuffle & Repeat
         shuffleBtn?.addEventListener('click', () => this.playlistManager.toggleShuffle());
@@ -317,24 +521,105 @@ export class PlayerCore {
         sidebarToggleBtn?.addEventListener('click', () => this.toggleSidebar());
         sidebarClose?.addEventListener('click', () => this.toggleSidebar());
 
+        // Playlist export
+        exportM3uBtn?.addEventListener('click', () => this.playlistManager.exportPlaylist(PLAYLIST_FORMAT.M3U));
+        exportPlsBtn?.addEventListener('click', () => this.playlistManager.exportPlaylist(PLAYLIST_FORMAT.PLS));
+        exportXspfBtn?.addEventListener('click', () => this.playlistManager.exportPlaylist(PLAYLIST_FORMAT.XSPF));
+
+        // Duplicate handling
+        if (duplicateModeSelect) duplicateModeSelect.value = stateManager.get('duplicateMode');
+        if (duplicateHashToggle) duplicateHashToggle.checked = stateManager.get('duplicateContentHash');
+        duplicateModeSelect?.addEventListener('change', (e) => stateManager.set({ duplicateMode: e.target.value }));
+        duplicateHashToggle?.addEventListener('change', (e) => {
+            stateManager.set({ duplicateContentHash: e.target.checked });
+        });
+        removeDuplicatesBtn?.addEventListener('click', () => this.playlistManager.removeDuplicates());
+
+        // Bookmark import / export
+        bookmarkImportBtn?.addEventListener('click', () => this.handleBookmarkImport());
+        bookmarkExportJsonBtn?.addEventListener('click', () => {
+            this.bookmarkManager.exportBookmarks(BOOKMARK_FORMAT.JSON);
+        });
+        bookmarkExportVttBtn?.addEventListener('click', () => {
+            this.bookmarkManager.exportBookmarks(BOOKMARK_FORMAT.VTT);
+        });
+
         // File loading
-        openFileBtn?.addEventListener('click', () => this.handleOpenFile());
-        openFolderBtn?.addEventListener('click', () => this.handleOpenFolder());
+        openFileBtn?.addEventListener('click', (e) => this.handleOpenFile(getEnqueueMode(e)));
+        openFolderBtn?.addEventListener('click', (e) => this.handleOpenFolder(getEnqueueMode(e)));
         subtitleUploadBtn?.addEventListener('click', () => this.handleSubtitleUpload());
 
+        // Session restore (permission requests need this click)
+        restoreAcceptBtn?.addEventListener('click', () => {
+            this.uiManager.hideRestorePrompt();
+            this.playlistPersistence.grantAndRestore();
+        });
+        restoreDismissBtn?.addEventListener('click', () => {
+            this.uiManager.hideRestorePrompt();
+            this.playlistPersistence.dismissRestore();
+        });
+
+        // Resume position
+        resumeAcceptBtn?.addEventListener('click', () => {
+            this.uiManager.hideResumePrompt();
+            this.resumeManager.resume();
+        });
+        resumeDismissBtn?.addEventListener('click', () => {
+            this.uiManager.hideResumePrompt();
+            this.resumeManager.startOver();
+        });
+
+        // Go to frame
+        frameAcceptBtn?.addEventListener('click', () => this.handleFramePromptSubmit());
+        frameDismissBtn?.addEventListener('click', () => this.uiManager.hideFramePrompt());
+        frameInput?.addEventListener('input', () => frameInput.removeAttribute('aria-invalid'));
+        frameInput?.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                this.handleFramePromptSubmit();
+            } else if (e.key === 'Escape') {
+                this.uiManager.hideFramePrompt();
+            }
+        });
+
+        // Undo the last destructive playlist edit
+        undoBtn?.addEventListener('click', () => {
+            this.uiManager.hideUndoToast();
+            this.playlistManager.undo();
+        });
+        undoDismissBtn?.addEventListener('click', () => this.uiManager.hideUndoToast());
+
+        // Play now / next / add to end / replace for opened files
+        enqueuePrompt?.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-enqueue-mode]');
+            if (button) this.resolveEnqueue(button.dataset.enqueueMode);
+        });
+        enqueueDismissBtn?.addEventListener('click', () => this.resolveEnqueue(null));
+
         // Handle buffer updates
         this.mediaElement?.addEventListener('progress', () => {
             this.progressController.updateBuffer(
                 this.mediaElement.buffered,
-                this.mediaElement.duration
+                this.mediaController.duration
             );
         });
 
-        // Close speed options when clicking outside
+        // Close speed, loop, chapter, time and subtitle options when clicking outside
         document.addEventListener('click', (e) => {
             if (!speedBtn?.contains(e.target) && !speedOptions?.contains(e.target)) {
                 speedOptions?.classList.add('hidden');
             }
+            if (!loopBtn?.contains(e.target) && !loopOptions?.contains(e.target)) {
+                loopOptions?.classList.add('hidden');
+            }
+            if (!chapterBtn?.contains(e.target) && !chapterOptions?.contains(e.target)) {
+                chapterOptions?.classList.add('hidden');
+            }
+            if (!timeDisplay?.contains(e.target) && !timeOptions?.contains(e.target)) {
+                timeOptions?.classList.add('hidden');
+            }
+            if (!subtitleMenuBtn?.contains(e.target) && !subtitleOptions?.contains(e.target)) {
+                subtitleOptions?.classList.add('hidden');
+            }
         });
     }
 
@@ -343,7 +628,8 @@ export class PlayerCore {
      */
     setupDragAndDrop() {
         const { container, dropZone } = this.elements;
-        const dropTarget = dropZone || container;
+        // The whole player takes drops so files can be queued while something plays
+        const dropTarget = container || dropZone;
 
         if (!dropTarget) return;
 
@@ -357,49 +643,94 @@ export class PlayerCore {
         ['dragenter', 'dragover'].forEach((eventName) => {
             dropTarget.addEventListener(eventName, () => {
                 dropTarget.classList.add('drag-over');
+                dropZone?.classList.add('drag-over');
             });
         });
 
         ['dragleave', 'drop'].forEach((eventName) => {
             dropTarget.addEventListener(eventName, () => {
                 dropTarget.classList.remove('drag-over');
+                dropZone?.classList.remove('drag-over');
             });
         });
 
         dropTarget.addEventListener('drop', async (e) => {
+            const mode = getEnqueueMode(e);
             const tracks = await this.fileLoader.handleDrop(e.dataTransfer);
-            if (tracks.length > 0) {
-                this.playlistManager.setPlaylist(tracks, true);
-                this.handleMediaTypeChange(tracks[0].type);
-            }
+            this.enqueueTracks(tracks, mode);
         });
     }
 
     // --- File Loading Handlers ---
 
-    async handleOpenFile() {
+    /**
+     * @param {string|null} mode - ENQUEUE_MODE value, or null to ask
+     */
+    async handleOpenFile(mode = null) {
         const files = await this.fileLoader.openMultipleFilePicker();
         if (files && files.length > 0) {
             const tracks = await this.fileLoader.loadFiles(files);
-            this.playlistManager.setPlaylist(tracks, true);
-            if (tracks.length > 0) {
-                this.handleMediaTypeChange(tracks[0].type);
-            }
+            this.enqueueTracks(tracks, mode);
         }
     }
 
-    async handleOpenFolder() {
+    /**
+     * @param {string|null} mode - ENQUEUE_MODE value, or null to ask
+     */
+    async handleOpenFolder(mode = null) {
         const tracks = await this.fileLoader.openFolder();
-        if (tracks.length > 0) {
-            this.playlistManager.setPlaylist(tracks, true);
-            this.handleMediaTypeChange(tracks[0].type);
+        this.enqueueTracks(tracks, mode);
+    }
+
+    /**
+     * Add loaded tracks to the playlist. Without a mode the user is asked,
+     * unless the playlist is empty and there is nothing to keep.
+     * @param {Array} tracks
+     * @param {string|null} mode - ENQUEUE_MODE value
+     */
+    async enqueueTracks(tracks, mode = null) {
+        if (tracks.length === 0) return;
+
+        if (!mode && !this.playlistManager.isEmpty) {
+            this.pendingTracks = tracks;
+            this.uiManager.showEnqueuePrompt({ count: tracks.length });
+            return;
+        }
+
+        const playingTrack = this.playlistManager.playingTrack;
+        await this.playlistManager.enqueueTracks(tracks, mode || ENQUEUE_MODE.REPLACE);
+
+        const startedTrack = this.playlistManager.playingTrack;
+        if (startedTrack && startedTrack !== playingTrack) {
+            this.handleMediaTypeChange(startedTrack.type);
+        }
+    }
+
+    /**
+     * Apply the choice made in the enqueue prompt
+     * @param {string|null} mode - ENQUEUE_MODE value, or null to discard the tracks
+     */
+    resolveEnqueue(mode) {
+        const tracks = this.pendingTracks;
+        this.pendingTracks = null;
+        this.uiManager.hideEnqueuePrompt();
+
+        if (tracks && mode) {
+            this.enqueueTracks(tracks, mode);
         }
     }
 
     async handleSubtitleUpload() {
         const file = await this.fileLoader.openSubtitlePicker();
         if (file) {
-            this.subtitleController.loadFromFile(file);
+            await this.subtitleController.loadFromFile(file);
+        }
+    }
+
+    async handleBookmarkImport() {
+        const file = await this.fileLoader.openFilePicker('.json,.vtt');
+        if (file) {
+            await this.bookmarkManager.importBookmarks(file);
         }
     }
 
@@ -441,11 +772,146 @@ export class PlayerCore {
     }
 
     handleSpeedSelection(e) {
-        const li = e.target.closest('li[data-speed]');
+        const li = e.target.closest('li');
+        if (!li) return;
+
+        const { speed, speedAction } = li.dataset;
+
+        if (speed !== undefined) {
+            this.mediaController.setPlaybackRate(parseFloat(speed));
+        } else if (speedAction === 'pitch') {
+            this.mediaController.togglePreservesPitch();
+        } else if (speedAction === 'track') {
+            const isSaved = stateManager.get('trackSpeed') !== null;
+            if (!this.mediaController.setTrackSpeedDefault(!isSaved)) {
+                this.uiManager.showOsd('Play a file to save its speed');
+            }
+        } else if (speedAction === 'type') {
+            const mediaType = stateManager.get('mediaType');
+            this.mediaController.setMediaTypeSpeedDefault(!(mediaType in stateManager.get('mediaTypeSpeeds')));
+        } else {
+            return;
+        }
+
+        this.elements.speedOptions?.classList.add('hidden');
+    }
+
+    /**
+     * Apply the speed typed into the speed menu
+     * @param {HTMLInputElement} input - Limited to SPEED_MIN..SPEED_MAX by its min/max
+     */
+    handleCustomSpeed(input) {
+        if (!input.checkValidity()) {
+            input.reportValidity();
+            return;
+        }
+
+        this.mediaController.setPlaybackRate(input.valueAsNumber);
+        this.elements.speedOptions?.classList.add('hidden');
+    }
+
+    // --- A-B Loop Options ---
+
+    handleLoopSelection(e) {
+        const li = e.target.closest('li');
+        if (!li) return;
+
+        const { loopAction, loopRepeats, loopPause } = li.dataset;
+
+        if (loopAction === 'start') {
+            this.mediaController.setLoopStart();
+        } else if (loopAction === 'end') {
+            this.mediaController.setLoopEnd();
+        } else if (loopAction === 'clear') {
+            this.mediaController.clearLoop();
+        } else if (loopRepeats !== undefined) {
+            this.mediaController.setLoopRepeats(parseInt(loopRepeats, 10));
+        } else if (loopPause !== undefined) {
+            this.mediaController.setLoopPause(parseFloat(loopPause));
+        } else {
+            return;
+        }
+
+        this.elements.loopOptions?.classList.add('hidden');
+    }
+
+    // --- Time Display Options ---
+
+    handleTimeSelection(e) {
+        const li = e.target.closest('li');
+        if (!li) return;
+
+        const { timeAction, frameRate } = li.dataset;
+
+        if (timeAction === 'timecode') {
+            const isTimecode = stateManager.get('timeDisplayMode') === TIME_DISPLAY_MODE.TIMECODE;
+            stateManager.set(
+                { timeDisplayMode: isTimecode ? TIME_DISPLAY_MODE.STANDARD : TIME_DISPLAY_MODE.TIMECODE },
+                EVENTS.TIME_DISPLAY_CHANGE
+            );
+        } else if (timeAction === 'goto') {
+            this.handleGoToFrame();
+        } else if (frameRate !== undefined) {
+            this.mediaController.setFallbackFrameRate(parseFloat(frameRate));
+        } else {
+            return;
+        }
+
+        this.elements.timeOptions?.classList.add('hidden');
+    }
+
+    handleGoToFrame() {
+        if (!this.mediaController.canStepFrames) {
+            this.uiManager.showOsd('Frames can only be sought in video');
+            return;
+        }
+
+        const { frameRate, currentFrame } = this.mediaController;
+        this.uiManager.showFramePrompt({ frameRate, currentFrame });
+    }
+
+    handleFramePromptSubmit() {
+        const { frameInput } = this.elements;
+        if (!frameInput) return;
+
+        const frame = parseTimecode(frameInput.value, this.mediaController.frameRate);
+        if (frame === null) {
+            frameInput.setAttribute('aria-invalid', 'true');
+            frameInput.focus();
+            this.uiManager.showOsd('Not a valid frame or timecode');
+            return;
+        }
+
+        this.uiManager.hideFramePrompt();
+        this.mediaController.pause();
+        this.uiManager.showOsd(`Frame ${this.mediaController.seekToFrame(frame)}`);
+    }
+
+    // --- Chapter Options ---
+
+    handleChapterSelection(e) {
+        const li = e.target.closest('li[data-chapter-index]');
+        if (li) {
+            this.chapterController.seekToChapter(parseInt(li.dataset.chapterIndex, 10));
+            this.elements.chapterOptions?.classList.add('hidden');
+        }
+    }
+
+    // --- Subtitle Options ---
+
+    toggleSubtitleOptions() {
+        const { subtitleOptions } = this.elements;
+        if (subtitleOptions) {
+            subtitleOptions.classList.toggle('hidden');
+        }
+    }
+
+    handleSubtitleSelection(e) {
+        const li = e.target.closest('li[data-subtitle-id]');
         if (li) {
-            const speed = parseFloat(li.dataset.speed);
-            this.mediaController.setPlaybackRate(speed);
-            this.elements.speedOptions?.classList.add('hidden');
+            // An empty id is the "Off" entry
+            this.subtitleController.select(li.dataset.subtitleId || null);
+            this.elements.subtitleOptions?.classList.add('hidden');
         }
     }
 
@@ -535,4 +1001,17 @@ export class PlayerCore {
     }
 }
 
+/**
+ * Pick an enqueue mode from the modifier keys of a click or drop
+ * (Alt: play now, Ctrl/Cmd: play next, Shift: add to end)
+ * @param {MouseEvent|DragEvent} e
+ * @returns {string|null} ENQUEUE_MODE value, or null to ask
+ */
+function getEnqueueMode(e) {
+    if (e.altKey) return ENQUEUE_MODE.PLAY_NOW;
+    if (e.ctrlKey || e.metaKey) return ENQUEUE_MODE.PLAY_NEXT;
+    if (e.shiftKey) return ENQUEUE_MODE.APPEND;
+    return null;
+}
+
 export default PlayerCore;
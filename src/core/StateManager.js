@@ -3,8 +3,16 @@
  */
 
 import { eventBus } from './EventBus.js';
-import { PLAYER_CONFIG, EVENTS, MEDIA_TYPE, REPEAT_MODE } from '../utils/constants.js';
-import { storageGet, storageSet } from '../utils/helpers.js';
+import {
+    PLAYER_CONFIG,
+    EVENTS,
+    MEDIA_TYPE,
+    REPEAT_MODE,
+    SUBTITLE_RENDER_MODE,
+    DUPLICATE_MODE,
+    TIME_DISPLAY_MODE,
+} from '../utils/constants.js';
+import { storageGet, storageSet, generateId } from '../utils/helpers.js';
 
 class StateManager {
     constructor() {
@@ -16,6 +24,18 @@ class StateManager {
             playbackRate: PLAYER_CONFIG.DEFAULT_SPEED,
             isBuffering: false,
 
+            // Speed state: the speed for media without a default of its own,
+            // defaults per media type and the saved speed of the current file
+            generalSpeed: PLAYER_CONFIG.DEFAULT_SPEED,
+            mediaTypeSpeeds: {},
+            trackSpeed: null,
+            preservesPitch: true,
+
+            // Frame rate of the loaded video when detected, and the one assumed otherwise
+            detectedFrameRate: null,
+            frameRate: PLAYER_CONFIG.DEFAULT_FRAME_RATE,
+            timeDisplayMode: TIME_DISPLAY_MODE.STANDARD,
+
             // Volume state
             volume: PLAYER_CONFIG.DEFAULT_VOLUME,
             isMuted: false,
@@ -27,13 +47,24 @@ class StateManager {
             mediaArtist: '',
             mediaCover: null,
 
-            // Playlist state
+            // Playlist state (`playlist` holds the tracks of the active playlist)
             playlist: [],
             currentTrackIndex: -1,
             shuffleEnabled: false,
             repeatMode: REPEAT_MODE.OFF,
             shuffledOrder: [],
 
+            // Up-next queue: tracks of the playlist that play before the normal order
+            queue: [],
+
+            // Duplicate handling for added tracks
+            duplicateMode: DUPLICATE_MODE.SKIP,
+            duplicateContentHash: false,
+
+            // Named playlists as { id, name, tracks }
+            playlists: [],
+            activePlaylistId: null,
+
             // UI state
             theme: PLAYER_CONFIG.THEMES.DARK,
             isFullscreen: false,
@@ -44,8 +75,16 @@ class StateManager {
             // Subtitle state
             subtitlesEnabled: false,
             subtitleSrc: null,
+            subtitleRenderMode: SUBTITLE_RENDER_MODE.STYLED,
         };
 
+        // Undo/redo stacks of playlist snapshots, per named playlist id
+        this.playlistHistory = new Map();
+
+        const initial = createPlaylistEntry(PLAYER_CONFIG.DEFAULT_PLAYLIST_NAME, this.state.playlist);
+        this.state.playlists = [initial];
+        this.state.activePlaylistId = initial.id;
+
         this.loadPersistedState();
     }
 
@@ -67,8 +106,26 @@ class StateManager {
 
         const savedSpeed = storageGet(STORAGE_KEYS.PLAYBACK_SPEED);
         if (savedSpeed !== null) {
+            this.state.generalSpeed = savedSpeed;
             this.state.playbackRate = savedSpeed;
         }
+
+        this.state.mediaTypeSpeeds = storageGet(STORAGE_KEYS.MEDIA_TYPE_SPEEDS, {});
+        this.state.preservesPitch = storageGet(STORAGE_KEYS.PRESERVES_PITCH, true);
+        this.state.frameRate = storageGet(STORAGE_KEYS.FRAME_RATE, PLAYER_CONFIG.DEFAULT_FRAME_RATE);
+        this.state.timeDisplayMode = storageGet(STORAGE_KEYS.TIME_DISPLAY_MODE, TIME_DISPLAY_MODE.STANDARD);
+
+        const savedRenderMode = storageGet(STORAGE_KEYS.SUBTITLE_RENDER_MODE);
+        if (savedRenderMode) {
+            this.state.subtitleRenderMode = savedRenderMode;
+        }
+
+        const savedDuplicateMode = storageGet(STORAGE_KEYS.DUPLICATE_MODE);
+        if (savedDuplicateMode) {
+            this.state.duplicateMode = savedDuplicateMode;
+        }
+
+        this.state.duplicateContentHash = storageGet(STORAGE_KEYS.DUPLICATE_CONTENT_HASH, false);
     }
 
     /**
@@ -92,6 +149,12 @@ class StateManager {
         const previousState = { ...this.state };
         Object.assign(this.state, updates);
 
+        // Keep the active named playlist in step with `playlist`
+        if ('playlist' in updates) {
+            const active = this.getActivePlaylist();
+            if (active) active.tracks = this.state.playlist;
+        }
+
         // Persist specific state changes
         this.persistState(updates);
 
@@ -120,8 +183,37 @@ class StateManager {
             storageSet(STORAGE_KEYS.THEME, updates.theme);
         }
 
-        if ('playbackRate' in updates) {
-            storageSet(STORAGE_KEYS.PLAYBACK_SPEED, updates.playbackRate);
+        // Speeds from a file or media type default aren't saved as the general speed
+        if ('generalSpeed' in updates) {
+            storageSet(STORAGE_KEYS.PLAYBACK_SPEED, updates.generalSpeed);
+        }
+
+        if ('mediaTypeSpeeds' in updates) {
+            storageSet(STORAGE_KEYS.MEDIA_TYPE_SPEEDS, updates.mediaTypeSpeeds);
+        }
+
+        if ('preservesPitch' in updates) {
+            storageSet(STORAGE_KEYS.PRESERVES_PITCH, updates.preservesPitch);
+        }
+
+        if ('frameRate' in updates) {
+            storageSet(STORAGE_KEYS.FRAME_RATE, updates.frameRate);
+        }
+
+        if ('timeDisplayMode' in updates) {
+            storageSet(STORAGE_KEYS.TIME_DISPLAY_MODE, updates.timeDisplayMode);
+        }
+
+        if ('subtitleRenderMode' in updates) {
+            storageSet(STORAGE_KEYS.SUBTITLE_RENDER_MODE, updates.subtitleRenderMode);
+        }
+
+        if ('duplicateMode' in updates) {
+            storageSet(STORAGE_KEYS.DUPLICATE_MODE, updates.duplicateMode);
+        }
+
+        if ('duplicateContentHash' in updates) {
+            storageSet(STORAGE_KEYS.DUPLICATE_CONTENT_HASH, updates.duplicateContentHash);
         }
     }
 
@@ -130,17 +222,220 @@ class StateManager {
      * @param {Array} playlist - New playlist
      */
     setPlaylist(playlist) {
+        this.recordHistory(
+            playlist.length === 0 ? 'Clear playlist' : 'Replace playlist',
+            this.state.playlist.length > 0
+        );
+
         this.set({ playlist, currentTrackIndex: playlist.length > 0 ? 0 : -1 });
+        this.clearQueue();
         eventBus.emit(EVENTS.PLAYLIST_UPDATE, { playlist });
     }
 
     /**
-     * Add tracks to playlist
+     * Add tracks to playlist, keeping the current track and shuffle order
      * @param {Array} tracks - Tracks to add
      */
     addToPlaylist(tracks) {
-        const newPlaylist = [...this.state.playlist, ...tracks];
-        this.setPlaylist(newPlaylist);
+        this.recordHistory(describeTracks('Add', tracks.length));
+
+        const { playlist, currentTrackIndex, shuffledOrder } = this.state;
+        const newPlaylist = [...playlist, ...tracks];
+        const addedIndices = tracks.map((_, i) => playlist.length + i);
+
+        this.set({
+            playlist: newPlaylist,
+            currentTrackIndex: playlist.length === 0 && newPlaylist.length > 0 ? 0 : currentTrackIndex,
+            shuffledOrder: shuffledOrder.length > 0 ? [...shuffledOrder, ...addedIndices] : shuffledOrder,
+        });
+        eventBus.emit(EVENTS.PLAYLIST_UPDATE, { playlist: newPlaylist });
+    }
+
+    /**
+     * Insert tracks into the playlist, keeping the current track and shuffle
+     * order. In shuffle mode the new tracks follow the current one.
+     * @param {Array} tracks - Tracks to insert
+     * @param {number} index - Position of the first inserted track
+     */
+    insertIntoPlaylist(tracks, index) {
+        this.recordHistory(describeTracks('Add', tracks.length));
+
+        const { playlist, currentTrackIndex, shuffledOrder } = this.state;
+        const at = Math.max(0, Math.min(index, playlist.length));
+        const count = tracks.length;
+        const shift = (i) => (i >= at ? i + count : i);
+        const addedIndices = tracks.map((_, i) => at + i);
+
+        const newPlaylist = [...playlist.slice(0, at), ...tracks, ...playlist.slice(at)];
+
+        let newShuffledOrder = shuffledOrder;
+        if (shuffledOrder.length > 0) {
+            newShuffledOrder = shuffledOrder.map(shift);
+            const position = shuffledOrder.indexOf(currentTrackIndex) + 1;
+            newShuffledOrder.splice(position, 0, ...addedIndices);
+        }
+
+        this.set({
+            playlist: newPlaylist,
+            currentTrackIndex: currentTrackIndex >= 0 ? shift(currentTrackIndex) : currentTrackIndex,
+            shuffledOrder: newShuffledOrder,
+        });
+        eventBus.emit(EVENTS.PLAYLIST_UPDATE, { playlist: newPlaylist });
+    }
+
+    /**
+     * Put the playlist's tracks in a new order, keeping the current track and
+     * the shuffle order pointing at the same tracks
+     * @param {Array} playlist - The same tracks, reordered
+     * @param {string} [label] - Name of the edit for undo
+     */
+    reorderPlaylist(playlist, label = 'Reorder playlist') {
+        this.recordHistory(label);
+
+        const { playlist: previous, currentTrackIndex, shuffledOrder } = this.state;
+        const newIndexOf = new Map(playlist.map((track, index) => [track, index]));
+        const remap = (index) => newIndexOf.get(previous[index]);
+
+        this.set({
+            playlist,
+            currentTrackIndex: currentTrackIndex >= 0 ? remap(currentTrackIndex) : currentTrackIndex,
+            shuffledOrder: shuffledOrder.map(remap),
+        });
+        eventBus.emit(EVENTS.PLAYLIST_UPDATE, { playlist });
+    }
+
+    // --- Up-Next Queue ---
+
+    /**
+     * Queue tracks of the playlist to play before the normal order
+     * @param {Array} tracks
+     * @param {boolean} [next] - Put them at the front of the queue
+     */
+    queueTracks(tracks, next = false) {
+        const rest = this.state.queue.filter((track) => !tracks.includes(track));
+        this.setQueue(next ? [...tracks, ...rest] : [...rest, ...tracks]);
+    }
+
+    /**
+     * @param {Object} track
+     */
+    unqueueTrack(track) {
+        if (this.state.queue.includes(track)) {
+            this.setQueue(this.state.queue.filter((item) => item !== track));
+        }
+    }
+
+    clearQueue() {
+        if (this.state.queue.length > 0) {
+            this.setQueue([]);
+        }
+    }
+
+    /**
+     * @param {Array} queue
+     */
+    setQueue(queue) {
+        this.set({ queue });
+        eventBus.emit(EVENTS.QUEUE_CHANGE, { queue });
+    }
+
+    /**
+     * Index of the first queued track that is in the playlist and playable.
+     * Queued tracks of other named playlists wait until that list is shown.
+     * @returns {number} Playlist index or -1
+     */
+    getQueuedTrackIndex() {
+        const { playlist, queue } = this.state;
+
+        for (const track of queue) {
+            const index = playlist.indexOf(track);
+            if (index >= 0 && !track.unavailable) return index;
+        }
+
+        return -1;
+    }
+
+    // --- Named Playlists ---
+
+    /**
+     * @returns {Object|null} Active named playlist { id, name, tracks }
+     */
+    getActivePlaylist() {
+        return this.getPlaylistById(this.state.activePlaylistId);
+    }
+
+    /**
+     * @param {string} id
+     * @returns {Object|null} Named playlist { id, name, tracks }
+     */
+    getPlaylistById(id) {
+        return this.state.playlists.find((entry) => entry.id === id) || null;
+    }
+
+    /**
+     * Add a named playlist
+     * @param {string} name
+     * @param {Array} [tracks]
+     * @returns {Object} The new { id, name, tracks } entry
+     */
+    addNamedPlaylist(name, tracks = []) {
+        const entry = createPlaylistEntry(name, tracks);
+        this.set({ playlists: [...this.state.playlists, entry] });
+        this.emitPlaylistsChange();
+        return entry;
+    }
+
+    /**
+     * Change a named playlist's name or tracks. Tracks of the active playlist
+     * change through `playlist` instead.
+     * @param {string} id
+     * @param {Object} changes - { name, tracks }
+     */
+    updateNamedPlaylist(id, changes) {
+        const playlists = this.state.playlists.map((entry) => (entry.id === id ? { ...entry, ...changes } : entry));
+        this.set({ playlists });
+        this.emitPlaylistsChange();
+    }
+
+    /**
+     * Remove a named playlist; the active one can't be removed
+     * @param {string} id
+     */
+    removeNamedPlaylist(id) {
+        if (id === this.state.activePlaylistId) return;
+
+        this.playlistHistory.delete(id);
+        this.set({ playlists: this.state.playlists.filter((entry) => entry.id !== id) });
+        this.emitPlaylistsChange();
+    }
+
+    /**
+     * Show another named playlist. Playback isn't touched: the current track
+     * stays highlighted if the new list contains it.
+     * @param {string} id
+     * @param {Object|null} playingTrack - Track currently loaded in the player
+     */
+    setActivePlaylist(id, playingTrack = null) {
+        const entry = this.getPlaylistById(id);
+        if (!entry || id === this.state.activePlaylistId) return;
+
+        const currentTrackIndex = entry.tracks.indexOf(playingTrack);
+
+        this.set({
+            activePlaylistId: id,
+            playlist: entry.tracks,
+            currentTrackIndex,
+            shuffledOrder: this.state.shuffleEnabled ? createShuffledOrder(entry.tracks.length, currentTrackIndex) : [],
+        });
+        this.emitPlaylistsChange();
+        eventBus.emit(EVENTS.PLAYLIST_UPDATE, { playlist: entry.tracks });
+    }
+
+    emitPlaylistsChange() {
+        eventBus.emit(EVENTS.PLAYLISTS_CHANGE, {
+            playlists: this.state.playlists,
+            activePlaylistId: this.state.activePlaylistId,
+        });
     }
 
     /**
@@ -148,18 +443,44 @@ class StateManager {
      * @param {number} index - Track index
      */
     removeFromPlaylist(index) {
-        const newPlaylist = this.state.playlist.filter((_, i) => i !== index);
-        let newIndex = this.state.currentTrackIndex;
+        this.removeManyFromPlaylist([index]);
+    }
+
+    /**
+     * Remove several tracks at once. If the current track goes, the index
+     * moves to the track that took its place (or the new last track).
+     * @param {Array<number>} indices - Track indices
+     */
+    removeManyFromPlaylist(indices) {
+        const { playlist, currentTrackIndex, shuffledOrder, queue } = this.state;
+        const removed = new Set(indices);
+        if (removed.size === 0) return;
+
+        this.recordHistory(describeTracks('Remove', removed.size), true);
+
+        const newPlaylist = playlist.filter((_, i) => !removed.has(i));
+
+        // Old index -> new index for the tracks that stay
+        const newIndexOf = new Map();
+        let keptBefore = 0;
+        playlist.forEach((_, i) => {
+            if (removed.has(i)) return;
+            if (i < currentTrackIndex) keptBefore++;
+            newIndexOf.set(i, newIndexOf.size);
+        });
+
+        const newIndex =
+            currentTrackIndex >= 0 ? Math.min(keptBefore, newPlaylist.length - 1) : currentTrackIndex;
 
-        if (index < newIndex) {
-            newIndex--;
-        } else if (index === newIndex) {
-            newIndex = Math.min(newIndex, newPlaylist.length - 1);
+        const removedTracks = playlist.filter((_, i) => removed.has(i));
+        if (queue.some((track) => removedTracks.includes(track))) {
+            this.setQueue(queue.filter((track) => !removedTracks.includes(track)));
         }
 
         this.set({
             playlist: newPlaylist,
             currentTrackIndex: newIndex,
+            shuffledOrder: shuffledOrder.filter((i) => newIndexOf.has(i)).map((i) => newIndexOf.get(i)),
         });
         eventBus.emit(EVENTS.PLAYLIST_UPDATE, { playlist: newPlaylist });
     }
@@ -167,13 +488,18 @@ class StateManager {
     /**
      * Set current track by index
      * @param {number} index - Track index
+     * @param {Object} [options] - { autoPlay, startTime } passed along with TRACK_CHANGE
      */
-    setCurrentTrack(index) {
+    setCurrentTrack(index, options = {}) {
         if (index >= 0 && index < this.state.playlist.length) {
+            // Playing a queued track takes it off the queue
+            this.unqueueTrack(this.state.playlist[index]);
+
             this.set({ currentTrackIndex: index });
             eventBus.emit(EVENTS.TRACK_CHANGE, {
                 track: this.state.playlist[index],
                 index,
+                ...options,
             });
         }
     }
@@ -188,12 +514,24 @@ class StateManager {
     }
 
     /**
-     * Get next track index
+     * Get next track index: the up-next queue first, then the play order,
+     * skipping entries whose files are unavailable
      * @returns {number} Next track index or -1
      */
     getNextTrackIndex() {
-        const { playlist, currentTrackIndex, repeatMode, shuffleEnabled, shuffledOrder } =
-            this.state;
+        const queuedIndex = this.getQueuedTrackIndex();
+        if (queuedIndex >= 0) return queuedIndex;
+
+        return this.findPlayableIndex((index) => this.getNextIndexFrom(index));
+    }
+
+    /**
+     * Get the index after a given one in play order
+     * @param {number} currentTrackIndex
+     * @returns {number} Next index or -1
+     */
+    getNextIndexFrom(currentTrackIndex) {
+        const { playlist, repeatMode, shuffleEnabled, shuffledOrder } = this.state;
 
         if (playlist.length === 0) return -1;
 
@@ -224,11 +562,20 @@ class StateManager {
     }
 
     /**
-     * Get previous track index
+     * Get previous track index, skipping entries whose files are unavailable
      * @returns {number} Previous track index or -1
      */
     getPreviousTrackIndex() {
-        const { playlist, currentTrackIndex, shuffleEnabled, shuffledOrder } = this.state;
+        return this.findPlayableIndex((index) => this.getPreviousIndexFrom(index));
+    }
+
+    /**
+     * Get the index before a given one in play order
+     * @param {number} currentTrackIndex
+     * @returns {number} Previous index or -1
+     */
+    getPreviousIndexFrom(currentTrackIndex) {
+        const { playlist, shuffleEnabled, shuffledOrder } = this.state;
 
         if (playlist.length === 0) return -1;
 
@@ -242,29 +589,131 @@ class StateManager {
         return currentTrackIndex > 0 ? currentTrackIndex - 1 : playlist.length - 1;
     }
 
+    /**
+     * Step through the playlist until a playable track is found
+     * @param {Function} step - Maps an index to the following one (or -1)
+     * @returns {number} Playable index or -1
+     */
+    findPlayableIndex(step) {
+        let index = this.state.currentTrackIndex;
+
+        for (let i = 0; i < this.state.playlist.length; i++) {
+            index = step(index);
+            if (index < 0 || !this.state.playlist[index].unavailable) return index;
+        }
+
+        return -1;
+    }
+
     /**
      * Toggle shuffle mode
      */
     toggleShuffle() {
         const shuffleEnabled = !this.state.shuffleEnabled;
-        let shuffledOrder = [];
+        this.recordHistory(shuffleEnabled ? 'Shuffle on' : 'Shuffle off');
 
-        if (shuffleEnabled) {
-            // Create shuffled order excluding current track, then add it at the start
-            const indices = this.state.playlist
-                .map((_, i) => i)
-                .filter((i) => i !== this.state.currentTrackIndex);
+        const shuffledOrder = shuffleEnabled
+            ? createShuffledOrder(this.state.playlist.length, this.state.currentTrackIndex)
+            : [];
 
-            for (let i = indices.length - 1; i > 0; i--) {
-                const j = Math.floor(Math.random() * (i + 1));
-                [indices[i], indices[j]] = [indices[j], indices[i]];
-            }
+        this.set({ shuffleEnabled, shuffledOrder });
+        eventBus.emit(EVENTS.SHUFFLE_TOGGLE, { shuffleEnabled });
+    }
 
-            shuffledOrder = [this.state.currentTrackIndex, ...indices];
+    // --- Undo / Redo ---
+
+    /**
+     * Remember the active playlist before an edit so it can be undone
+     * @param {string} label - Name of the edit, shown when undoing it
+     * @param {boolean} [destructive] - The edit drops tracks
+     */
+    recordHistory(label, destructive = false) {
+        const history = this.getHistory();
+
+        history.undo.push(this.createSnapshot(label));
+        if (history.undo.length > PLAYER_CONFIG.PLAYLIST_HISTORY_LIMIT) {
+            history.undo.shift();
         }
+        history.redo = [];
 
-        this.set({ shuffleEnabled, shuffledOrder });
-        eventBus.emit(EVENTS.SHUFFLE_TOGGLE, { shuffleEnabled });
+        eventBus.emit(EVENTS.HISTORY_CHANGE, { action: 'edit', label, destructive });
+    }
+
+    /**
+     * Undo the last edit of the active playlist
+     * @returns {boolean} Whether there was anything to undo
+     */
+    undo() {
+        return this.stepHistory('undo', 'redo');
+    }
+
+    /**
+     * Redo the last undone edit of the active playlist
+     * @returns {boolean} Whether there was anything to redo
+     */
+    redo() {
+        return this.stepHistory('redo', 'undo');
+    }
+
+    /**
+     * Move one snapshot between the undo and redo stacks and apply it
+     * @param {string} from - 'undo' or 'redo'
+     * @param {string} to - The other stack
+     * @returns {boolean}
+     */
+    stepHistory(from, to) {
+        const history = this.getHistory();
+        const snapshot = history[from].pop();
+        if (!snapshot) return false;
+
+        history[to].push(this.createSnapshot(snapshot.label));
+        this.restoreSnapshot(snapshot);
+
+        eventBus.emit(EVENTS.HISTORY_CHANGE, { action: from, label: snapshot.label, destructive: false });
+        return true;
+    }
+
+    /**
+     * @param {string} [id] - Named playlist id (defaults to the active one)
+     * @returns {Object} { undo, redo } snapshot stacks
+     */
+    getHistory(id = this.state.activePlaylistId) {
+        if (!this.playlistHistory.has(id)) {
+            this.playlistHistory.set(id, { undo: [], redo: [] });
+        }
+        return this.playlistHistory.get(id);
+    }
+
+    /**
+     * Playlist arrays are replaced on every edit, never changed in place,
+     * so a snapshot can hold on to them directly
+     * @param {string} label
+     * @returns {Object}
+     */
+    createSnapshot(label) {
+        const { playlist, shuffleEnabled, shuffledOrder } = this.state;
+        return { label, playlist, shuffleEnabled, shuffledOrder };
+    }
+
+    /**
+     * Bring back a snapshot without interrupting playback: the current track
+     * keeps playing and stays highlighted if the snapshot contains it
+     * @param {Object} snapshot
+     */
+    restoreSnapshot({ playlist, shuffleEnabled, shuffledOrder }) {
+        const shuffleChanged = shuffleEnabled !== this.state.shuffleEnabled;
+
+        this.set({
+            playlist,
+            currentTrackIndex: playlist.indexOf(this.getCurrentTrack()),
+            shuffleEnabled,
+            shuffledOrder,
+        });
+        eventBus.emit(EVENTS.PLAYLIST_UPDATE, { playlist });
+
+        if (shuffleChanged) {
+            eventBus.emit(EVENTS.SHUFFLE_TOGGLE, { shuffleEnabled });
+        }
     }
 
     /**
@@ -280,6 +729,41 @@ class StateManager {
     }
 }
 
+/**
+ * Create a shuffled play order that starts with the current track
+ * @param {number} length - Playlist length
+ * @param {number} currentIndex - Current track index, or -1
+ * @returns {Array<number>}
+ */
+function createShuffledOrder(length, currentIndex) {
+    const indices = Array.from({ length }, (_, i) => i).filter((i) => i !== currentIndex);
+
+    for (let i = indices.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [indices[i], indices[j]] = [indices[j], indices[i]];
+    }
+
+    return currentIndex >= 0 ? [currentIndex, ...indices] : indices;
+}
+
+/**
+ * @param {string} verb
+ * @param {number} count
+ * @returns {string} "Remove track", "Add 12 tracks", ...
+ */
+function describeTracks(verb, count) {
+    return count === 1 ? `${verb} track` : `${verb} ${count} tracks`;
+}
+
+/**
+ * @param {string} name
+ * @param {Array} tracks
+ * @returns {Object} Named playlist { id, name, tracks }
+ */
+function createPlaylistEntry(name, tracks = []) {
+    return { id: generateId(), name, tracks };
+}
+
 // Singleton instance
 export const stateManager = new StateManager();
 export default StateManager;
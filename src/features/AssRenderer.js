@@ -0,0 +1,299 @@
+/**
+ * AssRenderer - DOM overlay renderer for styled ASS/SSA subtitles
+ */
+
+import { eventBus } from '../core/EventBus.js';
+import { EVENTS } from '../utils/constants.js';
+import { createElement, debounce } from '../utils/helpers.js';
+
+// Numpad alignment: 1-3 bottom, 4-6 middle, 7-9 top; columns left/center/right
+const ALIGN_COLUMNS = ['left', 'center', 'right'];
+
+export class AssRenderer {
+    constructor(containerElement, mediaElement) {
+        this.container = containerElement;
+        this.media = mediaElement;
+
+        this.script = null;
+        this.visible = false;
+        this.activeKey = '';
+        this.scaleX = 1;
+        this.scaleY = 1;
+        this.borderScale = 1;
+
+        // Timing adjustment: media time = script time * stretch + delay
+        this.delay = 0;
+        this.stretch = 1;
+
+        this.overlay = createElement('div', { className: 'ass-overlay hidden' });
+
+        this.init();
+    }
+
+    init() {
+        this.container?.appendChild(this.overlay);
+        this.attachEventListeners();
+        this.subscribeToEvents();
+    }
+
+    attachEventListeners() {
+        window.addEventListener('resize', debounce(() => this.layout(), 100));
+        this.media?.addEventListener('loadedmetadata', () => this.layout());
+    }
+
+    subscribeToEvents() {
+        eventBus.on(EVENTS.TIME_UPDATE, ({ currentTime }) => this.update(currentTime));
+        eventBus.on(EVENTS.SEEK, ({ time }) => this.update(time));
+        eventBus.on(EVENTS.FULLSCREEN_CHANGE, () => this.layout());
+    }
+
+    // --- Script Management ---
+
+    /**
+     * Load a parsed ASS/SSA script
+     * @param {Object} script - Result of parseAss()
+     */
+    load(script) {
+        this.script = script;
+        this.layout();
+    }
+
+    /**
+     * Remove the current script and clear the overlay
+     */
+    clear() {
+        this.script = null;
+        this.hide();
+    }
+
+    show() {
+        this.visible = true;
+        this.overlay.classList.remove('hidden');
+        this.layout();
+    }
+
+    hide() {
+        this.visible = false;
+        this.overlay.classList.add('hidden');
+        this.overlay.innerHTML = '';
+        this.activeKey = '';
+    }
+
+    /**
+     * Shift and stretch event times without reloading the script
+     * @param {number} delay - Offset in seconds
+     * @param {number} stretch - Time scale factor
+     */
+    setTiming(delay, stretch = 1) {
+        this.delay = delay;
+        this.stretch = stretch;
+        this.activeKey = '';
+        this.update(this.media?.currentTime || 0);
+    }
+
+    // --- Layout ---
+
+    /**
+     * Fit the overlay to the displayed video frame and recompute the script scale
+     */
+    layout() {
+        if (!this.container || !this.script) return;
+
+        const containerWidth = this.container.clientWidth;
+        const containerHeight = this.container.clientHeight;
+        const videoWidth = this.media?.videoWidth || containerWidth;
+        const videoHeight = this.media?.videoHeight || containerHeight;
+
+        if (!containerWidth || !containerHeight || !videoWidth || !videoHeight) return;
+
+        // The video is letterboxed with object-fit: contain
+        const ratio = Math.min(containerWidth / videoWidth, containerHeight / videoHeight);
+        const width = videoWidth * ratio;
+        const height = videoHeight * ratio;
+
+        Object.assign(this.overlay.style, {
+            left: `${(containerWidth - width) / 2}px`,
+            top: `${(containerHeight - height) / 2}px`,
+            width: `${width}px`,
+            height: `${height}px`,
+        });
+
+        const { playResX, playResY } = this.script.info;
+        this.scaleX = width / playResX;
+        this.scaleY = height / playResY;
+
+        // Outline and shadow widths are script pixels only with ScaledBorderAndShadow: yes
+        this.borderScale = this.script.info.scaledBorderAndShadow ? this.scaleY : 1;
+
+        // Force a re-render at the new scale
+        this.activeKey = '';
+        this.update(this.media?.currentTime || 0);
+    }
+
+    // --- Rendering ---
+
+    /**
+     * Render the events active at the given time
+     * @param {number} time - Playback time in seconds
+     */
+    update(time) {
+        if (!this.script || !this.visible) return;
+
+        const scriptTime = (time - this.delay) / this.stretch;
+        const active = [];
+        this.script.events.forEach((event, index) => {
+            if (event.start <= scriptTime && scriptTime < event.end) {
+                active.push(index);
+            }
+        });
+
+        // Only touch the DOM when the set of active events changes
+        const key = active.join(',');
+        if (key === this.activeKey) return;
+        this.activeKey = key;
+
+        this.render(active.map((index) => this.script.events[index]));
+    }
+
+    /**
+     * Render a set of events into the overlay
+     * @param {Array} events
+     */
+    render(events) {
+        this.overlay.innerHTML = '';
+        const stacks = new Map();
+
+        for (const event of events) {
+            const element = this.createEventElement(event);
+
+            if (event.position) {
+                this.positionAbsolute(element, event);
+                this.overlay.appendChild(element);
+                continue;
+            }
+
+            // Unpositioned events with the same alignment stack instead of overlapping
+            if (!stacks.has(event.alignment)) {
+                const stack = this.createStack(event);
+                stacks.set(event.alignment, stack);
+                this.overlay.appendChild(stack);
+            }
+            stacks.get(event.alignment).appendChild(element);
+        }
+    }
+
+    /**
+     * Create the element for one dialogue event
+     * @param {Object} event
+     * @returns {HTMLElement}
+     */
+    createEventElement(event) {
+        const column = ALIGN_COLUMNS[(event.alignment - 1) % 3];
+        const element = createElement('div', { className: 'ass-event' });
+        element.style.textAlign = column;
+        element.style.zIndex = String(event.layer);
+
+        for (const run of event.runs) {
+            element.appendChild(this.createRunElement(run, event.borderStyle));
+        }
+
+        return element;
+    }
+
+    /**
+     * Create a styled span for a text run
+     * @param {Object} run
+     * @param {number} borderStyle - 1 = outline + shadow, 3 = opaque box
+     * @returns {HTMLElement}
+     */
+    createRunElement(run, borderStyle) {
+        const span = createElement('span', {}, run.text);
+        const outline = run.outline * this.borderScale;
+        const shadow = run.shadow * this.borderScale;
+        const decorations = [run.underline && 'underline', run.strikeout && 'line-through'].filter(Boolean);
+
+        Object.assign(span.style, {
+            color: run.color,
+            fontFamily: `"${run.fontName}", sans-serif`,
+            fontSize: `${run.fontSize * this.scaleY}px`,
+            fontWeight: run.bold ? '700' : '400',
+            fontStyle: run.italic ? 'italic' : 'normal',
+            textDecoration: decorations.join(' ') || 'none',
+        });
+
+        if (borderStyle === 3) {
+            span.style.backgroundColor = run.outlineColor;
+            span.style.padding = `0 ${outline}px`;
+        } else {
+            const shadows = [];
+            if (outline > 0) {
+                for (let angle = 0; angle < 360; angle += 45) {
+                    const radians = (angle * Math.PI) / 180;
+                    const dx = (Math.cos(radians) * outline).toFixed(2);
+                    const dy = (Math.sin(radians) * outline).toFixed(2);
+                    shadows.push(`${dx}px ${dy}px 0 ${run.outlineColor}`);
+                }
+            }
+            if (shadow > 0) {
+                shadows.push(`${shadow}px ${shadow}px 0 ${run.backColor}`);
+            }
+            span.style.textShadow = shadows.join(', ') || 'none';
+        }
+
+        return span;
+    }
+
+    /**
+     * Place an event with a \pos override, anchored according to its alignment
+     * @param {HTMLElement} element
+     * @param {Object} event
+     */
+    positionAbsolute(element, event) {
+        const column = (event.alignment - 1) % 3;
+        const row = Math.floor((event.alignment - 1) / 3); // 0 bottom, 1 middle, 2 top
+        const translateX = -50 * column;
+        const translateY = [-100, -50, 0][row];
+
+        Object.assign(element.style, {
+            position: 'absolute',
+            left: `${event.position.x * this.scaleX}px`,
+            top: `${event.position.y * this.scaleY}px`,
+            transform: `translate(${translateX}%, ${translateY}%)`,
+        });
+    }
+
+    /**
+     * Create a stacking container for unpositioned events of one alignment
+     * @param {Object} event - First event of the group, used for margins
+     * @returns {HTMLElement}
+     */
+    createStack(event) {
+        const row = Math.floor((event.alignment - 1) / 3);
+        const stack = createElement('div', { className: 'ass-stack' });
+
+        Object.assign(stack.style, {
+            left: `${event.marginL * this.scaleX}px`,
+            right: `${event.marginR * this.scaleX}px`,
+        });
+
+        if (row === 0) {
+            stack.style.bottom = `${event.marginV * this.scaleY}px`;
+            stack.style.flexDirection = 'column-reverse';
+        } else if (row === 2) {
+            stack.style.top = `${event.marginV * this.scaleY}px`;
+        } else {
+            stack.style.top = '50%';
+            stack.style.transform = 'translateY(-50%)';
+        }
+
+        return stack;
+    }
+
+    // --- Getters ---
+
+    get hasScript() {
+        return !!this.script;
+    }
+}
+
+export default AssRenderer;
@@ -0,0 +1,235 @@
+/**
+ * BookmarkManager - Named bookmarks per media file, saved by media identity
+ */
+
+import { eventBus } from '../core/EventBus.js';
+import { EVENTS, PLAYER_CONFIG, BOOKMARK_FORMAT } from '../utils/constants.js';
+import { downloadTextFile, generateId, getTrackIdentity, storageMapGet, storageMapSet } from '../utils/helpers.js';
+import { parseBookmarks, serializeBookmarksJson, serializeBookmarksVtt } from '../utils/bookmarks.js';
+
+const { STORAGE_KEYS } = PLAYER_CONFIG;
+
+// Imported bookmarks this close to an existing one with the same name are skipped (seconds)
+const SAME_TIME_TOLERANCE = 0.05;
+
+export class BookmarkManager {
+    constructor(mediaController) {
+        this.mediaController = mediaController;
+
+        this.track = null;
+        this.identity = null;
+        // { id, time, name }, sorted by time (track time, so CUE tracks start at 0)
+        this.bookmarks = [];
+
+        this.init();
+    }
+
+    init() {
+        this.subscribeToEvents();
+    }
+
+    subscribeToEvents() {
+        eventBus.on(EVENTS.MEDIA_LOAD, ({ track }) => this.onMediaLoad(track));
+    }
+
+    /**
+     * @param {Object} track
+     */
+    onMediaLoad(track) {
+        this.track = track;
+        this.identity = getTrackIdentity(track);
+
+        const saved = this.identity ? storageMapGet(STORAGE_KEYS.BOOKMARKS, this.identity) : null;
+        this.bookmarks = (saved?.bookmarks || []).map((bookmark) => ({ ...bookmark, id: generateId() }));
+
+        this.emitChange(null);
+    }
+
+    // --- Editing ---
+
+    /**
+     * Bookmark a moment of the current media
+     * @param {string} [name] - Defaults to "Bookmark n"
+     * @param {number} [time] - Track time, defaults to the current position
+     * @returns {Object|null} The bookmark, or null if the media can't be identified
+     */
+    addBookmark(name = '', time = this.mediaController.currentTime) {
+        if (!this.identity) return null;
+
+        const bookmark = {
+            id: generateId(),
+            time,
+            name: name.trim() || `Bookmark ${this.bookmarks.length + 1}`,
+        };
+        this.setBookmarks([...this.bookmarks, bookmark], 'add', bookmark);
+
+        return bookmark;
+    }
+
+    /**
+     * @param {string} id
+     * @param {string} name
+     */
+    renameBookmark(id, name) {
+        const trimmed = name.trim();
+        if (!trimmed) return;
+
+        this.setBookmarks(
+            this.bookmarks.map((bookmark) => (bookmark.id === id ? { ...bookmark, name: trimmed } : bookmark)),
+            'rename'
+        );
+    }
+
+    /**
+     * @param {string} id
+     */
+    removeBookmark(id) {
+        this.setBookmarks(
+            this.bookmarks.filter((bookmark) => bookmark.id !== id),
+            'remove'
+        );
+    }
+
+    /**
+     * Replace, sort and save the bookmarks of the current media
+     * @param {Array} bookmarks
+     * @param {string} reason - What changed, for on-screen feedback
+     * @param {Object} [bookmark] - The bookmark concerned
+     */
+    setBookmarks(bookmarks, reason, bookmark = null) {
+        this.bookmarks = [...bookmarks].sort((a, b) => a.time - b.time);
+
+        if (this.identity) {
+            storageMapSet(
+                STORAGE_KEYS.BOOKMARKS,
+                this.identity,
+                this.bookmarks.length > 0
+                    ? { bookmarks: this.bookmarks.map(({ time, name }) => ({ time, name })) }
+                    : null,
+                PLAYER_CONFIG.BOOKMARKS_MAX_ENTRIES
+            );
+        }
+
+        this.emitChange(reason, bookmark);
+    }
+
+    /**
+     * @param {string|null} reason
+     * @param {Object} [bookmark]
+     */
+    emitChange(reason, bookmark = null) {
+        eventBus.emit(EVENTS.BOOKMARKS_CHANGE, {
+            bookmarks: this.bookmarks,
+            canBookmark: this.identity !== null,
+            reason,
+            bookmark,
+        });
+    }
+
+    // --- Navigation ---
+
+    /**
+     * @param {string} id
+     */
+    seekTo(id) {
+        const bookmark = this.bookmarks.find((item) => item.id === id);
+        if (bookmark) {
+            this.mediaController.seek(bookmark.time);
+        }
+    }
+
+    /**
+     * Jump to the bookmark before the current position; just after a bookmark
+     * this goes to the one before it, so repeated presses keep going back
+     * @returns {Object|null} The bookmark jumped to
+     */
+    jumpToPrevious() {
+        const limit = this.mediaController.currentTime - PLAYER_CONFIG.BOOKMARK_PREVIOUS_TOLERANCE;
+        const bookmark = this.bookmarks.findLast((item) => item.time < limit) || null;
+
+        if (bookmark) this.mediaController.seek(bookmark.time);
+        return bookmark;
+    }
+
+    /**
+     * @returns {Object|null} The bookmark jumped to
+     */
+    jumpToNext() {
+        const current = this.mediaController.currentTime;
+        const bookmark = this.bookmarks.find((item) => item.time > current + SAME_TIME_TOLERANCE) || null;
+
+        if (bookmark) this.mediaController.seek(bookmark.time);
+        return bookmark;
+    }
+
+    // --- Import / Export ---
+
+    /**
+     * Download the current media's bookmarks
+     * @param {string} format - BOOKMARK_FORMAT value
+     */
+    exportBookmarks(format = BOOKMARK_FORMAT.JSON) {
+        if (this.bookmarks.length === 0) return;
+
+        const baseName = (this.track?.filename || this.track?.name || 'media').replace(/\.[^.]+$/, '');
+
+        if (format === BOOKMARK_FORMAT.VTT) {
+            downloadTextFile(
+                serializeBookmarksVtt(this.bookmarks, this.mediaController.duration),
+                `${baseName}.chapters.vtt`,
+                'text/vtt'
+            );
+        } else {
+            downloadTextFile(
+                serializeBookmarksJson(this.bookmarks, this.track?.name),
+                `${baseName}.bookmarks.json`,
+                'application/json'
+            );
+        }
+    }
+
+    /**
+     * Add the bookmarks of a JSON or WebVTT chapters file to the current media
+     * @param {File} file
+     * @returns {Promise<number>} Number of bookmarks added
+     */
+    async importBookmarks(file) {
+        if (!this.identity) return 0;
+
+        let imported;
+        try {
+            imported = parseBookmarks(await file.text());
+        } catch (error) {
+            console.error('Error importing bookmarks:', error);
+            eventBus.emit(EVENTS.BOOKMARKS_IMPORT, { count: 0, error });
+            return 0;
+        }
+
+        const duration = this.mediaController.duration;
+        const added = imported
+            .filter(({ time }) => !duration || time <= duration)
+            .filter(({ time, name }) => !this.bookmarks.some(
+                (item) => item.name === name && Math.abs(item.time - time) < SAME_TIME_TOLERANCE
+            ))
+            .map(({ time, name }, index) => ({
+                id: generateId(),
+                time,
+                name: name.trim() || `Bookmark ${this.bookmarks.length + index + 1}`,
+            }));
+
+        if (added.length > 0) {
+            this.setBookmarks([...this.bookmarks, ...added], 'import');
+        }
+        eventBus.emit(EVENTS.BOOKMARKS_IMPORT, { count: added.length, error: null });
+
+        return added.length;
+    }
+
+    // --- Getters ---
+
+    get canBookmark() {
+        return this.identity !== null;
+    }
+}
+
+export default BookmarkManager;
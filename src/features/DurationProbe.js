@@ -0,0 +1,149 @@
+/**
+ * DurationProbe - Fills in playlist track durations in the background
+ */
+
+import { eventBus } from '../core/EventBus.js';
+import { stateManager } from '../core/StateManager.js';
+import { EVENTS, PLAYER_CONFIG, MEDIA_TYPE } from '../utils/constants.js';
+import { readDuration } from '../utils/metadata/duration.js';
+
+export class DurationProbe {
+    constructor() {
+        this.queue = [];
+        this.activeProbes = 0;
+        this.seen = new WeakSet();
+
+        this.pendingUpdates = 0;
+        this.flushTimeout = null;
+
+        this.init();
+    }
+
+    init() {
+        this.subscribeToEvents();
+    }
+
+    subscribeToEvents() {
+        eventBus.on(EVENTS.PLAYLIST_UPDATE, () => this.enqueue(stateManager.get('playlist')));
+    }
+
+    // --- Queue ---
+
+    /**
+     * Queue tracks that don't have a duration yet
+     * @param {Array} tracks
+     */
+    enqueue(tracks) {
+        for (const track of tracks) {
+            if (track.duration || this.seen.has(track)) continue;
+            if (!track.file && !track.url) continue;
+
+            this.seen.add(track);
+            this.queue.push(track);
+        }
+
+        this.pump();
+    }
+
+    /**
+     * Start probes until the concurrency limit is reached
+     */
+    pump() {
+        while (this.activeProbes < PLAYER_CONFIG.DURATION_PROBE_CONCURRENCY && this.queue.length > 0) {
+            const track = this.queue.shift();
+
+            // Skip tracks that left the playlist while they were queued (removed,
+            // or another named playlist shown); they are queued again if they come back
+            if (!stateManager.get('playlist').includes(track)) {
+                this.seen.delete(track);
+                continue;
+            }
+
+            this.activeProbes++;
+            this.probe(track)
+                .then((duration) => {
+                    if (duration && !track.duration) {
+                        // The last CUE track of a file runs to the end of it
+                        track.duration = duration - (track.segment?.start || 0);
+                        this.scheduleUpdate();
+                    }
+                })
+                .catch((error) => console.warn(`Could not probe duration of ${track.name}:`, error))
+                .finally(() => {
+                    this.activeProbes--;
+                    this.pump();
+                });
+        }
+    }
+
+    // --- Probing ---
+
+    /**
+     * Get a track's duration, preferring container headers over a media element
+     * @param {Object} track
+     * @returns {Promise<number|null>}
+     */
+    async probe(track) {
+        if (track.file) {
+            const duration = await readDuration(track.file).catch(() => null);
+            if (duration) return duration;
+        }
+
+        return track.url ? this.probeWithMediaElement(track) : null;
+    }
+
+    /**
+     * Load only the metadata of a track in an off-screen media element
+     * @param {Object} track
+     * @returns {Promise<number|null>}
+     */
+    probeWithMediaElement(track) {
+        return new Promise((resolve) => {
+            const media = document.createElement(track.type === MEDIA_TYPE.VIDEO ? 'video' : 'audio');
+            media.preload = 'metadata';
+            media.muted = true;
+
+            let settled = false;
+
+            const finish = (duration) => {
+                if (settled) return;
+                settled = true;
+                clearTimeout(timeout);
+                media.removeAttribute('src');
+                media.load();
+                resolve(duration > 0 && isFinite(duration) ? duration : null);
+            };
+
+            const timeout = setTimeout(() => finish(null), PLAYER_CONFIG.DURATION_PROBE_TIMEOUT);
+            media.addEventListener('loadedmetadata', () => finish(media.duration), { once: true });
+            media.addEventListener('error', () => finish(null), { once: true });
+
+            media.src = track.url;
+        });
+    }
+
+    // --- Batched Updates ---
+
+    /**
+     * Emit PLAYLIST_UPDATE once enough durations arrived or after a short delay
+     */
+    scheduleUpdate() {
+        this.pendingUpdates++;
+
+        if (this.pendingUpdates >= PLAYER_CONFIG.DURATION_PROBE_BATCH_SIZE) {
+            this.flush();
+        } else if (!this.flushTimeout) {
+            this.flushTimeout = setTimeout(() => this.flush(), PLAYER_CONFIG.DURATION_PROBE_BATCH_DELAY);
+        }
+    }
+
+    flush() {
+        clearTimeout(this.flushTimeout);
+        this.flushTimeout = null;
+        this.pendingUpdates = 0;
+
+        eventBus.emit(EVENTS.PLAYLIST_UPDATE, { playlist: stateManager.get('playlist') });
+    }
+}
+
+export default DurationProbe;
@@ -9,12 +9,31 @@ import {
     getFileExtension,
     getMediaType,
     isFileSystemAccessSupported,
+    isSubtitleFile,
+    isPlaylistFile,
+    isCueFile,
+    getDirectoryPath,
     generateId,
 } from '../utils/helpers.js';
+import { createSubtitleEntry, parseSubtitleFilename } from '../utils/subtitleParser.js';
+import { parsePlaylist, isRemoteLocation, resolvePlaylistPath } from '../utils/playlistParser.js';
+import { parseCue } from '../utils/cueParser.js';
+import { readId3Tags } from '../utils/metadata/id3.js';
+import { readFlacTags } from '../utils/metadata/flac.js';
+import { readOggTags } from '../utils/metadata/ogg.js';
+import { readMp4Tags } from '../utils/metadata/mp4.js';
+
+// Subfolders commonly used for sidecar subtitles
+const SUBTITLE_FOLDERS = ['sub', 'subs', 'subtitles'];
+
+const toPatterns = (extensions) => extensions.map((ext) => `.${ext}`);
 
 export class FileLoader {
     constructor() {
         this.supportsFSA = isFileSystemAccessSupported();
+
+        // File System Access handles of loaded files, kept so playlists can be restored
+        this.fileHandles = new WeakMap();
     }
 
     /**
@@ -40,9 +59,13 @@ export class FileLoader {
     /**
      * Open file picker for multiple files
      * @param {string} accept - Accept types
-     * @returns {Promise<FileList|null>}
+     * @returns {Promise<FileList|Array<File>|null>}
      */
-    async openMultipleFilePicker(accept = 'video/*,audio/*') {
+    async openMultipleFilePicker(accept = `video/*,audio/*,${toPatterns(PLAYER_CONFIG.PLAYLIST_EXTENSIONS)}`) {
+        if ('showOpenFilePicker' in window) {
+            return this.openMultipleFilePickerFSA();
+        }
+
         return new Promise((resolve) => {
             const input = document.createElement('input');
             input.type = 'file';
@@ -57,6 +80,53 @@ export class FileLoader {
         });
     }
 
+    /**
+     * Open media files using the File System Access API so their handles can be stored
+     * @returns {Promise<Array<File>|null>}
+     */
+    async openMultipleFilePickerFSA() {
+        try {
+            const handles = await window.showOpenFilePicker({
+                multiple: true,
+                types: [
+                    {
+                        description: 'Media files',
+                        accept: {
+                            'audio/*': toPatterns(PLAYER_CONFIG.AUDIO_EXTENSIONS),
+                            'video/*': toPatterns(PLAYER_CONFIG.VIDEO_EXTENSIONS),
+                        },
+                    },
+                    {
+                        description: 'Subtitles',
+                        accept: { 'text/plain': toPatterns(PLAYER_CONFIG.SUBTITLE_EXTENSIONS) },
+                    },
+                    {
+                        description: 'Playlists',
+                        accept: { 'audio/x-mpegurl': toPatterns(PLAYER_CONFIG.PLAYLIST_EXTENSIONS) },
+                    },
+                ],
+            });
+
+            return Promise.all(handles.map((handle) => this.getFileFromHandle(handle)));
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                console.error('Error opening files:', error);
+            }
+            return null;
+        }
+    }
+
+    /**
+     * Get the File behind a handle and remember the handle for it
+     * @param {FileSystemFileHandle} handle
+     * @returns {Promise<File>}
+     */
+    async getFileFromHandle(handle) {
+        const file = await handle.getFile();
+        this.fileHandles.set(file, handle);
+        return file;
+    }
+
     /**
      * Open folder picker using File System Access API (or fallback)
      * @returns {Promise<Array>} Array of track objects
@@ -77,13 +147,16 @@ export class FileLoader {
         try {
             const dirHandle = await window.showDirectoryPicker();
             const tracks = [];
+            const subtitleFiles = [];
+            const playlistFiles = [];
 
-            await this.scanDirectory(dirHandle, tracks);
+            await this.scanDirectory(dirHandle, tracks, '', subtitleFiles, playlistFiles);
+            this.pairSubtitles(tracks, subtitleFiles);
 
             // Sort by name
             tracks.sort((a, b) => a.name.localeCompare(b.name));
 
-            return tracks;
+            return this.applyPlaylistFiles(tracks, playlistFiles);
         } catch (error) {
             if (error.name !== 'AbortError') {
                 console.error('Error opening folder:', error);
@@ -97,21 +170,27 @@ export class FileLoader {
      * @param {FileSystemDirectoryHandle} dirHandle
      * @param {Array} tracks
      * @param {string} path
+     * @param {Array} subtitleFiles - Collects sidecar subtitles as { file, path }
+     * @param {Array} playlistFiles - Collects M3U/PLS files as { file, path, inFolder }
      */
-    async scanDirectory(dirHandle, tracks, path = '') {
+    async scanDirectory(dirHandle, tracks, path = '', subtitleFiles = [], playlistFiles = []) {
         for await (const entry of dirHandle.values()) {
             const entryPath = path ? `${path}/${entry.name}` : entry.name;
 
             if (entry.kind === 'file') {
                 const mediaType = getMediaType(entry.name);
                 if (mediaType !== MEDIA_TYPE.UNKNOWN) {
-                    const file = await entry.getFile();
+                    const file = await this.getFileFromHandle(entry);
                     const track = await this.createTrackFromFile(file, entryPath);
                     tracks.push(track);
+                } else if (isSubtitleFile(entry.name)) {
+                    subtitleFiles.push({ file: await entry.getFile(), path: entryPath });
+                } else if (isPlaylistFile(entry.name)) {
+                    playlistFiles.push({ file: await entry.getFile(), path: entryPath, inFolder: true });
                 }
             } else if (entry.kind === 'directory') {
                 // Recursively scan subdirectories
-                await this.scanDirectory(entry, tracks, entryPath);
+                await this.scanDirectory(entry, tracks, entryPath, subtitleFiles, playlistFiles);
             }
         }
     }
@@ -130,19 +209,27 @@ export class FileLoader {
             input.onchange = async (e) => {
                 const files = Array.from(e.target.files);
                 const tracks = [];
+                const subtitleFiles = [];
+                const playlistFiles = [];
 
                 for (const file of files) {
                     const mediaType = getMediaType(file.name);
                     if (mediaType !== MEDIA_TYPE.UNKNOWN) {
                         const track = await this.createTrackFromFile(file, file.webkitRelativePath);
                         tracks.push(track);
+                    } else if (isSubtitleFile(file.name)) {
+                        subtitleFiles.push({ file, path: file.webkitRelativePath });
+                    } else if (isPlaylistFile(file.name)) {
+                        playlistFiles.push({ file, path: file.webkitRelativePath, inFolder: true });
                     }
                 }
 
+                this.pairSubtitles(tracks, subtitleFiles);
+
                 // Sort by path
                 tracks.sort((a, b) => a.path.localeCompare(b.path));
 
-                resolve(tracks);
+                resolve(this.applyPlaylistFiles(tracks, playlistFiles));
             };
 
             input.click();
@@ -167,11 +254,20 @@ export class FileLoader {
             url,
             type: mediaType,
             size: file.size,
+            lastModified: file.lastModified || null,
             file: file,
             artist: '',
             album: '',
+            year: null,
+            genre: '',
+            trackNumber: null,
             cover: null,
             duration: null,
+            handle: this.fileHandles.get(file) || null,
+            annotation: '',
+            segment: null,
+            subtitles: [],
+            activeSubtitleId: null,
         };
 
         // Try to extract metadata for audio files
@@ -182,6 +278,47 @@ export class FileLoader {
         return track;
     }
 
+    /**
+     * Attach sidecar subtitle files to the videos they belong to, matched by
+     * folder and base name (movie.mkv <- movie.srt, movie.en.srt, Subs/movie.ar.vtt)
+     * @param {Array} tracks
+     * @param {Array<{file: File, path: string}>} subtitleFiles
+     */
+    pairSubtitles(tracks, subtitleFiles) {
+        const videos = tracks.filter((track) => track.type === MEDIA_TYPE.VIDEO);
+        if (videos.length === 0 || subtitleFiles.length === 0) return;
+
+        const sorted = [...subtitleFiles].sort((a, b) => a.file.name.localeCompare(b.file.name));
+
+        for (const { file, path } of sorted) {
+            const directories = [getDirectoryPath(path || file.name)];
+            const folderName = directories[0].split('/').pop().toLowerCase();
+            if (SUBTITLE_FOLDERS.includes(folderName)) {
+                directories.push(getDirectoryPath(directories[0]));
+            }
+
+            const subtitleBase = parseSubtitleFilename(file.name).basename.toLowerCase();
+
+            // Prefer the longest matching video name ("movie.part2" over "movie")
+            let match = null;
+            let matchLength = -1;
+            for (const video of videos) {
+                if (!directories.includes(getDirectoryPath(video.path))) continue;
+
+                const videoBase = this.getDisplayName(video.filename).toLowerCase();
+                const isMatch = subtitleBase === videoBase || subtitleBase.startsWith(`${videoBase}.`);
+                if (isMatch && videoBase.length > matchLength) {
+                    match = video;
+                    matchLength = videoBase.length;
+                }
+            }
+
+            if (match) {
+                match.subtitles.push(createSubtitleEntry({ file, filename: file.name }));
+            }
+        }
+    }
+
     /**
      * Get display name from filename (without extension)
      * @param {string} filename
@@ -193,13 +330,363 @@ export class FileLoader {
     }
 
     /**
-     * Extract audio metadata (ID3 tags)
+     * Create a track for a remote URL (streams, files on a web server)
+     * @param {string} url
+     * @returns {Object}
+     */
+    createTrackFromUrl(url) {
+        // Missing playlist paths come through here too; use their last segment
+        let filename = url.split(/[\\/]/).pop() || url;
+        if (isRemoteLocation(url)) {
+            try {
+                filename = decodeURIComponent(new URL(url).pathname.split('/').pop()) || url;
+            } catch {
+                // Keep the last path segment
+            }
+        }
+
+        const mediaType = getMediaType(filename);
+
+        return {
+            id: generateId(),
+            name: this.getDisplayName(filename),
+            filename,
+            path: url,
+            url,
+            // Extensionless streams are played in the video element either way
+            type: mediaType === MEDIA_TYPE.UNKNOWN ? MEDIA_TYPE.VIDEO : mediaType,
+            size: null,
+            lastModified: null,
+            file: null,
+            artist: '',
+            album: '',
+            year: null,
+            genre: '',
+            trackNumber: null,
+            cover: null,
+            duration: null,
+            handle: null,
+            annotation: '',
+            segment: null,
+            subtitles: [],
+            activeSubtitleId: null,
+        };
+    }
+
+    // --- Playlist Files ---
+
+    /**
+     * Put the entries of any playlist files in place of the loaded tracks.
+     * Local entries are matched against the loaded files, so a playlist only
+     * finds its media when it is opened together with it (or its folder);
+     * entries that can't be found stay in the list marked unavailable.
+     * A playlist opened on its own replaces the loaded tracks, while one that
+     * was merely found in an opened folder keeps the folder's other tracks
+     * after its entries.
+     * @param {Array} tracks - Media tracks loaded alongside the playlists
+     * @param {Array<{file: File, path: string, inFolder?: boolean}>} playlistFiles
+     * @returns {Promise<Array>} Playlist tracks, or the loaded tracks if the playlists were empty
+     */
+    async applyPlaylistFiles(tracks, playlistFiles) {
+        tracks = await this.applyCueSheets(
+            tracks,
+            playlistFiles.filter(({ file }) => isCueFile(file.name))
+        );
+
+        const sorted = playlistFiles
+            .filter(({ file }) => !isCueFile(file.name))
+            .sort((a, b) => a.path.localeCompare(b.path));
+        if (sorted.length === 0) return tracks;
+
+        const used = new Set();
+        const result = [];
+        let missing = 0;
+
+        for (const { file, path } of sorted) {
+            let entries;
+            try {
+                entries = parsePlaylist(await this.readPlaylistText(file), file.name);
+            } catch (error) {
+                console.warn(`Could not read playlist ${file.name}:`, error);
+                continue;
+            }
+
+            const baseDir = getDirectoryPath(path);
+
+            for (const entry of entries) {
+                let track = isRemoteLocation(entry.location)
+                    ? this.createTrackFromUrl(entry.location)
+                    : this.findTrackByPath(tracks, resolvePlaylistPath(entry.location, baseDir));
+
+                if (!track) {
+                    missing++;
+                    track = this.createUnavailableTrack(entry.location);
+                } else if (used.has(track)) {
+                    // A file listed twice gets its own playlist entry
+                    track = { ...track, id: generateId(), subtitles: [...track.subtitles] };
+                }
+                used.add(track);
+
+                this.applyPlaylistEntry(track, entry);
+                result.push(track);
+            }
+        }
+
+        eventBus.emit(EVENTS.PLAYLIST_IMPORT, { found: result.length - missing, missing });
+
+        if (result.length === 0) return tracks;
+
+        const unlisted = tracks.filter((track) => !used.has(track));
+        if (sorted.every(({ inFolder }) => inFolder)) {
+            return [...result, ...unlisted];
+        }
+
+        this.cleanupTracks(unlisted);
+        return result;
+    }
+
+    // --- CUE Sheets ---
+
+    /**
+     * Replace each audio file a CUE sheet describes with one virtual track per
+     * cue track. Virtual tracks share the file's URL and carry a segment
+     * { start, end } in seconds (end is null for the last track of a file).
+     * @param {Array} tracks
+     * @param {Array<{file: File, path: string}>} cueFiles
+     * @returns {Promise<Array>}
+     */
+    async applyCueSheets(tracks, cueFiles) {
+        if (cueFiles.length === 0) return tracks;
+
+        const expanded = new Map();
+        const unavailable = [];
+
+        for (const { file, path } of cueFiles) {
+            let sheet;
+            try {
+                sheet = parseCue(await this.readPlaylistText(file));
+            } catch (error) {
+                console.warn(`Could not read CUE sheet ${file.name}:`, error);
+                continue;
+            }
+
+            const baseDir = getDirectoryPath(path);
+
+            for (const cueFile of sheet.files) {
+                const source = this.findCueSource(tracks, cueFile.name, baseDir);
+
+                if (!source) {
+                    const location = resolvePlaylistPath(cueFile.name, baseDir);
+                    unavailable.push(
+                        ...this.createCueTracks(this.createUnavailableTrack(location), sheet, cueFile)
+                    );
+                } else if (!expanded.has(source)) {
+                    expanded.set(source, this.createCueTracks(source, sheet, cueFile));
+                }
+            }
+        }
+
+        return [...tracks.flatMap((track) => expanded.get(track) || [track]), ...unavailable];
+    }
+
+    /**
+     * Find the audio file a CUE FILE line refers to. Rips are often encoded
+     * after the sheet was written, so "Album.wav" also matches "Album.flac".
+     * @param {Array} tracks
+     * @param {string} name - File name from the sheet
+     * @param {string} baseDir - Directory of the CUE sheet
+     * @returns {Object|null}
+     */
+    findCueSource(tracks, name, baseDir) {
+        const audioTracks = tracks.filter((track) => track.type === MEDIA_TYPE.AUDIO && !track.segment);
+        const path = resolvePlaylistPath(name, baseDir);
+
+        const match = this.findTrackByPath(audioTracks, path);
+        if (match) return match;
+
+        // Compare paths without extensions
+        const stem = this.getDisplayName(path).toLowerCase();
+        return audioTracks.find((track) => this.getDisplayName(track.path).toLowerCase() === stem) || null;
+    }
+
+    /**
+     * Build the virtual tracks for one FILE of a CUE sheet
+     * @param {Object} source - Track of the audio file
+     * @param {Object} sheet - From parseCue
+     * @param {Object} cueFile - Entry of sheet.files
+     * @returns {Array}
+     */
+    createCueTracks(source, sheet, cueFile) {
+        return cueFile.tracks.map((cueTrack, index) => {
+            const start = cueTrack.start;
+            const end = cueFile.tracks[index + 1]?.start ?? null;
+            const sourceEnd = end ?? source.duration;
+
+            return {
+                ...source,
+                id: generateId(),
+                name: cueTrack.title || `Track ${cueTrack.number}`,
+                artist: cueTrack.performer || sheet.performer || source.artist,
+                album: sheet.title || source.album,
+                year: parseInt(sheet.date, 10) || source.year,
+                genre: sheet.genre || source.genre,
+                trackNumber: cueTrack.number,
+                duration: sourceEnd ? sourceEnd - start : null,
+                segment: { start, end },
+                subtitles: [],
+            };
+        });
+    }
+
+    /**
+     * Read a playlist as UTF-8, falling back to Windows-1252 for legacy .m3u/.pls files
+     * @param {File} file
+     * @returns {Promise<string>}
+     */
+    async readPlaylistText(file) {
+        const buffer = await file.arrayBuffer();
+
+        try {
+            return new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+        } catch {
+            return new TextDecoder('windows-1252').decode(buffer);
+        }
+    }
+
+    /**
+     * Find the loaded track a playlist path points to. Paths are compared
+     * case-insensitively by trailing segments, so absolute paths from another
+     * machine still match; the longest match wins. Failing that, a file with
+     * the same name anywhere in the loaded tracks is used.
+     * @param {Array} tracks
+     * @param {string} path - From resolvePlaylistPath
+     * @returns {Object|null}
+     */
+    findTrackByPath(tracks, path) {
+        const target = `/${path.toLowerCase()}`;
+        const basename = target.split('/').pop();
+        let match = null;
+
+        for (const track of tracks) {
+            const trackPath = `/${(track.path || track.filename).toLowerCase()}`;
+            if (target.endsWith(trackPath) && trackPath.length > (match?.length ?? 0)) {
+                match = { track, length: trackPath.length };
+            }
+        }
+
+        return match?.track || tracks.find((track) => track.filename.toLowerCase() === basename) || null;
+    }
+
+    /**
+     * Create a placeholder for a playlist entry whose file wasn't loaded
+     * @param {string} location - Path as written in the playlist
+     * @returns {Object}
+     */
+    createUnavailableTrack(location) {
+        return {
+            ...this.createTrackFromUrl(location),
+            url: null,
+            unavailable: true,
+        };
+    }
+
+    /**
+     * Copy the fields a playlist entry carries onto a track
+     * @param {Object} track
+     * @param {Object} entry - From parsePlaylist
+     */
+    applyPlaylistEntry(track, entry) {
+        track.name = entry.title || track.name;
+        track.artist = entry.creator || track.artist;
+        track.album = entry.album || track.album;
+        track.trackNumber = entry.trackNumber ?? track.trackNumber;
+        track.annotation = entry.annotation || track.annotation;
+
+        // Only remote images can be shown; embedded covers take precedence
+        if (entry.image && isRemoteLocation(entry.image) && !track.cover) {
+            track.cover = entry.image;
+        }
+
+        if (entry.duration && !track.duration) {
+            track.duration = entry.duration;
+        }
+    }
+
+    /**
+     * Extract audio metadata from embedded tags, falling back to the filename
      * @param {Object} track
      * @param {File} file
      */
     async extractAudioMetadata(track, file) {
-        // Basic metadata extraction - can be enhanced with a library like jsmediatags
-        // For now, we'll try to parse artist - title format from filename
+        let tags = null;
+
+        try {
+            tags = await this.readTags(file);
+        } catch (error) {
+            console.warn(`Could not read tags from ${file.name}:`, error);
+        }
+
+        if (tags) {
+            this.applyTags(track, tags);
+        }
+
+        if (!tags?.title && !tags?.artist) {
+            this.guessMetadataFromFilename(track);
+        }
+    }
+
+    /**
+     * Read embedded tags with the reader for the file's format
+     * @param {File} file
+     * @returns {Promise<Object|null>}
+     */
+    async readTags(file) {
+        switch (getFileExtension(file.name)) {
+            case 'mp3':
+            case 'aac':
+                return readId3Tags(file);
+            case 'flac':
+                return readFlacTags(file);
+            case 'ogg':
+            case 'oga':
+            case 'opus':
+                return readOggTags(file);
+            case 'm4a':
+            case 'm4b':
+                return readMp4Tags(file);
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Copy tag fields onto a track; embedded pictures become blob URLs
+     * @param {Object} track
+     * @param {Object} tags
+     */
+    applyTags(track, tags) {
+        track.name = tags.title || track.name;
+        track.artist = tags.artist || tags.albumArtist || track.artist;
+        track.album = tags.album || track.album;
+        track.year = tags.year ?? track.year;
+        track.genre = tags.genre || track.genre;
+        track.trackNumber = tags.trackNumber ?? track.trackNumber;
+
+        if (tags.duration) {
+            track.duration = tags.duration;
+        }
+
+        if (tags.picture) {
+            const blob = new Blob([tags.picture.data], { type: tags.picture.mime });
+            track.cover = URL.createObjectURL(blob);
+        }
+    }
+
+    /**
+     * Guess artist and title from "Artist - Title" style filenames
+     * @param {Object} track
+     */
+    guessMetadataFromFilename(track) {
         const name = track.name;
 
         // Try common patterns: "Artist - Title" or "01. Artist - Title"
@@ -237,16 +724,24 @@ export class FileLoader {
     async loadFiles(files) {
         const fileArray = Array.from(files);
         const tracks = [];
+        const subtitleFiles = [];
+        const playlistFiles = [];
 
         for (const file of fileArray) {
             const mediaType = getMediaType(file.name);
             if (mediaType !== MEDIA_TYPE.UNKNOWN) {
                 const track = await this.createTrackFromFile(file);
                 tracks.push(track);
+            } else if (isSubtitleFile(file.name)) {
+                subtitleFiles.push({ file, path: file.name });
+            } else if (isPlaylistFile(file.name)) {
+                playlistFiles.push({ file, path: file.name });
             }
         }
 
-        return tracks;
+        this.pairSubtitles(tracks, subtitleFiles);
+
+        return this.applyPlaylistFiles(tracks, playlistFiles);
     }
 
     /**
@@ -257,27 +752,48 @@ export class FileLoader {
     async handleDrop(dataTransfer) {
         const items = dataTransfer.items;
         const tracks = [];
+        const subtitleFiles = [];
+        const playlistFiles = [];
 
         if (items) {
-            // Modern API with directory support
-            for (const item of items) {
-                if (item.kind === 'file') {
-                    const entry = item.webkitGetAsEntry?.() || item.getAsEntry?.();
-
-                    if (entry) {
-                        if (entry.isDirectory) {
-                            await this.processDirectoryEntry(entry, tracks);
-                        } else {
-                            const file = item.getAsFile();
-                            if (file) {
-                                const mediaType = getMediaType(file.name);
-                                if (mediaType !== MEDIA_TYPE.UNKNOWN) {
-                                    const track = await this.createTrackFromFile(file);
-                                    tracks.push(track);
-                                }
-                            }
-                        }
-                    }
+            // Items are only readable synchronously during the drop event, so
+            // snapshot entries, files and handle promises before awaiting anything
+            const dropped = Array.from(items)
+                .filter((item) => item.kind === 'file')
+                .map((item) => ({
+                    entry: item.webkitGetAsEntry?.() || item.getAsEntry?.(),
+                    file: item.getAsFile(),
+                    handlePromise: item.getAsFileSystemHandle?.() || null,
+                }));
+
+            for (const { entry, file, handlePromise } of dropped) {
+                const handle = await handlePromise?.catch(() => null);
+
+                // Prefer handles (Chromium) so the playlist can be restored later
+                if (handle?.kind === 'directory') {
+                    await this.scanDirectory(handle, tracks, '', subtitleFiles, playlistFiles);
+                    continue;
+                }
+
+                if (entry?.isDirectory) {
+                    await this.processDirectoryEntry(entry, tracks, '', subtitleFiles, playlistFiles);
+                    continue;
+                }
+
+                if (!file) continue;
+
+                if (handle?.kind === 'file') {
+                    this.fileHandles.set(file, handle);
+                }
+
+                const mediaType = getMediaType(file.name);
+                if (mediaType !== MEDIA_TYPE.UNKNOWN) {
+                    const track = await this.createTrackFromFile(file);
+                    tracks.push(track);
+                } else if (isSubtitleFile(file.name)) {
+                    subtitleFiles.push({ file, path: file.name });
+                } else if (isPlaylistFile(file.name)) {
+                    playlistFiles.push({ file, path: file.name });
                 }
             }
         } else {
@@ -286,7 +802,9 @@ export class FileLoader {
             return this.loadFiles(files);
         }
 
-        return tracks;
+        this.pairSubtitles(tracks, subtitleFiles);
+
+        return this.applyPlaylistFiles(tracks, playlistFiles);
     }
 
     /**
@@ -294,8 +812,10 @@ export class FileLoader {
      * @param {FileSystemDirectoryEntry} dirEntry
      * @param {Array} tracks
      * @param {string} path
+     * @param {Array} subtitleFiles - Collects sidecar subtitles as { file, path }
+     * @param {Array} playlistFiles - Collects M3U/PLS files as { file, path, inFolder }
      */
-    async processDirectoryEntry(dirEntry, tracks, path = '') {
+    async processDirectoryEntry(dirEntry, tracks, path = '', subtitleFiles = [], playlistFiles = []) {
         return new Promise((resolve) => {
             const reader = dirEntry.createReader();
 
@@ -311,9 +831,19 @@ export class FileLoader {
                                 const track = await this.createTrackFromFile(file, entryPath);
                                 tracks.push(track);
                             }
+                        } else if (isSubtitleFile(entry.name)) {
+                            const file = await this.getFileFromEntry(entry);
+                            if (file) {
+                                subtitleFiles.push({ file, path: entryPath });
+                            }
+                        } else if (isPlaylistFile(entry.name)) {
+                            const file = await this.getFileFromEntry(entry);
+                            if (file) {
+                                playlistFiles.push({ file, path: entryPath, inFolder: true });
+                            }
                         }
                     } else if (entry.isDirectory) {
-                        await this.processDirectoryEntry(entry, tracks, entryPath);
+                        await this.processDirectoryEntry(entry, tracks, entryPath, subtitleFiles, playlistFiles);
                     }
                 }
                 resolve();
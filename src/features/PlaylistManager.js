@@ -4,11 +4,24 @@
 
 import { eventBus } from '../core/EventBus.js';
 import { stateManager } from '../core/StateManager.js';
-import { EVENTS, REPEAT_MODE } from '../utils/constants.js';
-import { shuffleArray } from '../utils/helpers.js';
+import {
+    EVENTS,
+    PLAYER_CONFIG,
+    REPEAT_MODE,
+    PLAYLIST_FORMAT,
+    PLAYLIST_SORT,
+    ENQUEUE_MODE,
+    DUPLICATE_MODE,
+} from '../utils/constants.js';
+import { shuffleArray, downloadTextFile, generateId } from '../utils/helpers.js';
+import { serializeM3u, serializePls, serializeXspf } from '../utils/playlistParser.js';
+import { findDuplicates } from '../utils/duplicates.js';
 
 export class PlaylistManager {
     constructor() {
+        // Track loaded in the player, which may belong to another named playlist
+        this.playingTrack = null;
+
         this.init();
     }
 
@@ -18,6 +31,9 @@ export class PlaylistManager {
 
     subscribeToEvents() {
         eventBus.on(EVENTS.ENDED, () => this.handleTrackEnded());
+        eventBus.on(EVENTS.TRACK_CHANGE, ({ track }) => {
+            this.playingTrack = track;
+        });
     }
 
     // --- Playlist Operations ---
@@ -30,8 +46,10 @@ export class PlaylistManager {
     setPlaylist(tracks, autoPlay = false) {
         stateManager.setPlaylist(tracks);
 
-        if (autoPlay && tracks.length > 0) {
-            this.playTrack(0);
+        // Imported playlists may start with entries whose files are missing
+        const firstPlayable = tracks.findIndex((track) => !track.unavailable);
+        if (autoPlay && firstPlayable >= 0) {
+            this.playTrack(firstPlayable);
         }
     }
 
@@ -43,22 +61,103 @@ export class PlaylistManager {
         stateManager.addToPlaylist(tracks);
     }
 
+    /**
+     * Add opened or dropped tracks to the playlist
+     * @param {Array} tracks
+     * @param {string} mode - ENQUEUE_MODE value
+     */
+    async enqueueTracks(tracks, mode = ENQUEUE_MODE.REPLACE) {
+        const replace = mode === ENQUEUE_MODE.REPLACE || this.isEmpty;
+        const added = await this.handleDuplicates(tracks, replace ? [] : this.playlist);
+
+        // Skipped tracks were loaded for nothing; free their media and cover art
+        const kept = new Set(added);
+        const keptUrls = new Set(added.flatMap((track) => [track.url, track.cover]));
+        for (const track of tracks) {
+            if (kept.has(track)) continue;
+            for (const url of [track.url, track.cover]) {
+                if (url?.startsWith('blob:') && !keptUrls.has(url)) URL.revokeObjectURL(url);
+            }
+        }
+
+        if (added.length === 0) return;
+        tracks = added;
+
+        const playable = tracks.filter((track) => !track.unavailable);
+
+        if (replace) {
+            this.setPlaylist(tracks, true);
+            return;
+        }
+
+        if (mode === ENQUEUE_MODE.APPEND) {
+            this.addTracks(tracks);
+        } else {
+            // Right after the current track, or at the end if it's in another list
+            const index = this.currentTrackIndex >= 0 ? this.currentTrackIndex + 1 : this.playlist.length;
+            stateManager.insertIntoPlaylist(tracks, index);
+            stateManager.queueTracks(mode === ENQUEUE_MODE.PLAY_NOW ? playable.slice(1) : playable, true);
+        }
+
+        // Start playback when asked to, or when nothing was playing yet
+        if (playable.length > 0 && (mode === ENQUEUE_MODE.PLAY_NOW || !this.playingTrack)) {
+            this.playTrack(this.playlist.indexOf(playable[0]));
+        }
+    }
+
+    /**
+     * Put a playlist track on the up-next queue
+     * @param {number} index
+     * @param {boolean} [next] - Play it before the tracks already queued
+     */
+    queueTrack(index, next = false) {
+        this.queueTracks([index], next);
+    }
+
+    /**
+     * Put several playlist tracks on the up-next queue, in playlist order
+     * @param {Array<number>} indices
+     * @param {boolean} [next] - Play them before the tracks already queued
+     */
+    queueTracks(indices, next = false) {
+        const tracks = [...indices]
+            .sort((a, b) => a - b)
+            .map((index) => this.playlist[index])
+            .filter((track) => track && !track.unavailable);
+
+        if (tracks.length > 0) {
+            stateManager.queueTracks(tracks, next);
+        }
+    }
+
+    /**
+     * @param {Object} track
+     * @returns {number} 1-based position in the up-next queue, or 0
+     */
+    getQueuePosition(track) {
+        return stateManager.get('queue').indexOf(track) + 1;
+    }
+
     /**
      * Remove track from playlist
      * @param {number} index
      */
     removeTrack(index) {
+        this.removeTracks([index]);
+    }
+
+    /**
+     * Remove several tracks with a single playlist update
+     * @param {Array<number>} indices
+     */
+    removeTracks(indices) {
         const currentIndex = stateManager.get('currentTrackIndex');
 
-        stateManager.removeFromPlaylist(index);
+        stateManager.removeManyFromPlaylist(indices);
 
-        // If we removed the currently playing track
-        if (index === currentIndex) {
-            const playlist = stateManager.get('playlist');
-            if (playlist.length > 0) {
-                const newIndex = Math.min(index, playlist.length - 1);
-                this.playTrack(newIndex);
-            }
+        // If we removed the currently playing track, play the one that took its place
+        if (indices.includes(currentIndex) && this.playlist.length > 0) {
+            this.playTrack(this.currentTrackIndex);
         }
     }
 
@@ -75,28 +174,261 @@ export class PlaylistManager {
      * @param {number} toIndex
      */
     moveTrack(fromIndex, toIndex) {
-        const playlist = [...stateManager.get('playlist')];
-        const currentIndex = stateManager.get('currentTrackIndex');
+        this.moveTracks([fromIndex], toIndex);
+    }
+
+    /**
+     * Move several tracks as a block, keeping their relative order
+     * @param {Array<number>} indices
+     * @param {number} toIndex - Where the block starts once the tracks are
+     *                           taken out (clamped; use Infinity for the end)
+     */
+    moveTracks(indices, toIndex) {
+        const moving = new Set(indices);
+        const block = this.playlist.filter((_, i) => moving.has(i));
+        if (block.length === 0) return;
+
+        const rest = this.playlist.filter((_, i) => !moving.has(i));
+        const at = Math.max(0, Math.min(toIndex, rest.length));
+        rest.splice(at, 0, ...block);
+
+        stateManager.reorderPlaylist(rest, block.length === 1 ? 'Move track' : `Move ${block.length} tracks`);
+    }
+
+    /**
+     * Sort the playlist; playback carries on with the same track
+     * @param {string} key - PLAYLIST_SORT value
+     */
+    sortPlaylist(key) {
+        const compare = SORT_COMPARATORS[key];
+        if (!compare || this.playlist.length < 2) return;
+
+        // Array.prototype.sort is stable, so ties keep their current order
+        stateManager.reorderPlaylist([...this.playlist].sort(compare), 'Sort playlist');
+    }
+
+    // --- Duplicates ---
+
+    /**
+     * Apply the duplicate setting to tracks about to join a playlist
+     * @param {Array} tracks
+     * @param {Array} existing - Tracks already in that playlist
+     * @returns {Promise<Array>} The tracks to add
+     */
+    async handleDuplicates(tracks, existing) {
+        const mode = stateManager.get('duplicateMode');
+        if (mode === DUPLICATE_MODE.KEEP) return tracks;
+
+        // Unavailable entries are placeholders, so reopening their files adds them again
+        const available = existing.filter((track) => !track.unavailable);
+        const duplicates = await findDuplicates(available, tracks, {
+            compareContents: stateManager.get('duplicateContentHash'),
+        });
+        if (duplicates.size === 0) return tracks;
 
-        const [track] = playlist.splice(fromIndex, 1);
-        playlist.splice(toIndex, 0, track);
+        eventBus.emit(EVENTS.DUPLICATES_FOUND, { count: duplicates.size, mode });
 
-        // Update current index if needed
-        let newCurrentIndex = currentIndex;
-        if (fromIndex === currentIndex) {
-            newCurrentIndex = toIndex;
-        } else if (fromIndex < currentIndex && toIndex >= currentIndex) {
-            newCurrentIndex--;
-        } else if (fromIndex > currentIndex && toIndex <= currentIndex) {
-            newCurrentIndex++;
+        if (mode === DUPLICATE_MODE.HIGHLIGHT) {
+            duplicates.forEach((track) => {
+                track.duplicate = true;
+            });
+            return tracks;
         }
 
-        stateManager.set({
-            playlist,
-            currentTrackIndex: newCurrentIndex,
+        return tracks.filter((track) => !duplicates.has(track));
+    }
+
+    /**
+     * Remove every track that duplicates an earlier one; the playing copy is
+     * always the one kept
+     * @returns {Promise<number>} Number of tracks removed
+     */
+    async removeDuplicates() {
+        const playlist = this.playlist;
+        const current = playlist[this.currentTrackIndex];
+        const ordered = current ? [current, ...playlist.filter((track) => track !== current)] : playlist;
+
+        const duplicates = await findDuplicates([], ordered, {
+            compareContents: stateManager.get('duplicateContentHash'),
         });
 
-        eventBus.emit(EVENTS.PLAYLIST_UPDATE, { playlist });
+        // The playlist may have changed while files were hashed
+        const indices = [];
+        this.playlist.forEach((track, index) => {
+            if (duplicates.has(track)) {
+                indices.push(index);
+            } else {
+                track.duplicate = false;
+            }
+        });
+
+        eventBus.emit(EVENTS.DUPLICATES_FOUND, { count: indices.length, removed: true });
+
+        if (indices.length > 0) {
+            this.removeTracks(indices);
+        } else {
+            eventBus.emit('ui:playlist:render');
+        }
+
+        return indices.length;
+    }
+
+    // --- Undo / Redo ---
+
+    /**
+     * @returns {boolean} Whether there was an edit to undo
+     */
+    undo() {
+        return stateManager.undo();
+    }
+
+    /**
+     * @returns {boolean} Whether there was an edit to redo
+     */
+    redo() {
+        return stateManager.redo();
+    }
+
+    // --- Named Playlists ---
+
+    /**
+     * Create an empty named playlist
+     * @param {string} name
+     * @param {boolean} activate - Switch to the new playlist
+     * @returns {Object} The new { id, name, tracks } entry
+     */
+    createPlaylist(name, activate = true) {
+        const entry = stateManager.addNamedPlaylist(name || this.getUniqueName(PLAYER_CONFIG.DEFAULT_PLAYLIST_NAME));
+        if (activate) {
+            this.switchPlaylist(entry.id);
+        }
+        return entry;
+    }
+
+    /**
+     * @param {string} id
+     * @param {string} name
+     */
+    renamePlaylist(id, name) {
+        const trimmed = name?.trim();
+        if (!trimmed || !stateManager.getPlaylistById(id)) return;
+
+        stateManager.updateNamedPlaylist(id, { name: trimmed });
+    }
+
+    /**
+     * Copy a named playlist (tracks get new ids) and switch to the copy
+     * @param {string} id
+     * @returns {Object|null} The new entry
+     */
+    duplicatePlaylist(id) {
+        const source = stateManager.getPlaylistById(id);
+        if (!source) return null;
+
+        const entry = stateManager.addNamedPlaylist(
+            this.getUniqueName(`${source.name} (copy)`),
+            source.tracks.map(copyTrack)
+        );
+        this.switchPlaylist(entry.id);
+        return entry;
+    }
+
+    /**
+     * Delete a named playlist. Deleting the active one switches to a
+     * neighbour; deleting the last one leaves an empty playlist behind.
+     * @param {string} id
+     */
+    deletePlaylist(id) {
+        const playlists = stateManager.get('playlists');
+        const index = playlists.findIndex((entry) => entry.id === id);
+        if (index < 0) return;
+
+        if (playlists.length === 1) {
+            stateManager.addNamedPlaylist(PLAYER_CONFIG.DEFAULT_PLAYLIST_NAME);
+        }
+
+        if (id === stateManager.get('activePlaylistId')) {
+            const remaining = stateManager.get('playlists').filter((entry) => entry.id !== id);
+            this.switchPlaylist(remaining[Math.min(index, remaining.length - 1)].id);
+        }
+
+        stateManager.removeNamedPlaylist(id);
+    }
+
+    /**
+     * Show another named playlist without interrupting playback
+     * @param {string} id
+     */
+    switchPlaylist(id) {
+        stateManager.setActivePlaylist(id, this.playingTrack);
+    }
+
+    /**
+     * Append tracks to any named playlist (copies, so each list owns its entries)
+     * @param {string} id
+     * @param {Array} tracks
+     */
+    async addTracksToPlaylist(id, tracks) {
+        const entry = stateManager.getPlaylistById(id);
+        if (!entry || tracks.length === 0) return;
+
+        const copies = await this.handleDuplicates(tracks.map(copyTrack), entry.tracks);
+        if (copies.length === 0) return;
+
+        if (id === stateManager.get('activePlaylistId')) {
+            stateManager.addToPlaylist(copies);
+        } else {
+            stateManager.updateNamedPlaylist(id, { tracks: [...entry.tracks, ...copies] });
+        }
+    }
+
+    /**
+     * Add a number to a name until no playlist uses it
+     * @param {string} base
+     * @returns {string}
+     */
+    getUniqueName(base) {
+        const names = new Set(stateManager.get('playlists').map((entry) => entry.name));
+        if (!names.has(base)) return base;
+
+        let number = 2;
+        while (names.has(`${base} ${number}`)) number++;
+        return `${base} ${number}`;
+    }
+
+    // --- Export ---
+
+    /**
+     * Download the playlist as an M3U8, PLS or XSPF file. Local files are
+     * written by their path inside the opened folder, remote items by URL.
+     * @param {string} format - PLAYLIST_FORMAT value
+     * @param {Array} [tracks] - Tracks to export (defaults to the whole playlist)
+     */
+    exportPlaylist(format = PLAYLIST_FORMAT.M3U, tracks = this.playlist) {
+        if (tracks.length === 0) return;
+
+        const entries = tracks.map((track) => ({
+            location: track.path,
+            title: track.name,
+            creator: track.artist,
+            album: track.album,
+            duration: track.duration,
+            trackNumber: track.trackNumber,
+            // Embedded covers only exist as blob URLs for this session
+            image: track.cover?.startsWith('blob:') ? '' : track.cover || '',
+            annotation: track.annotation || '',
+        }));
+
+        switch (format) {
+            case PLAYLIST_FORMAT.PLS:
+                downloadTextFile(serializePls(entries), 'playlist.pls', 'audio/x-scpls');
+                break;
+            case PLAYLIST_FORMAT.XSPF:
+                downloadTextFile(serializeXspf(entries), 'playlist.xspf', 'application/xspf+xml');
+                break;
+            default:
+                downloadTextFile(serializeM3u(entries), 'playlist.m3u8', 'audio/x-mpegurl');
+        }
     }
 
     // --- Playback Control ---
@@ -106,6 +438,7 @@ export class PlaylistManager {
      * @param {number} index
      */
     playTrack(index) {
+        if (this.playlist[index]?.unavailable) return;
         stateManager.setCurrentTrack(index);
     }
 
@@ -158,6 +491,14 @@ export class PlaylistManager {
         return stateManager.get('playlist');
     }
 
+    get playlists() {
+        return stateManager.get('playlists');
+    }
+
+    get activePlaylistId() {
+        return stateManager.get('activePlaylistId');
+    }
+
     get currentTrackIndex() {
         return stateManager.get('currentTrackIndex');
     }
@@ -201,4 +542,52 @@ export class PlaylistManager {
     }
 }
 
+// --- Sorting ---
+
+const textCollator = new Intl.Collator(undefined, { sensitivity: 'base' });
+const naturalCollator = new Intl.Collator(undefined, { sensitivity: 'base', numeric: true });
+
+/**
+ * Compare two optional values, placing missing ones last
+ * @param {*} a
+ * @param {*} b
+ * @param {Function} compare - Compares two present values
+ * @returns {number}
+ */
+function compareMissingLast(a, b, compare) {
+    const hasA = a !== null && a !== undefined && a !== '';
+    const hasB = b !== null && b !== undefined && b !== '';
+    if (hasA && hasB) return compare(a, b);
+    return hasA ? -1 : hasB ? 1 : 0;
+}
+
+const compareText = (a, b) => compareMissingLast(a, b, (x, y) => textCollator.compare(x, y));
+const compareNumber = (a, b) => compareMissingLast(a, b, (x, y) => x - y);
+const compareNatural = (a, b) => naturalCollator.compare(a || '', b || '');
+
+// Album order within an artist or album: track number, then file name
+const compareAlbumTracks = (a, b) =>
+    compareNumber(a.trackNumber, b.trackNumber) || compareNatural(a.filename, b.filename);
+
+const SORT_COMPARATORS = {
+    [PLAYLIST_SORT.NAME]: (a, b) => compareText(a.name, b.name),
+    [PLAYLIST_SORT.ARTIST]: (a, b) =>
+        compareText(a.artist, b.artist) || compareText(a.album, b.album) || compareAlbumTracks(a, b),
+    [PLAYLIST_SORT.ALBUM]: (a, b) => compareText(a.album, b.album) || compareAlbumTracks(a, b),
+    [PLAYLIST_SORT.TRACK_NUMBER]: (a, b) => compareAlbumTracks(a, b),
+    [PLAYLIST_SORT.DURATION]: (a, b) => compareNumber(a.duration, b.duration),
+    [PLAYLIST_SORT.DATE_MODIFIED]: (a, b) => compareNumber(a.lastModified, b.lastModified),
+    [PLAYLIST_SORT.PATH]: (a, b) => compareText(a.path, b.path),
+    [PLAYLIST_SORT.NATURAL]: (a, b) => compareNatural(a.filename, b.filename),
+};
+
+/**
+ * Copy a track for another playlist entry; the media URL is shared
+ * @param {Object} track
+ * @returns {Object}
+ */
+function copyTrack(track) {
+    return { ...track, id: generateId(), subtitles: [...(track.subtitles || [])], duplicate: false };
+}
+
 export default PlaylistManager;
@@ -0,0 +1,441 @@
+/**
+ * PlaylistPersistence - Saves the named playlists to IndexedDB and restores them on startup
+ *
+ * Local files are stored as FileSystemFileHandles and remote items as URLs;
+ * local files without a handle can't be reopened, so only their metadata is
+ * kept and they come back as unavailable entries. The list
+ * of playlists is stored under STORAGE_KEYS.PLAYLIST and each playlist's
+ * tracks under its own key, so only changed playlists are rewritten.
+ */
+
+import { eventBus } from '../core/EventBus.js';
+import { stateManager } from '../core/StateManager.js';
+import { EVENTS, PLAYER_CONFIG, REPEAT_MODE } from '../utils/constants.js';
+import { debounce, generateId, storageGet, storageSet } from '../utils/helpers.js';
+import { idbGet, idbSet, idbDelete } from '../utils/idb.js';
+
+const { STORES } = PLAYER_CONFIG.DATABASE;
+const { STORAGE_KEYS } = PLAYER_CONFIG;
+
+// Track fields stored as-is
+const TRACK_FIELDS = [
+    'id',
+    'name',
+    'filename',
+    'path',
+    'type',
+    'size',
+    'lastModified',
+    'artist',
+    'album',
+    'year',
+    'genre',
+    'trackNumber',
+    'duration',
+    'annotation',
+    'segment',
+    'activeSubtitleId',
+];
+
+export class PlaylistPersistence {
+    constructor() {
+        this.pendingRecord = null;
+        this.lastSessionSave = 0;
+        this.coverCache = new Map();
+
+        // Playlist id -> tracks array as last saved, and playlists whose tracks changed in place
+        this.savedTracks = new Map();
+        this.dirtyIds = new Set();
+        // Playlist ids present in the database
+        this.storedIds = new Set();
+
+        this.savePlaylistsDebounced = debounce(() => this.savePlaylists(), PLAYER_CONFIG.PLAYLIST_SAVE_DELAY);
+
+        this.init();
+    }
+
+    init() {
+        this.attachEventListeners();
+        this.subscribeToEvents();
+    }
+
+    attachEventListeners() {
+        window.addEventListener('pagehide', () => this.saveSession());
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') this.saveSession();
+        });
+    }
+
+    subscribeToEvents() {
+        eventBus.on(EVENTS.PLAYLIST_UPDATE, () => {
+            // Loading new media while a restore prompt is open replaces the saved playlists
+            if (stateManager.get('playlist').length > 0) {
+                this.pendingRecord = null;
+            }
+
+            // Track objects (e.g. probed durations) may have changed without a new array
+            this.dirtyIds.add(stateManager.get('activePlaylistId'));
+            this.savePlaylistsDebounced();
+            this.saveSession();
+        });
+        eventBus.on(EVENTS.PLAYLISTS_CHANGE, () => this.savePlaylistsDebounced());
+        eventBus.on(EVENTS.TRACK_CHANGE, ({ startTime }) => this.saveSession(startTime || 0));
+        eventBus.on(EVENTS.SHUFFLE_TOGGLE, () => this.saveSession());
+        eventBus.on(EVENTS.REPEAT_TOGGLE, () => this.saveSession());
+        eventBus.on(EVENTS.PAUSE, () => this.saveSession());
+        eventBus.on(EVENTS.SEEK, () => this.saveSession());
+        eventBus.on(EVENTS.TIME_UPDATE, () => {
+            if (Date.now() - this.lastSessionSave >= PLAYER_CONFIG.SESSION_SAVE_INTERVAL) {
+                this.saveSession();
+            }
+        });
+    }
+
+    // --- Saving ---
+
+    /**
+     * Write changed playlists and the list of playlists to IndexedDB
+     */
+    async savePlaylists() {
+        // Keep the saved playlists while the restore prompt is unanswered
+        if (this.pendingRecord) return;
+
+        const { playlists, activePlaylistId } = stateManager.get();
+        const dirtyIds = new Set(this.dirtyIds);
+        this.dirtyIds.clear();
+
+        try {
+            for (const { id, tracks } of playlists) {
+                if (!dirtyIds.has(id) && this.savedTracks.get(id) === tracks) continue;
+
+                const records = await Promise.all(tracks.map((track) => this.serializeTrack(track)));
+                await idbSet(STORES.PLAYLISTS, getPlaylistKey(id), { tracks: records, savedAt: Date.now() });
+                this.savedTracks.set(id, tracks);
+            }
+
+            await idbSet(STORES.PLAYLISTS, STORAGE_KEYS.PLAYLIST, {
+                playlists: playlists.map(({ id, name }) => ({ id, name })),
+                activePlaylistId,
+                savedAt: Date.now(),
+            });
+
+            // Remove deleted playlists
+            const ids = new Set(playlists.map(({ id }) => id));
+            for (const id of this.storedIds) {
+                if (!ids.has(id)) await idbDelete(STORES.PLAYLISTS, getPlaylistKey(id));
+            }
+            this.storedIds = ids;
+        } catch (error) {
+            console.warn('Could not save playlists:', error);
+        }
+
+        // Forget the covers of tracks that are no longer in any playlist
+        const covers = new Set(playlists.flatMap(({ tracks }) => tracks.map((track) => track.cover)));
+        for (const cover of this.coverCache.keys()) {
+            if (!covers.has(cover)) this.coverCache.delete(cover);
+        }
+    }
+
+    /**
+     * Build the stored form of a track
+     * @param {Object} track
+     * @returns {Promise<Object>}
+     */
+    async serializeTrack(track) {
+        const record = {};
+        for (const field of TRACK_FIELDS) {
+            record[field] = track[field] ?? null;
+        }
+
+        // Without a handle or a lasting URL only the metadata can be kept
+        record.unavailable = !isRestorable(track);
+        record.handle = track.handle || null;
+        record.url = track.handle || record.unavailable ? null : track.url;
+        record.cover = await this.serializeCover(track.cover);
+
+        // Subtitle files are small enough to store as Blobs
+        record.subtitles = (track.subtitles || []).map(({ id, file, url, filename, language, label, kind }) => ({
+            id,
+            file,
+            url: url?.startsWith('blob:') ? null : url,
+            filename,
+            language,
+            label,
+            kind,
+        }));
+
+        return record;
+    }
+
+    /**
+     * Turn a blob cover URL back into a Blob so it survives the reload
+     * @param {string|null} cover
+     * @returns {Promise<Blob|string|null>}
+     */
+    async serializeCover(cover) {
+        if (!cover?.startsWith('blob:')) return cover || null;
+
+        if (!this.coverCache.has(cover)) {
+            const blob = await fetch(cover)
+                .then((response) => response.blob())
+                .catch(() => null);
+            this.coverCache.set(cover, blob);
+        }
+
+        return this.coverCache.get(cover);
+    }
+
+    /**
+     * Save the current track, shuffle order, repeat mode and position
+     * @param {number} [currentTime]
+     */
+    saveSession(currentTime = stateManager.get('currentTime')) {
+        const { playlist, shuffleEnabled, shuffledOrder, repeatMode } = stateManager.get();
+
+        // Keep the saved session while nothing is loaded (e.g. a restore prompt is open)
+        if (playlist.length === 0) return;
+        const currentTrack = stateManager.getCurrentTrack();
+
+        storageSet(STORAGE_KEYS.PLAYLIST_SESSION, {
+            currentTrackId: currentTrack?.id ?? null,
+            currentTime: currentTime || 0,
+            shuffleEnabled,
+            shuffledOrder: shuffledOrder.map((index) => playlist[index]?.id).filter(Boolean),
+            repeatMode,
+        });
+
+        this.lastSessionSave = Date.now();
+    }
+
+    // --- Restoring ---
+
+    /**
+     * Restore the saved playlists. If local files need their permission
+     * re-granted, emit PLAYLIST_RESTORE_PROMPT and wait for grantAndRestore().
+     */
+    async restore() {
+        let record;
+        try {
+            record = await this.readRecord();
+        } catch (error) {
+            console.warn('Could not read saved playlists:', error);
+            return;
+        }
+
+        const tracks = record?.playlists.flatMap((entry) => entry.tracks) || [];
+        if (tracks.length === 0) return;
+
+        const permissions = await Promise.all(
+            tracks.map((track) => (track.handle ? queryReadPermission(track.handle) : 'granted'))
+        );
+        const needsPrompt = permissions.filter((state) => state === 'prompt').length;
+
+        if (needsPrompt > 0) {
+            this.pendingRecord = record;
+            eventBus.emit(EVENTS.PLAYLIST_RESTORE_PROMPT, {
+                trackCount: tracks.length,
+                fileCount: needsPrompt,
+            });
+            return;
+        }
+
+        await this.applyRecord(record);
+    }
+
+    /**
+     * Read the saved playlists
+     * @returns {Promise<Object|null>} { playlists: [{ id, name, tracks }], activePlaylistId }
+     */
+    async readRecord() {
+        const index = await idbGet(STORES.PLAYLISTS, STORAGE_KEYS.PLAYLIST);
+        if (!index) return null;
+
+        // Before named playlists, the single playlist was stored here directly
+        if (Array.isArray(index.tracks)) {
+            const id = generateId();
+            return {
+                playlists: [{ id, name: PLAYER_CONFIG.DEFAULT_PLAYLIST_NAME, tracks: index.tracks }],
+                activePlaylistId: id,
+            };
+        }
+
+        const entries = index.playlists || [];
+        this.storedIds = new Set(entries.map(({ id }) => id));
+
+        const playlists = await Promise.all(
+            entries.map(async ({ id, name }) => {
+                const stored = await idbGet(STORES.PLAYLISTS, getPlaylistKey(id));
+                return { id, name, tracks: stored?.tracks || [] };
+            })
+        );
+
+        return { playlists, activePlaylistId: index.activePlaylistId };
+    }
+
+    /**
+     * Ask for read access to the saved files, then restore.
+     * Must be called from a user gesture (e.g. a click).
+     */
+    async grantAndRestore() {
+        const record = this.pendingRecord;
+        if (!record) return;
+
+        for (const track of record.playlists.flatMap((entry) => entry.tracks)) {
+            if (track.handle && (await queryReadPermission(track.handle)) === 'prompt') {
+                await track.handle.requestPermission({ mode: 'read' }).catch(() => 'denied');
+            }
+        }
+
+        this.pendingRecord = null;
+        await this.applyRecord(record);
+    }
+
+    /**
+     * Forget the pending restore (the saved data stays until overwritten)
+     */
+    dismissRestore() {
+        this.pendingRecord = null;
+    }
+
+    /**
+     * Rebuild the playlists from a stored record and make them current
+     * @param {Object} record - From readRecord
+     */
+    async applyRecord(record) {
+        // CUE tracks of one file share a handle and must share its URL too
+        const opened = new Map();
+        const playlists = await Promise.all(
+            record.playlists.map(async ({ id, name, tracks }) => {
+                const restored = await Promise.all(tracks.map((stored) => this.restoreTrack(stored, opened)));
+                return { id, name, tracks: restored.filter(Boolean) };
+            })
+        );
+        if (!playlists.some((entry) => entry.tracks.length > 0)) return;
+
+        // Don't replace anything the user loaded while we were waiting
+        if (stateManager.get('playlist').length > 0) return;
+
+        const active = playlists.find((entry) => entry.id === record.activePlaylistId) || playlists[0];
+        const playlist = active.tracks;
+
+        const session = storageGet(STORAGE_KEYS.PLAYLIST_SESSION, {});
+        const indexById = new Map(playlist.map((track, index) => [track.id, index]));
+
+        let currentTrackIndex = indexById.get(session.currentTrackId) ?? -1;
+        if (playlist[currentTrackIndex]?.unavailable) currentTrackIndex = -1;
+        const startTime = currentTrackIndex >= 0 ? session.currentTime || 0 : 0;
+        if (currentTrackIndex < 0) currentTrackIndex = playlist.findIndex((track) => !track.unavailable);
+
+        const shuffleEnabled = !!session.shuffleEnabled;
+        let shuffledOrder = [];
+        if (shuffleEnabled) {
+            shuffledOrder = (session.shuffledOrder || []).map((id) => indexById.get(id)).filter((index) => index >= 0);
+
+            // Tracks missing from the saved order go at the end
+            const missing = playlist.map((_, index) => index).filter((index) => !shuffledOrder.includes(index));
+            shuffledOrder.push(...missing);
+        }
+
+        const repeatMode = Object.values(REPEAT_MODE).includes(session.repeatMode)
+            ? session.repeatMode
+            : REPEAT_MODE.OFF;
+
+        for (const entry of playlists) {
+            this.savedTracks.set(entry.id, entry.tracks);
+        }
+
+        stateManager.set({
+            playlists,
+            activePlaylistId: active.id,
+            playlist,
+            currentTrackIndex,
+            shuffleEnabled,
+            shuffledOrder,
+            repeatMode,
+        });
+
+        stateManager.emitPlaylistsChange();
+        eventBus.emit(EVENTS.PLAYLIST_UPDATE, { playlist });
+        eventBus.emit(EVENTS.SHUFFLE_TOGGLE, { shuffleEnabled });
+        eventBus.emit(EVENTS.REPEAT_TOGGLE, { repeatMode });
+        eventBus.emit(EVENTS.PLAYLIST_RESTORE, {
+            playlist,
+            unavailable: playlists.flatMap((entry) => entry.tracks).filter((track) => track.unavailable),
+        });
+
+        // The active playlist may be an empty one
+        if (currentTrackIndex < 0) return;
+
+        eventBus.emit(EVENTS.MEDIA_TYPE_CHANGE, { type: playlist[currentTrackIndex].type });
+
+        stateManager.setCurrentTrack(currentTrackIndex, { autoPlay: false, startTime });
+    }
+
+    /**
+     * Rebuild one track; tracks whose file can no longer be read come back unavailable
+     * @param {Object} stored
+     * @param {Map} opened - Handle -> Promise<{ file, url }>, shared across a restore
+     * @returns {Promise<Object>}
+     */
+    async restoreTrack(stored, opened = new Map()) {
+        let file = null;
+        let url = stored.url;
+
+        if (stored.handle) {
+            if (!opened.has(stored.handle)) {
+                opened.set(
+                    stored.handle,
+                    stored.handle.getFile().then((handleFile) => ({
+                        file: handleFile,
+                        url: URL.createObjectURL(handleFile),
+                    }))
+                );
+            }
+
+            try {
+                ({ file, url } = await opened.get(stored.handle));
+            } catch (error) {
+                console.warn(`Could not reopen ${stored.filename}:`, error);
+                url = null;
+            }
+        }
+
+        return {
+            ...stored,
+            file,
+            url: url || null,
+            unavailable: !url,
+            cover: stored.cover instanceof Blob ? URL.createObjectURL(stored.cover) : stored.cover,
+            subtitles: stored.subtitles || [],
+        };
+    }
+}
+
+/**
+ * @param {string} id - Playlist id
+ * @returns {string} Database key of the playlist's tracks
+ */
+function getPlaylistKey(id) {
+    return `${STORAGE_KEYS.PLAYLIST}:${id}`;
+}
+
+/**
+ * Check whether a track can be reopened after a reload
+ * @param {Object} track
+ * @returns {boolean}
+ */
+function isRestorable(track) {
+    return !!track.handle || (!!track.url && !track.url.startsWith('blob:'));
+}
+
+/**
+ * Query read permission for a stored handle
+ * @param {FileSystemHandle} handle
+ * @returns {Promise<string>} 'granted', 'prompt' or 'denied'
+ */
+async function queryReadPermission(handle) {
+    if (!handle.queryPermission) return 'granted';
+    return handle.queryPermission({ mode: 'read' }).catch(() => 'denied');
+}
+
+export default PlaylistPersistence;
@@ -0,0 +1,201 @@
+/**
+ * ResumeManager - Remembers the playback position of long media per file
+ */
+
+import { eventBus } from '../core/EventBus.js';
+import { EVENTS, PLAYER_CONFIG } from '../utils/constants.js';
+import { getTrackIdentity, storageGet, storageMapGet, storageMapSet } from '../utils/helpers.js';
+
+const { STORAGE_KEYS } = PLAYER_CONFIG;
+
+// A stored position only applies if the duration still matches (seconds)
+const DURATION_TOLERANCE = 2;
+
+export class ResumeManager {
+    constructor(mediaController) {
+        this.mediaController = mediaController;
+
+        this.track = null;
+        this.identity = null;
+        this.duration = 0;
+        this.lastPosition = 0;
+        this.lastSave = 0;
+        this.skipPrompt = false;
+        this.pendingPosition = null;
+        this.promptTimeout = null;
+
+        this.init();
+    }
+
+    init() {
+        this.attachEventListeners();
+        this.subscribeToEvents();
+    }
+
+    attachEventListeners() {
+        window.addEventListener('pagehide', () => this.savePosition());
+    }
+
+    subscribeToEvents() {
+        eventBus.on(EVENTS.MEDIA_LOAD, (data) => this.onMediaLoad(data));
+        // Track times: CUE tracks report their own duration and end, not their file's
+        eventBus.on(EVENTS.DURATION_CHANGE, ({ duration }) => this.onDurationChange(duration));
+        eventBus.on(EVENTS.ENDED, () => this.markFinished());
+        eventBus.on(EVENTS.TIME_UPDATE, ({ currentTime }) => this.onTimeUpdate(currentTime));
+        eventBus.on(EVENTS.PAUSE, () => this.savePosition());
+        eventBus.on(EVENTS.SEEK, ({ time }) => {
+            this.lastPosition = time;
+            this.savePosition();
+        });
+        eventBus.on(EVENTS.PLAYLIST_UPDATE, ({ playlist }) => this.markFinishedTracks(playlist));
+    }
+
+    // --- Media Events ---
+
+    /**
+     * Save the outgoing track's position and start tracking the new one
+     * @param {Object} data - { track, startTime }
+     */
+    onMediaLoad({ track, startTime = 0 }) {
+        this.savePosition();
+
+        this.track = track;
+        this.identity = getTrackIdentity(track);
+        this.duration = 0;
+        this.lastPosition = startTime;
+        this.clearPending();
+
+        // An explicit start time (e.g. a restored session) wins over the prompt
+        this.skipPrompt = startTime > 0;
+    }
+
+    /**
+     * @param {number} duration - Track duration
+     */
+    onDurationChange(duration) {
+        this.duration = duration;
+        if (!this.identity || this.skipPrompt || !this.isLongEnough) return;
+
+        const saved = storageMapGet(STORAGE_KEYS.RESUME_POSITIONS, this.identity);
+        if (!saved || saved.finished || !saved.position) return;
+        if (Math.abs(saved.duration - this.duration) > DURATION_TOLERANCE) return;
+
+        this.pendingPosition = saved.position;
+        eventBus.emit(EVENTS.RESUME_PROMPT, { position: saved.position });
+
+        // An unanswered prompt expires and playback carries on from the start
+        this.promptTimeout = setTimeout(() => this.clearPending(), PLAYER_CONFIG.RESUME_PROMPT_DURATION);
+    }
+
+    /**
+     * @param {number} currentTime
+     */
+    onTimeUpdate(currentTime) {
+        this.lastPosition = currentTime;
+
+        if (Date.now() - this.lastSave >= PLAYER_CONFIG.RESUME_SAVE_INTERVAL) {
+            this.savePosition();
+        }
+    }
+
+    // --- Prompt Actions ---
+
+    /**
+     * Jump to the remembered position
+     */
+    resume() {
+        if (this.pendingPosition === null) return;
+
+        const position = this.pendingPosition;
+        this.clearPending();
+
+        this.mediaController.seek(position);
+    }
+
+    /**
+     * Start from the beginning and forget the remembered position
+     */
+    startOver() {
+        this.clearPending();
+        if (this.identity) {
+            storageMapSet(STORAGE_KEYS.RESUME_POSITIONS, this.identity, null);
+        }
+    }
+
+    clearPending() {
+        clearTimeout(this.promptTimeout);
+        this.promptTimeout = null;
+        this.pendingPosition = null;
+    }
+
+    // --- Storage ---
+
+    /**
+     * Remember the current position, or mark the file finished near its end
+     */
+    savePosition() {
+        this.lastSave = Date.now();
+        if (!this.identity || !this.isLongEnough) return;
+
+        // Don't overwrite the remembered position before the user answered the prompt
+        if (this.pendingPosition !== null) return;
+
+        const position = this.lastPosition;
+        if (position >= this.duration * PLAYER_CONFIG.RESUME_FINISHED_RATIO) {
+            this.markFinished();
+        } else if (position >= PLAYER_CONFIG.RESUME_MIN_POSITION) {
+            storageMapSet(
+                STORAGE_KEYS.RESUME_POSITIONS,
+                this.identity,
+                { position, duration: this.duration, finished: false },
+                PLAYER_CONFIG.RESUME_MAX_ENTRIES
+            );
+            this.setTrackFinished(false);
+        }
+    }
+
+    /**
+     * Mark the current file finished and clear its remembered position
+     */
+    markFinished() {
+        if (!this.identity || !this.isLongEnough) return;
+
+        storageMapSet(
+            STORAGE_KEYS.RESUME_POSITIONS,
+            this.identity,
+            { duration: this.duration, finished: true },
+            PLAYER_CONFIG.RESUME_MAX_ENTRIES
+        );
+        this.setTrackFinished(true);
+    }
+
+    /**
+     * Flag playlist tracks whose files were watched to the end
+     * @param {Array} playlist
+     */
+    markFinishedTracks(playlist = []) {
+        const positions = storageGet(STORAGE_KEYS.RESUME_POSITIONS, {});
+
+        for (const track of playlist) {
+            track.finished = !!positions[getTrackIdentity(track)]?.finished;
+        }
+    }
+
+    /**
+     * @param {boolean} finished
+     */
+    setTrackFinished(finished) {
+        if (!this.track || !!this.track.finished === finished) return;
+
+        this.track.finished = finished;
+        eventBus.emit('ui:playlist:render');
+    }
+
+    // --- Getters ---
+
+    get isLongEnough() {
+        return this.duration >= PLAYER_CONFIG.RESUME_MIN_DURATION && isFinite(this.duration);
+    }
+}
+
+export default ResumeManager;
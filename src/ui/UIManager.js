@@ -4,8 +4,8 @@
 
 import { eventBus } from '../core/EventBus.js';
 import { stateManager } from '../core/StateManager.js';
-import { EVENTS, PLAYER_CONFIG, MEDIA_TYPE } from '../utils/constants.js';
-import { isTouchDevice, debounce } from '../utils/helpers.js';
+import { EVENTS, PLAYER_CONFIG, MEDIA_TYPE, DUPLICATE_MODE, TIME_DISPLAY_MODE } from '../utils/constants.js';
+import { isTouchDevice, debounce, createElement, formatTime } from '../utils/helpers.js';
 
 export class UIManager {
     constructor(elements) {
@@ -13,6 +13,9 @@ export class UIManager {
         this.isTouch = isTouchDevice();
 
         this.hideControlsTimeout = null;
+        this.hideOsdTimeout = null;
+        this.hideResumePromptTimeout = null;
+        this.hideUndoToastTimeout = null;
         this.isMouseOverControls = false;
         this.isMouseOverContainer = false;
 
@@ -53,13 +56,38 @@ export class UIManager {
         eventBus.on(EVENTS.MEDIA_TYPE_CHANGE, (data) => this.onMediaTypeChange(data));
         eventBus.on(EVENTS.FULLSCREEN_CHANGE, (data) => this.onFullscreenChange(data));
         eventBus.on(EVENTS.VOLUME_CHANGE, (data) => this.updateVolumeUI(data));
-        eventBus.on(EVENTS.SPEED_CHANGE, (data) => this.updateSpeedUI(data));
+        eventBus.on(EVENTS.SPEED_CHANGE, ({ current }) => this.updateSpeedUI(current));
+        eventBus.on(EVENTS.TIME_DISPLAY_CHANGE, ({ current }) => this.updateTimeOptions(current));
+        eventBus.on(EVENTS.LOOP_CHANGE, (data) => this.onLoopChange(data));
+        eventBus.on(EVENTS.BOOKMARKS_CHANGE, ({ reason, bookmark }) => {
+            if (reason === 'add') this.showOsd(`Bookmark: ${bookmark.name}`);
+        });
+        eventBus.on(EVENTS.BOOKMARKS_IMPORT, (data) => this.onBookmarksImport(data));
         eventBus.on(EVENTS.PLAYLIST_UPDATE, () => this.updatePlaylistUI());
         eventBus.on(EVENTS.SHUFFLE_TOGGLE, (data) => this.updateShuffleUI(data));
         eventBus.on(EVENTS.REPEAT_TOGGLE, (data) => this.updateRepeatUI(data));
         eventBus.on(EVENTS.SUBTITLE_TOGGLE, (data) => this.updateSubtitleUI(data));
+        eventBus.on(EVENTS.SUBTITLE_LOAD, (data) => this.onSubtitleLoad(data));
+        eventBus.on(EVENTS.SUBTITLE_TRACKS_UPDATE, (data) => this.updateSubtitleMenu(data));
+        eventBus.on(EVENTS.SUBTITLE_OFFSET_CHANGE, (data) => this.onSubtitleOffsetChange(data));
+        eventBus.on(EVENTS.CHAPTERS_LOAD, ({ chapters, filename }) => {
+            if (filename && chapters.length > 0) this.showOsd(`${chapters.length} chapters loaded`);
+        });
+        eventBus.on(EVENTS.CHAPTER_CHANGE, (data) => this.updateChapterUI(data));
+        eventBus.on(EVENTS.PLAYLIST_IMPORT, (data) => this.onPlaylistImport(data));
+        eventBus.on(EVENTS.DUPLICATES_FOUND, (data) => this.onDuplicatesFound(data));
         eventBus.on(EVENTS.MEDIA_ERROR, (data) => this.showError(data.message));
         eventBus.on(EVENTS.MEDIA_LOAD, () => this.hideError());
+        eventBus.on(EVENTS.MEDIA_LOAD, ({ track }) => this.updateTrackInfo(track));
+        eventBus.on(EVENTS.PLAYLIST_RESTORE_PROMPT, (data) => this.showRestorePrompt(data));
+        eventBus.on(EVENTS.PLAYLIST_RESTORE, (data) => this.onPlaylistRestore(data));
+        eventBus.on(EVENTS.RESUME_PROMPT, (data) => this.showResumePrompt(data));
+        eventBus.on(EVENTS.HISTORY_CHANGE, (data) => this.onHistoryChange(data));
+        eventBus.on(EVENTS.MEDIA_LOAD, () => this.hideResumePrompt());
+        eventBus.on(EVENTS.MEDIA_LOAD, () => this.hideFramePrompt());
+        eventBus.on(EVENTS.PLAYLIST_UPDATE, ({ playlist }) => {
+            if (playlist?.length > 0) this.hideRestorePrompt();
+        });
     }
 
     // --- Control Visibility ---
@@ -163,14 +191,187 @@ export class UIManager {
     // --- Media Type Switching ---
 
     onMediaTypeChange({ type }) {
-        const { videoContainer, audioContainer } = this.elements;
+        const { container, videoContainer, audioContainer } = this.elements;
+        const isAudio = type === MEDIA_TYPE.AUDIO;
 
-        if (type === MEDIA_TYPE.AUDIO) {
-            videoContainer?.classList.add('hidden');
-            audioContainer?.classList.remove('hidden');
-        } else {
-            videoContainer?.classList.remove('hidden');
-            audioContainer?.classList.add('hidden');
+        container?.classList.toggle('audio-mode', isAudio);
+        videoContainer?.classList.toggle('hidden', isAudio);
+        audioContainer?.classList.toggle('hidden', !isAudio);
+        audioContainer?.classList.toggle('active', isAudio);
+    }
+
+    // --- Session Restore ---
+
+    /**
+     * Offer to restore the previous playlist
+     * @param {Object} data - { trackCount, fileCount }
+     */
+    showRestorePrompt({ trackCount, fileCount }) {
+        const { restorePrompt, restoreMessage } = this.elements;
+        if (!restorePrompt) return;
+
+        if (restoreMessage) {
+            const tracks = `${trackCount} track${trackCount === 1 ? '' : 's'}`;
+            restoreMessage.textContent =
+                fileCount > 0
+                    ? `Restore your previous playlist (${tracks})? Access to local files must be granted again.`
+                    : `Restore your previous playlist (${tracks})?`;
+        }
+
+        restorePrompt.classList.remove('hidden');
+    }
+
+    hideRestorePrompt() {
+        this.elements.restorePrompt?.classList.add('hidden');
+    }
+
+    // --- Resume Position ---
+
+    /**
+     * Offer to jump to the remembered position; hides itself after a while
+     * @param {Object} data - { position }
+     */
+    showResumePrompt({ position }) {
+        const { resumePrompt, resumeMessage } = this.elements;
+        if (!resumePrompt) return;
+
+        if (resumeMessage) {
+            resumeMessage.textContent = `Resume from ${formatTime(position)}?`;
+        }
+
+        resumePrompt.classList.remove('hidden');
+
+        clearTimeout(this.hideResumePromptTimeout);
+        this.hideResumePromptTimeout = setTimeout(
+            () => this.hideResumePrompt(),
+            PLAYER_CONFIG.RESUME_PROMPT_DURATION
+        );
+    }
+
+    hideResumePrompt() {
+        clearTimeout(this.hideResumePromptTimeout);
+        this.elements.resumePrompt?.classList.add('hidden');
+    }
+
+    // --- Go to Frame ---
+
+    /**
+     * Ask for a frame number or timecode, starting from the current frame
+     * @param {Object} data - { frameRate, currentFrame }
+     */
+    showFramePrompt({ frameRate, currentFrame }) {
+        const { framePrompt, frameMessage, frameInput } = this.elements;
+        if (!framePrompt || !frameInput) return;
+
+        if (frameMessage) {
+            frameMessage.textContent = `Go to frame or timecode (${frameRate} fps)`;
+        }
+        frameInput.value = String(currentFrame);
+        frameInput.removeAttribute('aria-invalid');
+
+        framePrompt.classList.remove('hidden');
+        frameInput.focus();
+        frameInput.select();
+    }
+
+    hideFramePrompt() {
+        const { framePrompt, frameInput } = this.elements;
+        if (!framePrompt || framePrompt.classList.contains('hidden')) return;
+
+        framePrompt.classList.add('hidden');
+        frameInput?.blur();
+    }
+
+    // --- Undo ---
+
+    /**
+     * Offer to undo edits that drop tracks; confirm undo and redo
+     * @param {Object} data - { action: 'edit' | 'undo' | 'redo', label, destructive }
+     */
+    onHistoryChange({ action, label, destructive }) {
+        if (action === 'edit') {
+            if (destructive) this.showUndoToast(label);
+            return;
+        }
+
+        this.hideUndoToast();
+        this.showOsd(`${action === 'undo' ? 'Undo' : 'Redo'}: ${label}`);
+    }
+
+    /**
+     * @param {string} label - Name of the edit that can be undone
+     */
+    showUndoToast(label) {
+        const { undoToast, undoMessage } = this.elements;
+        if (!undoToast) return;
+
+        if (undoMessage) {
+            undoMessage.textContent = label;
+        }
+
+        undoToast.classList.remove('hidden');
+
+        clearTimeout(this.hideUndoToastTimeout);
+        this.hideUndoToastTimeout = setTimeout(() => this.hideUndoToast(), PLAYER_CONFIG.UNDO_TOAST_DURATION);
+    }
+
+    hideUndoToast() {
+        clearTimeout(this.hideUndoToastTimeout);
+        this.elements.undoToast?.classList.add('hidden');
+    }
+
+    // --- Enqueue Choice ---
+
+    /**
+     * Ask how opened or dropped files should join the playlist
+     * @param {Object} data - { count }
+     */
+    showEnqueuePrompt({ count }) {
+        const { enqueuePrompt, enqueueMessage } = this.elements;
+        if (!enqueuePrompt) return;
+
+        if (enqueueMessage) {
+            enqueueMessage.textContent = `Add ${count} file${count === 1 ? '' : 's'}:`;
+        }
+
+        enqueuePrompt.classList.remove('hidden');
+    }
+
+    hideEnqueuePrompt() {
+        this.elements.enqueuePrompt?.classList.add('hidden');
+    }
+
+    // --- Track Info ---
+
+    /**
+     * Show the loaded track's title, artist and album art
+     * @param {Object} track
+     */
+    updateTrackInfo(track) {
+        const { trackTitle, trackArtist, albumArt, albumArtPlaceholder } = this.elements;
+
+        if (trackTitle) {
+            trackTitle.textContent = track.name || 'Unknown';
+        }
+
+        if (trackArtist) {
+            const details = [track.artist, track.album].filter(Boolean).join(' — ');
+            trackArtist.textContent = details || 'Unknown Artist';
+        }
+
+        if (albumArt) {
+            albumArt.src = track.cover || '';
+            albumArt.alt = track.album || 'Album Art';
+            albumArt.style.display = track.cover ? '' : 'none';
+        }
+
+        if (albumArtPlaceholder) {
+            albumArtPlaceholder.style.display = track.cover ? 'none' : '';
+        }
+
+        // Playlists can mix audio and video
+        if (track.type) {
+            this.onMediaTypeChange({ type: track.type });
         }
     }
 
@@ -198,7 +399,8 @@ export class UIManager {
 
         this.updatePlayPauseIcon(state.isPlaying);
         this.updateVolumeUI({ volume: state.volume, isMuted: state.isMuted });
-        this.updateSpeedUI({ current: state.playbackRate });
+        this.updateSpeedUI(state);
+        this.updateTimeOptions(state);
     }
 
     updatePlayPauseIcon(isPlaying) {
@@ -234,13 +436,178 @@ export class UIManager {
         }
     }
 
-    updateSpeedUI({ current }) {
-        const { speedBtn } = this.elements;
+    /**
+     * Show the speed on its button and rebuild the speed menu
+     * @param {Object} state - Player state
+     */
+    updateSpeedUI({ playbackRate, preservesPitch, trackSpeed, mediaTypeSpeeds, mediaType }) {
+        const { speedBtn, speedOptions } = this.elements;
+
         if (speedBtn) {
-            speedBtn.textContent = `${current}x`;
+            speedBtn.textContent = `${playbackRate}x`;
+        }
+        if (!speedOptions) return;
+
+        const option = (label, dataset, isActive, title) =>
+            createElement('li', { className: isActive ? 'active' : '', dataset, title }, [
+                label,
+                ...(isActive ? [createElement('span', { className: 'checkmark' }, '✓')] : []),
+            ]);
+        const heading = (label) => createElement('li', { className: 'speed-options-heading' }, label);
+
+        const isPreset = PLAYER_CONFIG.PLAYBACK_SPEEDS.includes(playbackRate);
+        const typeName = mediaType === MEDIA_TYPE.AUDIO ? 'audio' : 'video';
+
+        speedOptions.replaceChildren(
+            ...PLAYER_CONFIG.PLAYBACK_SPEEDS.map((speed) => option(`${speed}x`, { speed }, speed === playbackRate)),
+            // Applied on Enter (see PlayerCore.handleCustomSpeed)
+            createElement(
+                'li',
+                {
+                    className: `speed-custom${isPreset ? '' : ' active'}`,
+                    title: `${PLAYER_CONFIG.SPEED_MIN}x to ${PLAYER_CONFIG.SPEED_MAX}x, or < / > keys`,
+                },
+                [
+                    'Custom',
+                    createElement('input', {
+                        type: 'number',
+                        className: 'speed-custom-input',
+                        min: PLAYER_CONFIG.SPEED_MIN,
+                        max: PLAYER_CONFIG.SPEED_MAX,
+                        step: 0.01,
+                        value: playbackRate,
+                        required: '',
+                        'aria-label': 'Custom playback speed',
+                    }),
+                ]
+            ),
+            heading('Options'),
+            option('Keep pitch', { speedAction: 'pitch' }, preservesPitch),
+            option(
+                trackSpeed === null ? 'Always for this file' : `Always for this file (${trackSpeed}x)`,
+                { speedAction: 'track' },
+                trackSpeed !== null
+            ),
+            option(
+                mediaTypeSpeeds[mediaType] === undefined
+                    ? `Always for ${typeName}`
+                    : `Always for ${typeName} (${mediaTypeSpeeds[mediaType]}x)`,
+                { speedAction: 'type' },
+                mediaTypeSpeeds[mediaType] !== undefined
+            )
+        );
+    }
+
+    /**
+     * Rebuild the time display menu: timecode mode, go to frame and frame rate
+     * @param {Object} state - Player state
+     */
+    updateTimeOptions({ timeDisplayMode, detectedFrameRate, frameRate }) {
+        const { timeOptions } = this.elements;
+        if (!timeOptions) return;
+
+        const option = (label, dataset, isActive) =>
+            createElement('li', { className: isActive ? 'active' : '', dataset }, [
+                label,
+                ...(isActive ? [createElement('span', { className: 'checkmark' }, '✓')] : []),
+            ]);
+        const heading = (label) => createElement('li', { className: 'time-options-heading' }, label);
+
+        const isTimecode = timeDisplayMode === TIME_DISPLAY_MODE.TIMECODE;
+
+        timeOptions.replaceChildren(
+            option('Timecode (HH:MM:SS:FF)', { timeAction: 'timecode' }, isTimecode),
+            option('Go to frame or timecode…', { timeAction: 'goto' }, false),
+            heading(detectedFrameRate ? `Frame rate: ${detectedFrameRate} fps detected` : 'Frame rate if not detected'),
+            ...(detectedFrameRate
+                ? []
+                : PLAYER_CONFIG.FRAME_RATES.map((fps) => option(`${fps} fps`, { frameRate: fps }, fps === frameRate)))
+        );
+    }
+
+    /**
+     * @param {Object} data - { a, b, repeats, pause, count, reason }
+     */
+    onLoopChange(data) {
+        this.updateLoopUI(data);
+
+        const { a, b, repeats, count, reason } = data;
+        if (reason === 'start') {
+            this.showOsd(`Loop A: ${formatTime(a)}`);
+        } else if (reason === 'end') {
+            this.showOsd(`Loop ${formatTime(a)} – ${formatTime(b)}`);
+        } else if (reason === 'clear') {
+            this.showOsd('Loop cleared');
+        } else if (reason === 'finished') {
+            this.showOsd('Loop finished');
+        } else if (reason === 'repeat' && repeats > 0) {
+            this.showOsd(`Loop ${count + 1}/${repeats}`);
         }
     }
 
+    /**
+     * Mark the loop button and rebuild its menu
+     * @param {Object} state - { a, b, repeats, pause }
+     */
+    updateLoopUI({ a, b, repeats, pause }) {
+        const { loopBtn, loopOptions } = this.elements;
+
+        loopBtn?.classList.toggle('active', a !== null);
+        if (!loopOptions) return;
+
+        const time = (value) =>
+            createElement('span', { className: 'loop-time' }, value === null ? '–' : formatTime(value));
+        const option = (label, dataset, isActive) =>
+            createElement('li', { className: isActive ? 'active' : '', dataset }, [
+                label,
+                ...(isActive ? [createElement('span', { className: 'checkmark' }, '✓')] : []),
+            ]);
+        const heading = (label) => createElement('li', { className: 'loop-options-heading' }, label);
+
+        loopOptions.replaceChildren(
+            createElement('li', { dataset: { loopAction: 'start' }, title: '[ or Shift-click the progress bar' }, [
+                'Set A',
+                time(a),
+            ]),
+            createElement('li', { dataset: { loopAction: 'end' }, title: '] or Alt-click the progress bar' }, [
+                'Set B',
+                time(b),
+            ]),
+            createElement('li', { dataset: { loopAction: 'clear' }, title: 'Backslash key' }, 'Clear loop'),
+            heading('Play section'),
+            ...PLAYER_CONFIG.AB_LOOP_REPEATS.map((count) =>
+                option(count === 0 ? 'Until cleared' : `${count} times`, { loopRepeats: count }, count === repeats)
+            ),
+            heading('Pause before repeat'),
+            ...PLAYER_CONFIG.AB_LOOP_PAUSES.map((seconds) =>
+                option(seconds === 0 ? 'None' : `${seconds}s`, { loopPause: seconds }, seconds === pause)
+            )
+        );
+    }
+
+    /**
+     * Show the current chapter title and rebuild the chapter menu
+     * @param {Object} data - { chapters, index, chapter }
+     */
+    updateChapterUI({ chapters, index, chapter }) {
+        const { chapterSelector, chapterBtn, chapterOptions } = this.elements;
+
+        chapterSelector?.classList.toggle('hidden', chapters.length === 0);
+        if (chapterBtn) {
+            chapterBtn.textContent = chapter ? chapter.title : 'Chapters';
+        }
+        if (!chapterOptions) return;
+
+        chapterOptions.replaceChildren(
+            ...chapters.map(({ start, title }, i) =>
+                createElement('li', { className: i === index ? 'active' : '', dataset: { chapterIndex: i } }, [
+                    createElement('span', { className: 'chapter-time' }, formatTime(start)),
+                    createElement('span', { className: 'chapter-title' }, title),
+                ])
+            )
+        );
+    }
+
     updateFullscreenIcon(isFullscreen) {
         const { fullscreenBtn } = this.elements;
         if (!fullscreenBtn) return;
@@ -263,6 +630,116 @@ export class UIManager {
         subtitleBtn.classList.toggle('active', enabled);
     }
 
+    onSubtitleLoad({ error, message }) {
+        if (error) {
+            this.showError(message);
+        }
+    }
+
+    updateSubtitleMenu({ tracks, activeId }) {
+        const { subtitleBtn, subtitleMenuBtn, subtitleOptions } = this.elements;
+        const hasTracks = tracks.length > 0;
+
+        if (subtitleBtn) subtitleBtn.disabled = !hasTracks;
+        if (subtitleMenuBtn) subtitleMenuBtn.disabled = !hasTracks;
+
+        this.updateSubtitleUI({ enabled: activeId !== null });
+
+        if (!subtitleOptions) return;
+
+        subtitleOptions.innerHTML = '';
+
+        // An empty id is the "Off" entry
+        const options = [{ id: '', label: 'Off', language: null, filename: '' }, ...tracks];
+
+        options.forEach(({ id, label, language, filename }) => {
+            const isActive = (id || null) === activeId;
+            const children = [label];
+
+            if (language) {
+                children.push(createElement('span', { className: 'subtitle-language' }, language));
+            }
+            if (isActive) {
+                children.push(createElement('span', { className: 'checkmark' }, '✓'));
+            }
+
+            const item = createElement(
+                'li',
+                {
+                    className: isActive ? 'active' : '',
+                    dataset: { subtitleId: id },
+                    title: filename,
+                },
+                children
+            );
+            subtitleOptions.appendChild(item);
+        });
+    }
+
+    onSubtitleOffsetChange({ delay, framerate }) {
+        const sign = delay > 0 ? '+' : '';
+        let message = `Subtitle delay: ${sign}${Math.round(delay * 1000)} ms`;
+
+        if (framerate) {
+            message += ` (${framerate[0]} → ${framerate[1]} fps)`;
+        }
+
+        this.showOsd(message);
+    }
+
+    onPlaylistImport({ found, missing }) {
+        let message = `Playlist: ${found} ${found === 1 ? 'track' : 'tracks'}`;
+
+        // Local entries only resolve when their files were opened too
+        if (missing > 0) {
+            message += `, ${missing} not found (open the playlist's folder)`;
+        }
+
+        this.showOsd(message, missing > 0 ? PLAYER_CONFIG.OSD_DURATION * 3 : PLAYER_CONFIG.OSD_DURATION);
+    }
+
+    /**
+     * Name the local files that couldn't be reopened after the reload
+     * @param {Object} data - { playlist, unavailable }
+     */
+    onPlaylistRestore({ unavailable = [] }) {
+        if (unavailable.length === 0) return;
+
+        const names = unavailable.slice(0, 3).map((track) => track.filename || track.name);
+        const more = unavailable.length > names.length ? ` and ${unavailable.length - names.length} more` : '';
+
+        this.showOsd(
+            `Could not reopen ${names.join(', ')}${more}; open the files again to play them`,
+            PLAYER_CONFIG.OSD_DURATION * 4
+        );
+    }
+
+    /**
+     * @param {Object} data - { count, error }
+     */
+    onBookmarksImport({ count, error }) {
+        if (error) {
+            this.showOsd('Could not read the bookmarks file', PLAYER_CONFIG.OSD_DURATION * 2);
+        } else {
+            this.showOsd(count > 0 ? `Imported ${count} ${count === 1 ? 'bookmark' : 'bookmarks'}` : 'No new bookmarks');
+        }
+    }
+
+    /**
+     * @param {Object} data - { count, mode } for added tracks, { count, removed } for a clean-up
+     */
+    onDuplicatesFound({ count, mode, removed }) {
+        const duplicates = `${count} ${count === 1 ? 'duplicate' : 'duplicates'}`;
+
+        if (removed) {
+            this.showOsd(count > 0 ? `Removed ${duplicates}` : 'No duplicates');
+        } else if (mode === DUPLICATE_MODE.HIGHLIGHT) {
+            this.showOsd(`Added ${duplicates} (highlighted)`);
+        } else {
+            this.showOsd(`Skipped ${duplicates}`);
+        }
+    }
+
     updateShuffleUI({ shuffleEnabled }) {
         const { shuffleBtn } = this.elements;
         if (shuffleBtn) {
@@ -287,6 +764,24 @@ export class UIManager {
         eventBus.emit('ui:playlist:render');
     }
 
+    // --- On-Screen Messages ---
+
+    /**
+     * Briefly show a message over the player
+     * @param {string} message
+     * @param {number} duration - Time in ms before the message fades
+     */
+    showOsd(message, duration = PLAYER_CONFIG.OSD_DURATION) {
+        const { osd } = this.elements;
+        if (!osd) return;
+
+        osd.textContent = message;
+        osd.classList.remove('hidden');
+
+        clearTimeout(this.hideOsdTimeout);
+        this.hideOsdTimeout = setTimeout(() => osd.classList.add('hidden'), duration);
+    }
+
     // --- Error Display ---
 
     showError(message) {
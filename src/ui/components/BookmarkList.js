@@ -0,0 +1,102 @@
+/**
+ * BookmarkList - Lists the current media's bookmarks in the sidebar
+ */
+
+import { eventBus } from '../../core/EventBus.js';
+import { EVENTS } from '../../utils/constants.js';
+import { createElement, formatTime } from '../../utils/helpers.js';
+
+export class BookmarkList {
+    constructor(elements, bookmarkManager) {
+        this.elements = elements; // { list, addBtn, exportButtons }
+        this.bookmarkManager = bookmarkManager;
+
+        this.init();
+    }
+
+    init() {
+        this.attachEventListeners();
+        this.subscribeToEvents();
+        this.render();
+    }
+
+    attachEventListeners() {
+        const { list, addBtn } = this.elements;
+
+        addBtn?.addEventListener('click', () => this.bookmarkManager.addBookmark());
+        list?.addEventListener('click', (e) => this.handleClick(e));
+    }
+
+    subscribeToEvents() {
+        eventBus.on(EVENTS.BOOKMARKS_CHANGE, () => this.render());
+    }
+
+    render() {
+        const { list, addBtn, exportButtons = [] } = this.elements;
+        const { bookmarks, canBookmark } = this.bookmarkManager;
+
+        if (addBtn) addBtn.disabled = !canBookmark;
+        exportButtons.forEach((button) => {
+            button.disabled = bookmarks.length === 0;
+        });
+
+        if (!list) return;
+
+        if (bookmarks.length === 0) {
+            list.replaceChildren(
+                createElement(
+                    'li',
+                    { className: 'bookmark-empty' },
+                    canBookmark ? 'No bookmarks yet (B adds one)' : 'Play a file to add bookmarks'
+                )
+            );
+            return;
+        }
+
+        const button = (action, icon, title) =>
+            createElement('button', { className: 'bookmark-btn', dataset: { action }, title }, [
+                createElement('i', { className: 'material-icons' }, icon),
+            ]);
+
+        list.replaceChildren(
+            ...bookmarks.map(({ id, time, name }) =>
+                createElement('li', { className: 'bookmark-item', dataset: { id }, title: 'Jump to bookmark' }, [
+                    createElement('span', { className: 'bookmark-time' }, formatTime(time)),
+                    createElement('span', { className: 'bookmark-name' }, name),
+                    button('rename', 'edit', 'Rename'),
+                    button('remove', 'close', 'Remove'),
+                ])
+            )
+        );
+    }
+
+    // --- Actions ---
+
+    handleClick(e) {
+        const item = e.target.closest('.bookmark-item');
+        if (!item) return;
+
+        const { id } = item.dataset;
+        const action = e.target.closest('[data-action]')?.dataset.action;
+
+        if (action === 'rename') {
+            this.handleRename(id);
+        } else if (action === 'remove') {
+            this.bookmarkManager.removeBookmark(id);
+        } else {
+            this.bookmarkManager.seekTo(id);
+        }
+    }
+
+    handleRename(id) {
+        const bookmark = this.bookmarkManager.bookmarks.find((item) => item.id === id);
+        if (!bookmark) return;
+
+        const name = window.prompt('Rename bookmark', bookmark.name);
+        if (name !== null) {
+            this.bookmarkManager.renameBookmark(id, name);
+        }
+    }
+}
+
+export default BookmarkList;
@@ -0,0 +1,92 @@
+/**
+ * PlaylistSwitcher - Picks, creates, renames, duplicates and deletes named playlists
+ */
+
+import { eventBus } from '../../core/EventBus.js';
+import { EVENTS, PLAYER_CONFIG } from '../../utils/constants.js';
+import { createElement } from '../../utils/helpers.js';
+
+export class PlaylistSwitcher {
+    constructor(elements, playlistManager) {
+        this.elements = elements; // { select, newBtn, renameBtn, duplicateBtn, deleteBtn }
+        this.playlistManager = playlistManager;
+
+        this.init();
+    }
+
+    init() {
+        this.attachEventListeners();
+        this.subscribeToEvents();
+        this.render();
+    }
+
+    attachEventListeners() {
+        const { select, newBtn, renameBtn, duplicateBtn, deleteBtn } = this.elements;
+
+        select?.addEventListener('change', (e) => this.playlistManager.switchPlaylist(e.target.value));
+        newBtn?.addEventListener('click', () => this.handleNew());
+        renameBtn?.addEventListener('click', () => this.handleRename());
+        duplicateBtn?.addEventListener('click', () => {
+            this.playlistManager.duplicatePlaylist(this.playlistManager.activePlaylistId);
+        });
+        deleteBtn?.addEventListener('click', () => this.handleDelete());
+    }
+
+    subscribeToEvents() {
+        eventBus.on(EVENTS.PLAYLISTS_CHANGE, () => this.render());
+        // Track counts in the options
+        eventBus.on(EVENTS.PLAYLIST_UPDATE, () => this.render());
+    }
+
+    render() {
+        const { select } = this.elements;
+        if (!select) return;
+
+        const activeId = this.playlistManager.activePlaylistId;
+        select.innerHTML = '';
+
+        for (const { id, name, tracks } of this.playlistManager.playlists) {
+            const option = createElement('option', { value: id }, `${name} (${tracks.length})`);
+            option.selected = id === activeId;
+            select.appendChild(option);
+        }
+    }
+
+    // --- Actions ---
+
+    handleNew() {
+        const name = window.prompt(
+            'Name of the new playlist',
+            this.playlistManager.getUniqueName(PLAYER_CONFIG.DEFAULT_PLAYLIST_NAME)
+        );
+        if (name === null) return;
+
+        this.playlistManager.createPlaylist(name.trim());
+    }
+
+    handleRename() {
+        const active = this.getActivePlaylist();
+        if (!active) return;
+
+        const name = window.prompt('Rename playlist', active.name);
+        if (name !== null) {
+            this.playlistManager.renamePlaylist(active.id, name);
+        }
+    }
+
+    handleDelete() {
+        const active = this.getActivePlaylist();
+        if (!active) return;
+
+        if (active.tracks.length === 0 || window.confirm(`Delete the playlist "${active.name}"?`)) {
+            this.playlistManager.deletePlaylist(active.id);
+        }
+    }
+
+    getActivePlaylist() {
+        const activeId = this.playlistManager.activePlaylistId;
+        return this.playlistManager.playlists.find((entry) => entry.id === activeId) || null;
+    }
+}
+
+export default PlaylistSwitcher;
@@ -1,60 +1,214 @@
 /**
  * PlaylistUI - Renders and manages playlist UI
+ *
+ * The list is virtualized: only the rows in view (plus a few either side)
+ * exist in the DOM. Rows are keyed by track and positioned absolutely, so
+ * updates move and reuse them instead of rebuilding the list.
  */
 
 import { eventBus } from '../../core/EventBus.js';
-import { stateManager } from '../../core/StateManager.js';
-import { EVENTS, MEDIA_TYPE } from '../../utils/constants.js';
+import { EVENTS, MEDIA_TYPE, PLAYER_CONFIG, PLAYLIST_FORMAT } from '../../utils/constants.js';
 import { formatTime, createElement } from '../../utils/helpers.js';
 
+const { PLAYLIST_ROW_HEIGHT, PLAYLIST_OVERSCAN } = PLAYER_CONFIG;
+
 export class PlaylistUI {
-    constructor(containerElement, playlistManager) {
+    constructor(containerElement, playlistManager, summaryElement = null, controls = {}) {
         this.container = containerElement;
         this.playlistManager = playlistManager;
-        this.draggedItem = null;
+        this.summary = summaryElement;
+        this.controls = controls; // { search, typeFilter, sort, selectionBar, selectionCount }
+        this.draggedTrack = null;
+        this.draggedTracks = [];
+        this.menu = null;
+
+        // Selected tracks (kept across reorders), the Shift range anchor and the keyboard focus
+        this.selection = new Set();
+        this.selectionAnchor = null;
+        this.focusedTrack = null;
+
+        // View filter; the playlist itself is untouched
+        this.searchTerms = [];
+        this.typeFilter = '';
+
+        // Playlist indices that pass the filter, in display order
+        this.visibleIndices = [];
+
+        // Rendered rows by track, and what each row currently shows
+        this.rows = new Map();
+        this.rowSignatures = new WeakMap();
+
+        this.viewport = null;
+        this.message = null;
+        this.renderFrame = null;
 
         this.init();
     }
 
     init() {
+        if (!this.container) return;
+
+        this.createViewport();
+        this.createMenu();
+        this.attachEventListeners();
         this.subscribeToEvents();
         this.render();
     }
 
+    /**
+     * Replace the placeholder markup with the row viewport and a message area
+     */
+    createViewport() {
+        this.viewport = createElement('div', { className: 'playlist-viewport' });
+        this.message = createElement('div', { className: 'playlist-message hidden' });
+
+        this.container.innerHTML = '';
+        this.container.appendChild(this.message);
+        this.container.appendChild(this.viewport);
+
+        // Focusable for keyboard selection
+        this.container.tabIndex = 0;
+        this.container.setAttribute('role', 'listbox');
+        this.container.setAttribute('aria-multiselectable', 'true');
+    }
+
+    attachEventListeners() {
+        const { search, typeFilter, sort, selectionBar } = this.controls;
+
+        search?.addEventListener('input', () => {
+            this.searchTerms = search.value.toLowerCase().split(/\s+/).filter(Boolean);
+            this.render();
+        });
+
+        typeFilter?.addEventListener('change', () => {
+            this.typeFilter = typeFilter.value;
+            this.render();
+        });
+
+        sort?.addEventListener('change', () => {
+            this.playlistManager.sortPlaylist(sort.value);
+            // Back to the "Sort by…" placeholder so the same sort can be applied again
+            sort.value = '';
+        });
+
+        selectionBar?.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-selection-action]');
+            if (button) this.runSelectionAction(button.dataset.selectionAction);
+        });
+
+        // One delegated listener per event for all rows
+        this.container.addEventListener('scroll', () => this.scheduleWindowRender(), { passive: true });
+        this.container.addEventListener('click', (e) => this.handleClick(e));
+        this.container.addEventListener('keydown', (e) => this.handleKeyDown(e));
+        this.container.addEventListener('dragstart', (e) => this.handleDragStart(e));
+        this.container.addEventListener('dragover', (e) => this.handleDragOver(e));
+        this.container.addEventListener('dragenter', (e) => this.handleDragEnter(e));
+        this.container.addEventListener('dragleave', (e) => this.handleDragLeave(e));
+        this.container.addEventListener('drop', (e) => this.handleDrop(e));
+        this.container.addEventListener('dragend', () => this.handleDragEnd());
+
+        if (typeof ResizeObserver !== 'undefined') {
+            new ResizeObserver(() => this.scheduleWindowRender()).observe(this.container);
+        }
+    }
+
+    /**
+     * Create the shared track menu (queue and add to playlist)
+     */
+    createMenu() {
+        this.menu = createElement('ul', { className: 'playlist-menu hidden' });
+        document.body.appendChild(this.menu);
+
+        document.addEventListener('click', (e) => {
+            if (!this.menu.contains(e.target)) this.hideMenu();
+        });
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') this.hideMenu();
+        });
+    }
+
     subscribeToEvents() {
         eventBus.on(EVENTS.PLAYLIST_UPDATE, () => this.render());
         eventBus.on(EVENTS.TRACK_CHANGE, () => this.updateActiveTrack());
+        eventBus.on(EVENTS.QUEUE_CHANGE, () => this.render());
         eventBus.on('ui:playlist:render', () => this.render());
     }
 
     /**
-     * Render the playlist
+     * Render the playlist: refilter, resize the viewport and update the rows in view
      */
     render() {
         if (!this.container) return;
 
         const playlist = this.playlistManager.playlist;
 
+        this.visibleIndices = [];
+        playlist.forEach((track, index) => {
+            if (this.matchesFilter(track)) this.visibleIndices.push(index);
+        });
+
+        this.renderSummary(
+            playlist,
+            this.visibleIndices.map((index) => playlist[index])
+        );
+        this.pruneSelection(playlist);
+        this.renderSelectionBar();
+
         if (playlist.length === 0) {
             this.renderEmpty();
-            return;
+        } else if (this.visibleIndices.length === 0) {
+            this.message.className = 'playlist-message playlist-no-match';
+            this.message.textContent = 'No matching tracks';
+        } else {
+            this.message.className = 'playlist-message hidden';
         }
 
-        this.container.innerHTML = '';
+        this.viewport.style.height = `${this.visibleIndices.length * PLAYLIST_ROW_HEIGHT}px`;
+        this.renderWindow();
+    }
 
-        playlist.forEach((track, index) => {
-            const item = this.createPlaylistItem(track, index);
-            this.container.appendChild(item);
-        });
+    /**
+     * @param {Object} track
+     * @returns {boolean} Whether the track passes the search and type filter
+     */
+    matchesFilter(track) {
+        if (this.typeFilter && track.type !== this.typeFilter) return false;
+        if (this.searchTerms.length === 0) return true;
+
+        const haystack = [track.name, track.artist, track.album, track.path].join('\n').toLowerCase();
+        return this.searchTerms.every((term) => haystack.includes(term));
+    }
+
+    /**
+     * Show the track count and total duration in the playlist header
+     * @param {Array} playlist
+     * @param {Array} visible - Tracks that pass the filter
+     */
+    renderSummary(playlist, visible = playlist) {
+        if (!this.summary) return;
+
+        if (playlist.length === 0) {
+            this.summary.textContent = '';
+            return;
+        }
+
+        const total = visible.reduce((sum, track) => sum + (track.duration || 0), 0);
+        const isPartial = visible.some((track) => !track.duration);
+        const count =
+            visible.length === playlist.length
+                ? `${playlist.length} track${playlist.length === 1 ? '' : 's'}`
+                : `${visible.length} of ${playlist.length} tracks`;
 
-        this.updateActiveTrack();
+        // A trailing "+" means some durations are still unknown
+        this.summary.textContent = total > 0 ? `${count} • ${formatTime(total)}${isPartial ? '+' : ''}` : count;
     }
 
     /**
      * Render empty state
      */
     renderEmpty() {
-        this.container.innerHTML = `
+        this.message.className = 'playlist-message';
+        this.message.innerHTML = `
       <div class="playlist-empty" style="display: flex; flex-direction: column; align-items: center; justify-content: center; height: 100%; padding: 2rem;">
         <i class="material-icons" style="font-size: 3rem; color: var(--color-text-muted); margin-bottom: 1rem;">queue_music</i>
         <p style="color: var(--color-text-muted); text-align: center;">No tracks in playlist</p>
@@ -65,21 +219,139 @@ export class PlaylistUI {
     `;
     }
 
+    // --- Windowing ---
+
     /**
-     * Create a playlist item element
-     * @param {Object} track
-     * @param {number} index
+     * Render the rows in view on the next frame (scrolling, resizing)
+     */
+    scheduleWindowRender() {
+        if (this.renderFrame) return;
+
+        this.renderFrame = requestAnimationFrame(() => {
+            this.renderFrame = null;
+            this.renderWindow();
+        });
+    }
+
+    /**
+     * Bring the rows in view up to date. Rows whose track is still in view are
+     * kept (and only refilled if the track changed); rows that scrolled out are
+     * recycled for tracks that scrolled in.
+     */
+    renderWindow() {
+        const playlist = this.playlistManager.playlist;
+        const currentIndex = this.playlistManager.currentTrackIndex;
+        const { scrollTop, clientHeight } = this.container;
+
+        const first = Math.max(0, Math.floor(scrollTop / PLAYLIST_ROW_HEIGHT) - PLAYLIST_OVERSCAN);
+        const last = Math.min(
+            this.visibleIndices.length,
+            Math.ceil((scrollTop + clientHeight) / PLAYLIST_ROW_HEIGHT) + PLAYLIST_OVERSCAN
+        );
+
+        const previousRows = this.rows;
+        const entering = [];
+        this.rows = new Map();
+
+        for (let position = first; position < last; position++) {
+            const index = this.visibleIndices[position];
+            const track = playlist[index];
+            const row = previousRows.get(track);
+
+            if (row) {
+                previousRows.delete(track);
+                this.rows.set(track, row);
+                this.updatePlaylistItem(row, track, index, position, index === currentIndex);
+            } else {
+                entering.push({ track, index, position });
+            }
+        }
+
+        // Keep the row being dragged so its dragend still reaches the container
+        if (previousRows.has(this.draggedTrack)) {
+            this.rows.set(this.draggedTrack, previousRows.get(this.draggedTrack));
+            previousRows.delete(this.draggedTrack);
+        }
+
+        const spareRows = [...previousRows.values()];
+
+        for (const { track, index, position } of entering) {
+            let row = spareRows.pop();
+            if (!row) {
+                row = this.createPlaylistItem();
+                this.viewport.appendChild(row);
+            }
+
+            this.rows.set(track, row);
+            this.updatePlaylistItem(row, track, index, position, index === currentIndex);
+        }
+
+        spareRows.forEach((row) => row.remove());
+    }
+
+    // --- Rows ---
+
+    /**
+     * Create an empty playlist row; updatePlaylistItem fills it
      * @returns {HTMLElement}
      */
-    createPlaylistItem(track, index) {
-        const isActive = index === this.playlistManager.currentTrackIndex;
+    createPlaylistItem() {
+        return createElement('div', { className: 'playlist-item', draggable: 'true' });
+    }
+
+    /**
+     * Place a row and refresh its contents if its track changed
+     * @param {HTMLElement} row
+     * @param {Object} track
+     * @param {number} index - Index in the playlist
+     * @param {number} position - Position in the filtered list
+     * @param {boolean} isActive
+     */
+    updatePlaylistItem(row, track, index, position, isActive) {
+        row.dataset.index = index.toString();
+        row.style.transform = `translateY(${position * PLAYLIST_ROW_HEIGHT}px)`;
+        row.classList.toggle('active', isActive);
+        this.updateRowSelection(row, track);
+
+        const queuePosition = this.playlistManager.getQueuePosition(track);
+        const signature = [
+            track.id,
+            track.name,
+            track.artist,
+            track.type,
+            track.duration,
+            track.finished,
+            track.unavailable,
+            track.duplicate,
+            track.annotation,
+            track.path,
+            queuePosition,
+        ].join('\u0000');
+
+        if (this.rowSignatures.get(row) === signature) return;
+        this.rowSignatures.set(row, signature);
+
+        this.fillPlaylistItem(row, track, queuePosition);
+    }
+
+    /**
+     * Build a row's contents
+     * @param {HTMLElement} row
+     * @param {Object} track
+     * @param {number} queuePosition - 1-based position in the up-next queue, or 0
+     */
+    fillPlaylistItem(row, track, queuePosition) {
         const isVideo = track.type === MEDIA_TYPE.VIDEO;
 
-        const item = createElement('div', {
-            className: `playlist-item ${isActive ? 'active' : ''}`,
-            dataset: { index: index.toString() },
-            draggable: 'true',
-        });
+        row.classList.toggle('finished', !!track.finished);
+        row.classList.toggle('unavailable', !!track.unavailable);
+        row.classList.toggle('duplicate', !!track.duplicate);
+
+        if (track.unavailable) {
+            row.title = `File not found: ${track.path}`;
+        } else {
+            row.title = track.annotation || '';
+        }
 
         // Icon
         const icon = createElement('div', { className: 'playlist-item-icon' }, [
@@ -97,77 +369,428 @@ export class PlaylistUI {
 
         const meta = createElement('div', { className: 'playlist-item-meta' });
 
-        if (track.artist) {
-            meta.textContent = track.artist;
-        } else if (track.duration) {
-            meta.textContent = formatTime(track.duration);
-        } else {
-            meta.textContent = isVideo ? 'Video' : 'Audio';
+        const details = [track.artist || (isVideo ? 'Video' : 'Audio')];
+        if (track.duration) {
+            details.push(formatTime(track.duration));
+        }
+        if (track.finished) {
+            details.push('Finished');
+        }
+        if (track.unavailable) {
+            details.push('Unavailable');
         }
+        if (track.duplicate) {
+            details.push('Duplicate');
+        }
+        if (queuePosition > 0) {
+            details.push(`Up next #${queuePosition}`);
+        }
+        meta.textContent = details.join(' • ');
 
         info.appendChild(title);
         info.appendChild(meta);
 
+        // Queue / add to playlist button
+        const addBtn = createElement(
+            'button',
+            {
+                className: 'control-btn playlist-item-add',
+                title: 'Queue or add to playlist…',
+                dataset: { action: 'menu' },
+            },
+            [createElement('i', { className: 'material-icons' }, 'playlist_add')]
+        );
+
         // Remove button
         const removeBtn = createElement(
             'button',
             {
                 className: 'control-btn playlist-item-remove',
                 title: 'Remove from playlist',
-                onClick: (e) => {
-                    e.stopPropagation();
-                    this.playlistManager.removeTrack(index);
-                },
+                dataset: { action: 'remove' },
             },
             [createElement('i', { className: 'material-icons' }, 'close')]
         );
-        removeBtn.style.cssText = 'width: 28px; height: 28px; opacity: 0; transition: opacity 0.2s;';
 
-        item.appendChild(icon);
-        item.appendChild(info);
-        item.appendChild(removeBtn);
+        row.replaceChildren(icon, info, addBtn, removeBtn);
+    }
 
-        // Click to play
-        item.addEventListener('click', () => {
-            this.playlistManager.playTrack(index);
-        });
+    /**
+     * Update active track highlighting
+     */
+    updateActiveTrack() {
+        const currentIndex = this.playlistManager.currentTrackIndex;
 
-        // Hover effect for remove button
-        item.addEventListener('mouseenter', () => {
-            removeBtn.style.opacity = '1';
-        });
-        item.addEventListener('mouseleave', () => {
-            removeBtn.style.opacity = '0';
-        });
+        for (const row of this.rows.values()) {
+            row.classList.toggle('active', Number(row.dataset.index) === currentIndex);
+        }
+    }
 
-        // Drag & drop
-        item.addEventListener('dragstart', (e) => this.handleDragStart(e, index));
-        item.addEventListener('dragover', (e) => this.handleDragOver(e));
-        item.addEventListener('dragenter', (e) => this.handleDragEnter(e));
-        item.addEventListener('dragleave', (e) => this.handleDragLeave(e));
-        item.addEventListener('drop', (e) => this.handleDrop(e, index));
-        item.addEventListener('dragend', () => this.handleDragEnd());
+    /**
+     * Play a clicked row (Ctrl/Cmd or Shift: select instead), or run the row
+     * button that was clicked
+     * @param {MouseEvent} e
+     */
+    handleClick(e) {
+        const row = e.target.closest('.playlist-item');
+        if (!row) return;
+
+        const index = Number(row.dataset.index);
+        const track = this.playlistManager.playlist[index];
+        const button = e.target.closest('[data-action]');
+
+        switch (button?.dataset.action) {
+            case 'remove':
+                this.playlistManager.removeTrack(index);
+                break;
+            case 'menu':
+                // Keep the document click handler from closing the menu again
+                e.stopPropagation();
+                this.showMenu(this.playlistManager.playlist[index], index, button);
+                break;
+            default:
+                if (e.shiftKey) {
+                    this.selectRange(track);
+                } else if (e.ctrlKey || e.metaKey) {
+                    this.toggleSelected(track);
+                } else {
+                    this.selection.clear();
+                    this.selectionAnchor = track;
+                    this.focusedTrack = track;
+                    this.refreshSelection();
+                    this.playlistManager.playTrack(index);
+                }
+        }
+    }
+
+    // --- Selection ---
 
-        return item;
+    /**
+     * Keyboard selection while the list has focus: arrows, Page Up/Down,
+     * Home/End (Shift extends), Ctrl/Cmd+A, Enter plays, Delete removes
+     * @param {KeyboardEvent} e
+     */
+    handleKeyDown(e) {
+        // Leave keys on row buttons alone
+        if (e.target !== this.container) return;
+
+        const count = this.visibleIndices.length;
+        if (count === 0) return;
+
+        const pageSize = Math.max(1, Math.floor(this.container.clientHeight / PLAYLIST_ROW_HEIGHT) - 1);
+        const position = this.getPosition(this.focusedTrack);
+        let target = null;
+
+        switch (e.key) {
+            case 'ArrowDown':
+                target = Math.min(position + 1, count - 1);
+                break;
+            case 'ArrowUp':
+                target = Math.max(position - 1, 0);
+                break;
+            case 'PageDown':
+                target = Math.min(position + pageSize, count - 1);
+                break;
+            case 'PageUp':
+                target = Math.max(position - pageSize, 0);
+                break;
+            case 'Home':
+                target = 0;
+                break;
+            case 'End':
+                target = count - 1;
+                break;
+            case 'a':
+            case 'A':
+                if (!e.ctrlKey && !e.metaKey) return;
+                this.selectAll();
+                break;
+            case 'Enter':
+                if (position < 0) return;
+                this.playlistManager.playTrack(this.visibleIndices[position]);
+                break;
+            case 'Delete':
+            case 'Backspace':
+                this.runSelectionAction('remove');
+                break;
+            case 'Escape':
+                this.clearSelection();
+                break;
+            default:
+                return;
+        }
+
+        // Keep the global shortcuts (arrows seek, Space plays) out of it
+        e.preventDefault();
+        e.stopPropagation();
+
+        if (target === null) return;
+
+        const track = this.playlistManager.playlist[this.visibleIndices[target]];
+        if (e.shiftKey) {
+            this.selectRange(track);
+        } else {
+            this.selectOnly(track);
+        }
+        this.scrollToPosition(target);
     }
 
     /**
-     * Update active track highlighting
+     * @param {Object} track
+     * @returns {number} Position of the track in the filtered list, or -1
      */
-    updateActiveTrack() {
-        const currentIndex = this.playlistManager.currentTrackIndex;
-        const items = this.container.querySelectorAll('.playlist-item');
+    getPosition(track) {
+        if (!track) return -1;
 
-        items.forEach((item, index) => {
-            item.classList.toggle('active', index === currentIndex);
-        });
+        const playlist = this.playlistManager.playlist;
+        return this.visibleIndices.findIndex((index) => playlist[index] === track);
+    }
+
+    /**
+     * Scroll just enough to bring a position into view
+     * @param {number} position
+     */
+    scrollToPosition(position) {
+        const top = position * PLAYLIST_ROW_HEIGHT;
+        const bottom = top + PLAYLIST_ROW_HEIGHT;
+        const { scrollTop, clientHeight } = this.container;
+
+        if (top < scrollTop) {
+            this.container.scrollTop = top;
+        } else if (bottom > scrollTop + clientHeight) {
+            this.container.scrollTop = bottom - clientHeight;
+        }
+    }
+
+    selectOnly(track) {
+        this.selection = new Set([track]);
+        this.selectionAnchor = track;
+        this.focusedTrack = track;
+        this.refreshSelection();
+    }
+
+    toggleSelected(track) {
+        if (this.selection.has(track)) {
+            this.selection.delete(track);
+        } else {
+            this.selection.add(track);
+        }
+        this.selectionAnchor = track;
+        this.focusedTrack = track;
+        this.refreshSelection();
+    }
+
+    /**
+     * Select the tracks between the anchor and a track, in display order
+     * @param {Object} track
+     */
+    selectRange(track) {
+        const playlist = this.playlistManager.playlist;
+        if (!this.selectionAnchor) this.selectionAnchor = track;
+
+        const from = this.getPosition(this.selectionAnchor);
+        const to = this.getPosition(track);
+        const [start, end] = from <= to ? [from, to] : [to, from];
+
+        this.selection = new Set(this.visibleIndices.slice(start, end + 1).map((index) => playlist[index]));
+        this.focusedTrack = track;
+        this.refreshSelection();
+    }
+
+    selectAll() {
+        const playlist = this.playlistManager.playlist;
+        this.selection = new Set(this.visibleIndices.map((index) => playlist[index]));
+        this.refreshSelection();
+    }
+
+    clearSelection() {
+        if (this.selection.size === 0) return;
+
+        this.selection.clear();
+        this.refreshSelection();
+    }
+
+    /**
+     * Drop selected tracks that left the playlist or are hidden by the filter
+     * @param {Array} playlist
+     */
+    pruneSelection(playlist) {
+        const visible = new Set(this.visibleIndices.map((index) => playlist[index]));
+
+        for (const track of this.selection) {
+            if (!visible.has(track)) this.selection.delete(track);
+        }
+        if (!visible.has(this.selectionAnchor)) this.selectionAnchor = null;
+        if (!visible.has(this.focusedTrack)) this.focusedTrack = null;
+    }
+
+    refreshSelection() {
+        const playlist = this.playlistManager.playlist;
+
+        for (const row of this.rows.values()) {
+            this.updateRowSelection(row, playlist[Number(row.dataset.index)]);
+        }
+        this.renderSelectionBar();
+    }
+
+    /**
+     * @param {HTMLElement} row
+     * @param {Object} track
+     */
+    updateRowSelection(row, track) {
+        const isSelected = this.selection.has(track);
+
+        row.classList.toggle('selected', isSelected);
+        row.classList.toggle('focused', track === this.focusedTrack);
+        row.setAttribute('aria-selected', isSelected.toString());
+    }
+
+    renderSelectionBar() {
+        const { selectionBar, selectionCount } = this.controls;
+        if (!selectionBar) return;
+
+        selectionBar.classList.toggle('hidden', this.selection.size === 0);
+        if (selectionCount) {
+            selectionCount.textContent = `${this.selection.size} selected`;
+        }
+    }
+
+    /**
+     * @returns {Array<number>} Playlist indices of the selected tracks, in order
+     */
+    getSelectedIndices() {
+        const playlist = this.playlistManager.playlist;
+        return this.visibleIndices.filter((index) => this.selection.has(playlist[index]));
+    }
+
+    /**
+     * Run a bulk action on the selection
+     * @param {string} action - top, bottom, queue, export, remove or clear
+     */
+    runSelectionAction(action) {
+        const indices = this.getSelectedIndices();
+        if (indices.length === 0) return;
+
+        switch (action) {
+            case 'top':
+                this.playlistManager.moveTracks(indices, 0);
+                break;
+            case 'bottom':
+                this.playlistManager.moveTracks(indices, Infinity);
+                break;
+            case 'queue':
+                this.playlistManager.queueTracks(indices);
+                break;
+            case 'export':
+                this.playlistManager.exportPlaylist(
+                    PLAYLIST_FORMAT.M3U,
+                    indices.map((index) => this.playlistManager.playlist[index])
+                );
+                break;
+            case 'remove':
+                this.playlistManager.removeTracks(indices);
+                break;
+            case 'clear':
+                this.clearSelection();
+                break;
+        }
+    }
+
+    // --- Track Menu ---
+
+    /**
+     * List the queue actions and the other named playlists next to a track's add button
+     * @param {Object} track
+     * @param {number} index
+     * @param {HTMLElement} anchor
+     */
+    showMenu(track, index, anchor) {
+        const activeId = this.playlistManager.activePlaylistId;
+        const targets = this.playlistManager.playlists.filter((entry) => entry.id !== activeId);
+
+        this.menu.innerHTML = '';
+
+        if (!track.unavailable) {
+            const queueAction = (label, next) =>
+                createElement(
+                    'li',
+                    {
+                        onClick: () => {
+                            this.hideMenu();
+                            this.playlistManager.queueTrack(index, next);
+                        },
+                    },
+                    label
+                );
+
+            this.menu.appendChild(queueAction('Play next', true));
+            this.menu.appendChild(queueAction('Add to queue', false));
+        }
+
+        this.menu.appendChild(createElement('li', { className: 'playlist-menu-heading' }, 'Add to playlist'));
+
+        for (const entry of targets) {
+            this.menu.appendChild(
+                createElement(
+                    'li',
+                    { onClick: () => this.addToPlaylist(entry.id, track) },
+                    entry.name
+                )
+            );
+        }
+
+        this.menu.appendChild(
+            createElement(
+                'li',
+                {
+                    onClick: () => {
+                        const name = window.prompt('Name of the new playlist', track.album || track.name);
+                        if (name === null) return;
+
+                        const entry = this.playlistManager.createPlaylist(name.trim(), false);
+                        this.addToPlaylist(entry.id, track);
+                    },
+                },
+                'New playlist…'
+            )
+        );
+
+        const rect = anchor.getBoundingClientRect();
+        this.menu.style.top = `${rect.bottom}px`;
+        this.menu.style.left = `${Math.max(0, rect.right - 160)}px`;
+        this.menu.classList.remove('hidden');
+    }
+
+    hideMenu() {
+        this.menu?.classList.add('hidden');
+    }
+
+    /**
+     * @param {string} id - Target playlist
+     * @param {Object} track
+     */
+    addToPlaylist(id, track) {
+        this.hideMenu();
+        this.playlistManager.addTracksToPlaylist(id, [track]);
     }
 
     // --- Drag & Drop Handlers ---
 
-    handleDragStart(e, index) {
-        this.draggedItem = index;
-        e.target.classList.add('dragging');
+    handleDragStart(e) {
+        const row = e.target.closest('.playlist-item');
+        if (!row) return;
+
+        const index = Number(row.dataset.index);
+        this.draggedTrack = this.playlistManager.playlist[index];
+
+        // Dragging a selected row takes the whole selection along
+        this.draggedTracks = this.selection.has(this.draggedTrack)
+            ? this.getSelectedIndices().map((i) => this.playlistManager.playlist[i])
+            : [this.draggedTrack];
+
+        for (const [track, draggedRow] of this.rows) {
+            if (this.draggedTracks.includes(track)) draggedRow.classList.add('dragging');
+        }
         e.dataTransfer.effectAllowed = 'move';
         e.dataTransfer.setData('text/plain', index.toString());
     }
@@ -185,22 +808,36 @@ export class PlaylistUI {
         e.target.closest('.playlist-item')?.classList.remove('drag-over');
     }
 
-    handleDrop(e, targetIndex) {
+    handleDrop(e) {
         e.preventDefault();
-        e.target.closest('.playlist-item')?.classList.remove('drag-over');
 
-        if (this.draggedItem !== null && this.draggedItem !== targetIndex) {
-            this.playlistManager.moveTrack(this.draggedItem, targetIndex);
-        }
+        const row = e.target.closest('.playlist-item');
+        row?.classList.remove('drag-over');
 
-        this.draggedItem = null;
+        const playlist = this.playlistManager.playlist;
+        const targetIndex = row ? Number(row.dataset.index) : -1;
+        if (targetIndex < 0 || this.draggedTracks.includes(playlist[targetIndex])) return;
+
+        // The list may have changed during the drag, so look the tracks up again
+        const indices = this.draggedTracks.map((track) => playlist.indexOf(track)).filter((i) => i >= 0);
+        if (indices.length === 0) return;
+
+        // Dropping below the block lands after the target, above it before
+        const targetAfterRemoval = targetIndex - indices.filter((i) => i < targetIndex).length;
+        const isMovingDown = Math.min(...indices) < targetIndex;
+
+        this.playlistManager.moveTracks(indices, isMovingDown ? targetAfterRemoval + 1 : targetAfterRemoval);
     }
 
     handleDragEnd() {
-        this.container.querySelectorAll('.playlist-item').forEach((item) => {
-            item.classList.remove('dragging', 'drag-over');
-        });
-        this.draggedItem = null;
+        for (const row of this.rows.values()) {
+            row.classList.remove('dragging', 'drag-over');
+        }
+        this.draggedTrack = null;
+        this.draggedTracks = [];
+
+        // Drop the dragged row if it has scrolled out of view
+        this.renderWindow();
     }
 }
 
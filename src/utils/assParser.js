@@ -0,0 +1,398 @@
+/**
+ * ASS/SSA (Advanced SubStation Alpha) subtitle parser for the LAS Player
+ */
+
+import { parseTimestamp, normalizeSubtitleText, escapeVttText } from './subtitleParser.js';
+
+// Defaults from the ASS specification, used when a script omits them
+const DEFAULT_PLAY_RES_X = 384;
+const DEFAULT_PLAY_RES_Y = 288;
+
+const DEFAULT_STYLE = {
+    name: 'Default',
+    fontName: 'Arial',
+    fontSize: 20,
+    primaryColor: 'rgba(255, 255, 255, 1)',
+    outlineColor: 'rgba(0, 0, 0, 1)',
+    backColor: 'rgba(0, 0, 0, 1)',
+    bold: false,
+    italic: false,
+    underline: false,
+    strikeout: false,
+    borderStyle: 1,
+    outline: 2,
+    shadow: 2,
+    alignment: 2,
+    marginL: 10,
+    marginR: 10,
+    marginV: 10,
+};
+
+/**
+ * Convert an ASS colour (&HAABBGGRR, &HBBGGRR& or decimal) to CSS rgba()
+ * @param {string} value - ASS colour value
+ * @returns {string|null} CSS colour or null if invalid
+ */
+export function parseAssColor(value) {
+    if (value === undefined || value === null) return null;
+
+    const raw = String(value).trim().replace(/&$/, '');
+    const hex = /^&?H([0-9a-f]+)$/i.exec(raw);
+    const number = hex ? parseInt(hex[1], 16) : parseInt(raw, 10);
+    if (isNaN(number)) return null;
+
+    const r = number & 0xff;
+    const g = (number >>> 8) & 0xff;
+    const b = (number >>> 16) & 0xff;
+    const alpha = 1 - ((number >>> 24) & 0xff) / 255;
+
+    return `rgba(${r}, ${g}, ${b}, ${parseFloat(alpha.toFixed(3))})`;
+}
+
+/**
+ * Convert a legacy SSA alignment (1-3 bottom, 5-7 top, 9-11 middle) to numpad layout
+ * @param {number} value - SSA alignment
+ * @returns {number} Numpad alignment (1-9)
+ */
+function convertLegacyAlignment(value) {
+    if (value >= 9) return value - 5;
+    if (value >= 5) return value + 2;
+    return value;
+}
+
+/**
+ * Parse an ASS boolean (-1 / 1 = true, 0 = false)
+ * @param {string} value
+ * @returns {boolean}
+ */
+function parseAssBoolean(value) {
+    return parseInt(value, 10) !== 0;
+}
+
+/**
+ * Split a "Key: a, b, c" line into its values, keeping commas in the last field
+ * @param {string} line - Raw line without the "Key:" prefix
+ * @param {number} fieldCount - Number of fields expected
+ * @returns {Array<string>}
+ */
+function splitFields(line, fieldCount) {
+    const parts = line.split(',');
+    if (parts.length <= fieldCount) return parts.map((part) => part.trim());
+
+    const head = parts.slice(0, fieldCount - 1).map((part) => part.trim());
+    return [...head, parts.slice(fieldCount - 1).join(',')];
+}
+
+/**
+ * Build a style object from a Style line
+ * @param {Object} fields - Field name to value map
+ * @param {boolean} isLegacy - Whether this is a V4 (SSA) style
+ * @returns {Object}
+ */
+function createStyle(fields, isLegacy) {
+    const number = (key, fallback) => {
+        const value = parseFloat(fields[key]);
+        return isNaN(value) ? fallback : value;
+    };
+
+    const alignment = number('alignment', DEFAULT_STYLE.alignment);
+
+    return {
+        name: fields.name || DEFAULT_STYLE.name,
+        fontName: fields.fontname || DEFAULT_STYLE.fontName,
+        fontSize: number('fontsize', DEFAULT_STYLE.fontSize),
+        primaryColor: parseAssColor(fields.primarycolour) || DEFAULT_STYLE.primaryColor,
+        // SSA calls the outline colour "TertiaryColour"
+        outlineColor:
+            parseAssColor(fields.outlinecolour ?? fields.tertiarycolour) || DEFAULT_STYLE.outlineColor,
+        backColor: parseAssColor(fields.backcolour) || DEFAULT_STYLE.backColor,
+        bold: fields.bold !== undefined ? parseAssBoolean(fields.bold) : DEFAULT_STYLE.bold,
+        italic: fields.italic !== undefined ? parseAssBoolean(fields.italic) : DEFAULT_STYLE.italic,
+        underline:
+            fields.underline !== undefined ? parseAssBoolean(fields.underline) : DEFAULT_STYLE.underline,
+        strikeout:
+            fields.strikeout !== undefined ? parseAssBoolean(fields.strikeout) : DEFAULT_STYLE.strikeout,
+        borderStyle: number('borderstyle', DEFAULT_STYLE.borderStyle),
+        outline: number('outline', DEFAULT_STYLE.outline),
+        shadow: number('shadow', DEFAULT_STYLE.shadow),
+        alignment: isLegacy ? convertLegacyAlignment(alignment) : alignment,
+        marginL: number('marginl', DEFAULT_STYLE.marginL),
+        marginR: number('marginr', DEFAULT_STYLE.marginR),
+        marginV: number('marginv', DEFAULT_STYLE.marginV),
+    };
+}
+
+/**
+ * Create the initial run state for an event from its style
+ * @param {Object} style
+ * @returns {Object}
+ */
+function createRunState(style) {
+    return {
+        fontName: style.fontName,
+        fontSize: style.fontSize,
+        color: style.primaryColor,
+        outlineColor: style.outlineColor,
+        backColor: style.backColor,
+        bold: style.bold,
+        italic: style.italic,
+        underline: style.underline,
+        strikeout: style.strikeout,
+        outline: style.outline,
+        shadow: style.shadow,
+        // \p drawing scale; text is vector drawing commands while above 0
+        drawing: 0,
+    };
+}
+
+/**
+ * Apply an override block ({\tag\tag...}) to the event layout and current run state
+ * @param {string} block - Override block contents without braces
+ * @param {Object} layout - Event layout ({ alignment, position })
+ * @param {Object} state - Current run state
+ * @param {Object} context - { style, styles }
+ * @returns {Object} New run state
+ */
+function applyOverrides(block, layout, state, context) {
+    // Animated and clipping tags can nest parentheses and backslashes; they are not supported
+    const tags = block
+        .replace(/\\(t|clip|iclip|move|fade?)\([^)]*\)/g, '')
+        .split('\\')
+        .filter(Boolean);
+
+    let current = state;
+
+    for (const tag of tags) {
+        let match;
+
+        if ((match = /^pos\(\s*([-\d.]+)\s*,\s*([-\d.]+)\s*\)/.exec(tag))) {
+            // Only the first \pos in an event counts
+            if (!layout.position) {
+                layout.position = { x: parseFloat(match[1]), y: parseFloat(match[2]) };
+            }
+        } else if ((match = /^p(\d+)/.exec(tag))) {
+            current = { ...current, drawing: parseInt(match[1], 10) };
+        } else if ((match = /^an([1-9])/.exec(tag))) {
+            if (!layout.alignmentOverridden) {
+                layout.alignment = parseInt(match[1], 10);
+                layout.alignmentOverridden = true;
+            }
+        } else if ((match = /^a(\d+)/.exec(tag))) {
+            if (!layout.alignmentOverridden) {
+                layout.alignment = convertLegacyAlignment(parseInt(match[1], 10));
+                layout.alignmentOverridden = true;
+            }
+        } else if ((match = /^1?c(&H[0-9a-f]+&?)/i.exec(tag))) {
+            current = { ...current, color: parseAssColor(match[1]) || current.color };
+        } else if ((match = /^3c(&H[0-9a-f]+&?)/i.exec(tag))) {
+            current = { ...current, outlineColor: parseAssColor(match[1]) || current.outlineColor };
+        } else if ((match = /^4c(&H[0-9a-f]+&?)/i.exec(tag))) {
+            current = { ...current, backColor: parseAssColor(match[1]) || current.backColor };
+        } else if ((match = /^bord([\d.]+)/.exec(tag))) {
+            current = { ...current, outline: parseFloat(match[1]) };
+        } else if ((match = /^shad([\d.]+)/.exec(tag))) {
+            current = { ...current, shadow: parseFloat(match[1]) };
+        } else if ((match = /^fs([\d.]+)/.exec(tag))) {
+            current = { ...current, fontSize: parseFloat(match[1]) };
+        } else if ((match = /^fn(.+)/.exec(tag))) {
+            current = { ...current, fontName: match[1].trim() };
+        } else if ((match = /^b(\d+)/.exec(tag))) {
+            current = { ...current, bold: parseInt(match[1], 10) !== 0 };
+        } else if ((match = /^i([01])/.exec(tag))) {
+            current = { ...current, italic: match[1] === '1' };
+        } else if ((match = /^u([01])/.exec(tag))) {
+            current = { ...current, underline: match[1] === '1' };
+        } else if ((match = /^s([01])/.exec(tag))) {
+            current = { ...current, strikeout: match[1] === '1' };
+        } else if ((match = /^r(.*)/.exec(tag))) {
+            const resetStyle = context.styles[match[1].trim()] || context.style;
+            current = createRunState(resetStyle);
+        }
+    }
+
+    return current;
+}
+
+/**
+ * Convert ASS inline text escapes to plain text
+ * @param {string} text - Raw ASS text (without override blocks)
+ * @param {number} wrapStyle - Script WrapStyle
+ * @returns {string}
+ */
+function convertAssEscapes(text, wrapStyle) {
+    return text
+        .replace(/\\N/g, '\n')
+        .replace(/\\n/g, wrapStyle === 2 ? '\n' : ' ')
+        .replace(/\\h/g, '\u00A0');
+}
+
+/**
+ * Parse the text of a Dialogue line into styled runs and layout information
+ * @param {string} text - Raw dialogue text
+ * @param {Object} style - Event style
+ * @param {Object} styles - All styles in the script, by name
+ * @param {number} wrapStyle - Script WrapStyle
+ * @returns {{runs: Array, alignment: number, position: Object|null, plainText: string}}
+ */
+export function parseAssEventText(text, style, styles = {}, wrapStyle = 0) {
+    const layout = { alignment: style.alignment, position: null, alignmentOverridden: false };
+    const runs = [];
+    let state = createRunState(style);
+
+    for (const part of text.split(/(\{[^}]*\})/)) {
+        if (!part) continue;
+
+        if (part.startsWith('{') && part.endsWith('}')) {
+            state = applyOverrides(part.slice(1, -1), layout, state, { style, styles });
+            continue;
+        }
+
+        // Drawings aren't rendered, so their commands are dropped rather than shown
+        if (state.drawing > 0) continue;
+
+        const runText = convertAssEscapes(part, wrapStyle);
+        if (runText) {
+            runs.push({ ...state, text: runText });
+        }
+    }
+
+    return {
+        runs,
+        alignment: layout.alignment,
+        position: layout.position,
+        plainText: runs
+            .map((run) => run.text)
+            .join('')
+            .trim(),
+    };
+}
+
+/**
+ * Parse an ASS/SSA script
+ * @param {string} text - Raw file contents
+ * @returns {{info: Object, styles: Object, events: Array}} Parsed script
+ * @throws {Error} If the file has no dialogue events
+ */
+export function parseAss(text) {
+    const info = {};
+    const styles = {};
+    const rawEvents = [];
+
+    let section = '';
+    let styleFormat = null;
+    let eventFormat = null;
+    let isLegacy = false;
+
+    for (const rawLine of normalizeSubtitleText(text).split('\n')) {
+        const line = rawLine.trim();
+        if (!line || line.startsWith(';')) continue;
+
+        const sectionMatch = /^\[(.+)\]$/.exec(line);
+        if (sectionMatch) {
+            section = sectionMatch[1].trim().toLowerCase();
+            if (section === 'v4 styles') isLegacy = true;
+            continue;
+        }
+
+        const separator = line.indexOf(':');
+        if (separator < 0) continue;
+
+        const key = line.slice(0, separator).trim();
+        const value = line.slice(separator + 1).trim();
+
+        if (section === 'script info') {
+            info[key] = value;
+        } else if (section === 'v4+ styles' || section === 'v4 styles') {
+            if (key === 'Format') {
+                styleFormat = value.split(',').map((field) => field.trim().toLowerCase());
+            } else if (key === 'Style' && styleFormat) {
+                const values = splitFields(value, styleFormat.length);
+                const fields = Object.fromEntries(styleFormat.map((field, i) => [field, values[i]]));
+                const style = createStyle(fields, isLegacy);
+                styles[style.name] = style;
+            }
+        } else if (section === 'events') {
+            if (key === 'Format') {
+                eventFormat = value.split(',').map((field) => field.trim().toLowerCase());
+            } else if (key === 'Dialogue' && eventFormat) {
+                const values = splitFields(value, eventFormat.length);
+                rawEvents.push(Object.fromEntries(eventFormat.map((field, i) => [field, values[i]])));
+            }
+        }
+    }
+
+    if (rawEvents.length === 0) {
+        throw new Error('No dialogue events found in ASS/SSA file');
+    }
+
+    const declaredX = parseFloat(info.PlayResX);
+    const declaredY = parseFloat(info.PlayResY);
+    const playResX = declaredX || (declaredY ? (declaredY * 4) / 3 : DEFAULT_PLAY_RES_X);
+    const playResY = declaredY || (declaredX ? (declaredX * 3) / 4 : DEFAULT_PLAY_RES_Y);
+    const wrapStyle = parseInt(info.WrapStyle, 10) || 0;
+
+    const events = [];
+
+    for (const raw of rawEvents) {
+        const start = parseTimestamp(raw.start);
+        const end = parseTimestamp(raw.end);
+        if (isNaN(start) || isNaN(end) || end <= start) continue;
+
+        const styleName = (raw.style || '').replace(/^\*/, '');
+        const style = styles[styleName] || styles.Default || DEFAULT_STYLE;
+        const parsed = parseAssEventText(raw.text || '', style, styles, wrapStyle);
+        if (!parsed.plainText) continue;
+
+        // A non-zero margin on the event overrides the style margin
+        const margin = (field, styleKey) => parseFloat(raw[field]) || style[styleKey];
+
+        events.push({
+            start,
+            end,
+            layer: parseInt(raw.layer, 10) || 0,
+            style: style.name,
+            borderStyle: style.borderStyle,
+            marginL: margin('marginl', 'marginL'),
+            marginR: margin('marginr', 'marginR'),
+            marginV: margin('marginv', 'marginV'),
+            ...parsed,
+        });
+    }
+
+    if (events.length === 0) {
+        throw new Error('No valid dialogue events found in ASS/SSA file');
+    }
+
+    events.sort((a, b) => a.start - b.start || a.layer - b.layer);
+
+    return {
+        info: {
+            title: info.Title || '',
+            playResX,
+            playResY,
+            wrapStyle,
+            scaledBorderAndShadow: (info.ScaledBorderAndShadow || 'yes').toLowerCase() === 'yes',
+        },
+        styles,
+        events,
+    };
+}
+
+/**
+ * Convert a parsed ASS/SSA script to plain WebVTT cues, dropping all styling
+ * @param {{events: Array}} script - Parsed script
+ * @returns {Array<{start: number, end: number, text: string}>}
+ */
+export function assToCues(script) {
+    return script.events.map((event) => ({
+        start: event.start,
+        end: event.end,
+        // Blank lines would end a WebVTT cue early
+        text: escapeVttText(
+            event.plainText
+                .split('\n')
+                .filter((line) => line.trim())
+                .join('\n')
+        ),
+    }));
+}
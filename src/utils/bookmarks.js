@@ -0,0 +1,60 @@
+/**
+ * Bookmark import/export (JSON and WebVTT chapters) for the LAS Player
+ */
+
+import { cuesToVtt, escapeVttText, normalizeSubtitleText, parseVtt, unescapeVttText } from './subtitleParser.js';
+
+/**
+ * Serialize bookmarks as JSON
+ * @param {Array<{time: number, name: string}>} bookmarks
+ * @param {string} [title] - Media title, for reference
+ * @returns {string}
+ */
+export function serializeBookmarksJson(bookmarks, title = '') {
+    const entries = bookmarks.map(({ time, name }) => ({ time: Math.round(time * 1000) / 1000, name }));
+    return `${JSON.stringify({ title, bookmarks: entries }, null, 2)}\n`;
+}
+
+/**
+ * Serialize bookmarks as WebVTT chapters; each chapter runs until the next
+ * bookmark, the last one until the end of the media
+ * @param {Array<{time: number, name: string}>} bookmarks - Sorted by time
+ * @param {number} duration - Media duration in seconds
+ * @returns {string}
+ */
+export function serializeBookmarksVtt(bookmarks, duration) {
+    const cues = bookmarks.map(({ time, name }, index) => {
+        const next = index + 1 < bookmarks.length ? bookmarks[index + 1].time : duration;
+        return { start: time, end: Math.max(time, next || 0), text: escapeVttText(name) };
+    });
+
+    return cuesToVtt(cues);
+}
+
+/**
+ * Parse bookmarks from JSON ({ bookmarks: [...] } or a bare array) or WebVTT chapters
+ * @param {string} text - File contents
+ * @returns {Array<{time: number, name: string}>}
+ * @throws {Error} If the file holds no bookmarks
+ */
+export function parseBookmarks(text) {
+    const content = normalizeSubtitleText(text).trim();
+
+    // WebVTT chapters: each cue becomes a bookmark at its start, named after its text
+    if (content.startsWith('WEBVTT')) {
+        return parseVtt(content).map(({ start, text: cueText }) => ({
+            time: start,
+            name: unescapeVttText(cueText.replace(/\n/g, ' ')),
+        }));
+    }
+
+    const data = JSON.parse(content);
+    const entries = Array.isArray(data) ? data : data?.bookmarks;
+    if (!Array.isArray(entries)) {
+        throw new Error('No bookmarks found');
+    }
+
+    return entries
+        .filter((entry) => entry && Number.isFinite(entry.time) && entry.time >= 0)
+        .map(({ time, name }) => ({ time, name: String(name ?? '') }));
+}
@@ -6,11 +6,75 @@ export const PLAYER_CONFIG = {
     // Playback speeds
     PLAYBACK_SPEEDS: [0.25, 0.5, 0.75, 1, 1.25, 1.5, 1.75, 2],
     DEFAULT_SPEED: 1,
+    SPEED_MIN: 0.1,
+    SPEED_MAX: 4,
+    SPEED_STEP: 0.05, // < and > keys
+    TRACK_SPEEDS_MAX_ENTRIES: 500,
+
+    // Frame stepping: frame rate assumed for video where it can't be detected
+    DEFAULT_FRAME_RATE: 30,
+    FRAME_RATES: [23.976, 24, 25, 29.97, 30, 48, 50, 59.94, 60],
+    FRAME_RATE_SAMPLES: 12, // Consecutive frames timed to detect the frame rate
 
     // Skip times in seconds
     SKIP_BACKWARD: 10,
     SKIP_FORWARD: 10,
 
+    // Subtitle timing
+    SUBTITLE_DELAY_STEP: 0.1,
+    SUBTITLE_DELAY_STEP_LARGE: 1,
+    // [subtitle fps, video fps] pairs; null means no stretch
+    SUBTITLE_FRAMERATE_PRESETS: [null, [23.976, 25], [25, 23.976], [24, 25], [25, 24], [23.976, 24], [24, 23.976]],
+    SUBTITLE_OFFSETS_MAX_ENTRIES: 200,
+
+    // On-screen messages
+    OSD_DURATION: 1500,
+
+    // Background duration probing
+    DURATION_PROBE_CONCURRENCY: 3,
+    DURATION_PROBE_TIMEOUT: 10000,
+    DURATION_PROBE_BATCH_SIZE: 20,
+    DURATION_PROBE_BATCH_DELAY: 250,
+
+    // Playlist rendering (row height must match .playlist-item in CSS)
+    PLAYLIST_ROW_HEIGHT: 52,
+    PLAYLIST_OVERSCAN: 8,
+
+    // Playlist persistence
+    DEFAULT_PLAYLIST_NAME: 'Playlist',
+    PLAYLIST_SAVE_DELAY: 500,
+    SESSION_SAVE_INTERVAL: 5000,
+
+    // Per-file resume positions
+    RESUME_MIN_DURATION: 300, // Only remember positions in media at least this long (seconds)
+    RESUME_MIN_POSITION: 15,
+    RESUME_FINISHED_RATIO: 0.97, // Past this fraction of the duration the file counts as finished
+    RESUME_SAVE_INTERVAL: 5000,
+    RESUME_PROMPT_DURATION: 10000,
+    RESUME_MAX_ENTRIES: 500,
+
+    // Playlist undo/redo (per named playlist)
+    PLAYLIST_HISTORY_LIMIT: 50,
+    UNDO_TOAST_DURATION: 6000,
+
+    // CUE tracks: moving to the next track of the same file skips the seek when
+    // playback is already this close to its start (seconds), keeping it gapless
+    SEGMENT_SEEK_TOLERANCE: 0.5,
+
+    // A-B loop
+    AB_LOOP_MIN_LENGTH: 0.2,
+    AB_LOOP_REPEATS: [0, 2, 3, 5, 10], // Times the section plays; 0 loops until cleared
+    AB_LOOP_PAUSES: [0, 1, 2, 3, 5], // Seconds to wait before each repeat
+
+    // Bookmarks (per media file)
+    BOOKMARKS_MAX_ENTRIES: 500,
+    BOOKMARK_PREVIOUS_TOLERANCE: 2, // "Previous" from within this many seconds after a bookmark skips it
+    BOOKMARK_HOVER_DISTANCE: 6, // Pixels from a seek bar marker that show its name
+
+    // Chapters
+    CHAPTER_MIN_AVERAGE_LENGTH: 30, // VTT files with cues this long on average (seconds) are taken as chapters
+    CHAPTER_RESTART_THRESHOLD: 3, // "Previous" further into a chapter than this restarts it (seconds)
+
     // Volume
     DEFAULT_VOLUME: 1,
     VOLUME_STEP: 0.1,
@@ -30,12 +94,35 @@ export const PLAYER_CONFIG = {
         THEME: 'las-player-theme',
         PLAYBACK_SPEED: 'las-player-speed',
         PLAYLIST: 'las-player-playlist',
+        SUBTITLE_RENDER_MODE: 'las-player-subtitle-render-mode',
+        SUBTITLE_OFFSETS: 'las-player-subtitle-offsets',
+        PLAYLIST_SESSION: 'las-player-playlist-session',
+        RESUME_POSITIONS: 'las-player-resume-positions',
+        DUPLICATE_MODE: 'las-player-duplicate-mode',
+        DUPLICATE_CONTENT_HASH: 'las-player-duplicate-content-hash',
+        BOOKMARKS: 'las-player-bookmarks',
+        PRESERVES_PITCH: 'las-player-preserves-pitch',
+        MEDIA_TYPE_SPEEDS: 'las-player-media-type-speeds',
+        TRACK_SPEEDS: 'las-player-track-speeds',
+        FRAME_RATE: 'las-player-frame-rate',
+        TIME_DISPLAY_MODE: 'las-player-time-display-mode',
+    },
+
+    // IndexedDB (for data localStorage can't hold, like file handles)
+    DATABASE: {
+        NAME: 'las-player',
+        VERSION: 1,
+        STORES: {
+            PLAYLISTS: 'playlists',
+        },
     },
 
     // Supported file types
-    AUDIO_EXTENSIONS: ['mp3', 'wav', 'ogg', 'flac', 'aac', 'm4a', 'wma'],
+    AUDIO_EXTENSIONS: ['mp3', 'wav', 'ogg', 'oga', 'opus', 'flac', 'aac', 'm4a', 'm4b', 'wma'],
     VIDEO_EXTENSIONS: ['mp4', 'webm', 'mkv', 'avi', 'mov', 'wmv', 'flv'],
-    SUBTITLE_EXTENSIONS: ['vtt', 'srt'],
+    SUBTITLE_EXTENSIONS: ['vtt', 'srt', 'ass', 'ssa'],
+    // CUE sheets expand the audio file they describe instead of replacing the list
+    PLAYLIST_EXTENSIONS: ['m3u', 'm3u8', 'pls', 'xspf', 'cue'],
 
     // Themes
     THEMES: {
@@ -54,6 +141,8 @@ export const EVENTS = {
     DURATION_CHANGE: 'player:durationchange',
     ENDED: 'player:ended',
     SPEED_CHANGE: 'player:speedchange',
+    TIME_DISPLAY_CHANGE: 'player:timedisplay:change',
+    LOOP_CHANGE: 'player:loop:change',
 
     // Volume events
     VOLUME_CHANGE: 'volume:change',
@@ -63,12 +152,22 @@ export const EVENTS = {
     MEDIA_LOAD: 'media:load',
     MEDIA_ERROR: 'media:error',
     MEDIA_TYPE_CHANGE: 'media:typechange',
+    RESUME_PROMPT: 'media:resume:prompt',
+    BOOKMARKS_CHANGE: 'media:bookmarks:change',
+    BOOKMARKS_IMPORT: 'media:bookmarks:import',
 
     // Playlist events
     PLAYLIST_UPDATE: 'playlist:update',
     TRACK_CHANGE: 'playlist:trackchange',
     SHUFFLE_TOGGLE: 'playlist:shuffle',
     REPEAT_TOGGLE: 'playlist:repeat',
+    PLAYLIST_RESTORE_PROMPT: 'playlist:restore:prompt',
+    PLAYLIST_RESTORE: 'playlist:restore',
+    PLAYLIST_IMPORT: 'playlist:import',
+    PLAYLISTS_CHANGE: 'playlists:change',
+    QUEUE_CHANGE: 'playlist:queue:change',
+    HISTORY_CHANGE: 'playlist:history:change',
+    DUPLICATES_FOUND: 'playlist:duplicates',
 
     // UI events
     CONTROLS_SHOW: 'ui:controls:show',
@@ -81,6 +180,10 @@ export const EVENTS = {
     // Subtitle events
     SUBTITLE_LOAD: 'subtitle:load',
     SUBTITLE_TOGGLE: 'subtitle:toggle',
+    SUBTITLE_TRACKS_UPDATE: 'subtitle:tracks:update',
+    SUBTITLE_OFFSET_CHANGE: 'subtitle:offset:change',
+    CHAPTERS_LOAD: 'subtitle:chapters:load',
+    CHAPTER_CHANGE: 'subtitle:chapter:change',
 };
 
 export const MEDIA_TYPE = {
@@ -89,6 +192,59 @@ export const MEDIA_TYPE = {
     UNKNOWN: 'unknown',
 };
 
+export const SUBTITLE_RENDER_MODE = {
+    STYLED: 'styled', // ASS/SSA through the overlay renderer
+    PLAIN: 'plain', // Style-stripped cues through the native <track>
+};
+
+// What a WebVTT file attached to a media item holds (as in <track kind>)
+export const TEXT_TRACK_KIND = {
+    SUBTITLES: 'subtitles',
+    CHAPTERS: 'chapters',
+};
+
+export const TIME_DISPLAY_MODE = {
+    STANDARD: 'standard', // MM:SS or HH:MM:SS
+    TIMECODE: 'timecode', // HH:MM:SS:FF, for video
+};
+
+export const PLAYLIST_FORMAT = {
+    M3U: 'm3u', // Extended M3U, written as UTF-8 .m3u8
+    PLS: 'pls',
+    XSPF: 'xspf',
+};
+
+export const BOOKMARK_FORMAT = {
+    JSON: 'json',
+    VTT: 'vtt', // WebVTT chapters
+};
+
+export const PLAYLIST_SORT = {
+    NAME: 'name',
+    ARTIST: 'artist',
+    ALBUM: 'album',
+    TRACK_NUMBER: 'trackNumber',
+    DURATION: 'duration',
+    DATE_MODIFIED: 'lastModified',
+    PATH: 'path',
+    NATURAL: 'natural', // File names with numbers compared by value ("2" before "10")
+};
+
+// How opened or dropped files join the playlist
+export const ENQUEUE_MODE = {
+    PLAY_NOW: 'playNow',
+    PLAY_NEXT: 'playNext',
+    APPEND: 'append',
+    REPLACE: 'replace',
+};
+
+// What happens to added tracks that are already in the playlist
+export const DUPLICATE_MODE = {
+    SKIP: 'skip',
+    KEEP: 'keep',
+    HIGHLIGHT: 'highlight',
+};
+
 export const REPEAT_MODE = {
     OFF: 'off',
     ALL: 'all',
@@ -0,0 +1,97 @@
+/**
+ * CUE sheet parsing for the LAS Player
+ */
+
+const CUE_FRAMES_PER_SECOND = 75;
+const CUE_TIME_PATTERN = /^(\d+):(\d{1,2}):(\d{1,2})$/;
+
+/**
+ * Parse a CUE timestamp (MM:SS:FF, 75 frames per second)
+ * @param {string} value
+ * @returns {number} Time in seconds, or NaN if invalid
+ */
+export function parseCueTime(value) {
+    const match = CUE_TIME_PATTERN.exec(value);
+    if (!match) return NaN;
+
+    const [, minutes, seconds, frames] = match.map(Number);
+    return minutes * 60 + seconds + frames / CUE_FRAMES_PER_SECOND;
+}
+
+/**
+ * Split a CUE line into its command and arguments, honouring quotes
+ * @param {string} line
+ * @returns {Array<string>}
+ */
+function tokenize(line) {
+    const tokens = [];
+    const pattern = /"([^"]*)"?|(\S+)/g;
+    let match;
+
+    while ((match = pattern.exec(line)) !== null) {
+        tokens.push(match[1] ?? match[2]);
+    }
+
+    return tokens;
+}
+
+/**
+ * Parse a CUE sheet. Each track's start is its INDEX 01 (or its first index)
+ * within its FILE; ends are left to the caller since they depend on the next
+ * track of the same file or the file's duration.
+ * @param {string} text
+ * @returns {Object} { title, performer, genre, date, files: [{ name, tracks: [{ number, title, performer, start }] }] }
+ */
+export function parseCue(text) {
+    const sheet = { title: '', performer: '', genre: '', date: '', files: [] };
+    let file = null;
+    let track = null;
+
+    const lines = String(text).replace(/^\uFEFF/, '').split(/\r\n?|\n/);
+
+    for (const line of lines) {
+        const [command = '', ...args] = tokenize(line.trim());
+
+        switch (command.toUpperCase()) {
+            case 'REM': {
+                const [key = '', value = ''] = args;
+                if (key.toUpperCase() === 'GENRE' && !track) sheet.genre = value;
+                if (key.toUpperCase() === 'DATE' && !track) sheet.date = value;
+                break;
+            }
+            case 'TITLE':
+                if (track) track.title = args[0] || '';
+                else sheet.title = args[0] || '';
+                break;
+            case 'PERFORMER':
+                if (track) track.performer = args[0] || '';
+                else sheet.performer = args[0] || '';
+                break;
+            case 'FILE':
+                file = { name: args[0] || '', tracks: [] };
+                sheet.files.push(file);
+                track = null;
+                break;
+            case 'TRACK':
+                if (!file) break;
+                track = { number: parseInt(args[0], 10) || file.tracks.length + 1, title: '', performer: '', start: NaN };
+                file.tracks.push(track);
+                break;
+            case 'INDEX': {
+                if (!track) break;
+                const time = parseCueTime(args[1]);
+                if (parseInt(args[0], 10) === 1 || isNaN(track.start)) {
+                    track.start = time;
+                }
+                break;
+            }
+        }
+    }
+
+    for (const cueFile of sheet.files) {
+        cueFile.tracks = cueFile.tracks.filter((cueTrack) => !isNaN(cueTrack.start));
+    }
+    sheet.files = sheet.files.filter((cueFile) => cueFile.tracks.length > 0);
+
+    return sheet;
+}
@@ -0,0 +1,108 @@
+/**
+ * Duplicate track detection for the LAS Player
+ */
+
+const CONTENT_HASH_BYTES = 1024 * 1024;
+
+// CUE tracks share one File, which only needs hashing once
+const fileHashes = new WeakMap();
+
+/**
+ * Keys under which a track counts as the same media as another track.
+ * CUE tracks share their source file, so their start time is part of each key.
+ * @param {Object} track
+ * @returns {Array<string>}
+ */
+export function getDuplicateKeys(track) {
+    const segment = track.segment ? `#${track.segment.start}` : '';
+    const keys = [];
+
+    // A bare file name (file picker) says nothing about where the file lives
+    if (track.path && track.path.includes('/')) {
+        keys.push(`path:${track.path}${segment}`);
+    }
+
+    if (track.filename && track.size && track.lastModified) {
+        keys.push(`file:${track.filename}:${track.size}:${track.lastModified}${segment}`);
+    }
+
+    if (track.contentHash) {
+        keys.push(`hash:${track.contentHash}${segment}`);
+    }
+
+    return keys;
+}
+
+/**
+ * SHA-256 of a file's size, first and last megabyte
+ * @param {File} file
+ * @returns {Promise<string>} Hex digest
+ */
+export async function hashFileEdges(file) {
+    const parts = file.size > CONTENT_HASH_BYTES * 2
+        ? [file.slice(0, CONTENT_HASH_BYTES), file.slice(file.size - CONTENT_HASH_BYTES)]
+        : [file];
+
+    const buffer = await new Blob([String(file.size), ...parts]).arrayBuffer();
+    const digest = await crypto.subtle.digest('SHA-256', buffer);
+
+    return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Find the incoming tracks that duplicate an existing track or an earlier incoming one
+ * @param {Array} existing - Tracks already in the playlist
+ * @param {Array} incoming - Tracks being added
+ * @param {Object} [options]
+ * @param {boolean} [options.compareContents] - Also match on a hash of the file contents
+ * @returns {Promise<Set>} The duplicate incoming tracks
+ */
+export async function findDuplicates(existing, incoming, { compareContents = false } = {}) {
+    if (compareContents) {
+        await hashSameSizeTracks([...existing, ...incoming]);
+    }
+
+    const seen = new Set();
+    for (const track of existing) {
+        getDuplicateKeys(track).forEach((key) => seen.add(key));
+    }
+
+    const duplicates = new Set();
+    for (const track of incoming) {
+        const keys = getDuplicateKeys(track);
+        if (keys.some((key) => seen.has(key))) {
+            duplicates.add(track);
+        }
+        keys.forEach((key) => seen.add(key));
+    }
+
+    return duplicates;
+}
+
+/**
+ * Hash the local files that share their size with another track; files of
+ * different sizes can't have the same contents, so nothing else is read.
+ * The hash is kept on the track as `contentHash`.
+ * @param {Array} tracks
+ */
+async function hashSameSizeTracks(tracks) {
+    const sizeCounts = new Map();
+    for (const track of tracks) {
+        if (track.file) {
+            sizeCounts.set(track.file.size, (sizeCounts.get(track.file.size) || 0) + 1);
+        }
+    }
+
+    for (const track of tracks) {
+        if (!track.file || track.contentHash || sizeCounts.get(track.file.size) < 2) continue;
+
+        try {
+            if (!fileHashes.has(track.file)) {
+                fileHashes.set(track.file, hashFileEdges(track.file));
+            }
+            track.contentHash = await fileHashes.get(track.file);
+        } catch (error) {
+            console.warn('Could not hash file:', track.path, error);
+        }
+    }
+}
@@ -28,6 +28,54 @@ export function formatTime(seconds) {
     return `${paddedMinutes}:${paddedSeconds}`;
 }
 
+/**
+ * Format time in seconds as an SMPTE timecode (HH:MM:SS:FF, non-drop-frame).
+ * Frames are counted at the nominal rate, so 29.97 fps counts 30 per second.
+ * @param {number} seconds - Time in seconds
+ * @param {number} fps - Frame rate
+ * @returns {string} Timecode string
+ */
+export function formatTimecode(seconds, fps) {
+    if (isNaN(seconds) || seconds < 0 || !fps) return '00:00:00:00';
+
+    const nominal = Math.round(fps);
+    // The small offset keeps frame starts from rounding down into the previous frame
+    const totalFrames = Math.floor(seconds * fps + 1e-6);
+    const totalSeconds = Math.floor(totalFrames / nominal);
+
+    return [
+        Math.floor(totalSeconds / 3600),
+        Math.floor((totalSeconds % 3600) / 60),
+        totalSeconds % 60,
+        totalFrames % nominal,
+    ]
+        .map((part) => String(part).padStart(2, '0'))
+        .join(':');
+}
+
+/**
+ * Parse a frame number or an SMPTE timecode (HH:MM:SS:FF or MM:SS:FF)
+ * @param {string} text - User input
+ * @param {number} fps - Frame rate
+ * @returns {number|null} Frame number, or null if the input isn't valid
+ */
+export function parseTimecode(text, fps) {
+    const value = text.trim();
+
+    if (/^\d+$/.test(value)) {
+        return parseInt(value, 10);
+    }
+
+    const match = /^(?:(\d+):)?(\d{1,2}):(\d{1,2}):(\d{1,2})$/.exec(value);
+    if (!match || !fps) return null;
+
+    const nominal = Math.round(fps);
+    const [hours = 0, minutes, seconds, frames] = match.slice(1).map((part) => (part ? parseInt(part, 10) : undefined));
+    if (minutes > 59 || seconds > 59 || frames >= nominal) return null;
+
+    return ((hours * 60 + minutes) * 60 + seconds) * nominal + frames;
+}
+
 /**
  * Get file extension from filename
  * @param {string} filename - The filename
@@ -58,6 +106,43 @@ export function getMediaType(filename) {
     return MEDIA_TYPE.UNKNOWN;
 }
 
+/**
+ * Check if a file is a supported subtitle file
+ * @param {string} filename - The filename
+ * @returns {boolean}
+ */
+export function isSubtitleFile(filename) {
+    return PLAYER_CONFIG.SUBTITLE_EXTENSIONS.includes(getFileExtension(filename));
+}
+
+/**
+ * Check if a file is a supported playlist file (M3U/M3U8/PLS)
+ * @param {string} filename - The filename
+ * @returns {boolean}
+ */
+export function isPlaylistFile(filename) {
+    return PLAYER_CONFIG.PLAYLIST_EXTENSIONS.includes(getFileExtension(filename));
+}
+
+/**
+ * Check if a file is a CUE sheet
+ * @param {string} filename - The filename
+ * @returns {boolean}
+ */
+export function isCueFile(filename) {
+    return getFileExtension(filename) === 'cue';
+}
+
+/**
+ * Get the directory part of a relative path
+ * @param {string} path - Path such as "Season 1/episode.mkv"
+ * @returns {string} Directory path, or '' for top-level files
+ */
+export function getDirectoryPath(path) {
+    const lastSlash = (path || '').lastIndexOf('/');
+    return lastSlash >= 0 ? path.substring(0, lastSlash) : '';
+}
+
 /**
  * Check if File System Access API is supported
  * @returns {boolean}
@@ -157,6 +242,81 @@ export function storageSet(key, value) {
     }
 }
 
+/**
+ * Read one entry from a keyed map stored in localStorage
+ * @param {string} key - Storage key of the map
+ * @param {string} entryKey - Entry key within the map
+ * @returns {*} Stored entry or null
+ */
+export function storageMapGet(key, entryKey) {
+    const map = storageGet(key, {});
+    return map[entryKey] ?? null;
+}
+
+/**
+ * Write one entry to a keyed map stored in localStorage, evicting the
+ * least recently updated entries beyond maxEntries
+ * @param {string} key - Storage key of the map
+ * @param {string} entryKey - Entry key within the map
+ * @param {Object|null} value - Entry value, or null to remove the entry
+ * @param {number} maxEntries - Maximum number of entries to keep
+ */
+export function storageMapSet(key, entryKey, value, maxEntries = 200) {
+    const map = storageGet(key, {});
+
+    if (value === null || value === undefined) {
+        delete map[entryKey];
+    } else {
+        map[entryKey] = { ...value, updatedAt: Date.now() };
+    }
+
+    const keys = Object.keys(map);
+    if (keys.length > maxEntries) {
+        keys.sort((a, b) => (map[a].updatedAt || 0) - (map[b].updatedAt || 0))
+            .slice(0, keys.length - maxEntries)
+            .forEach((oldKey) => delete map[oldKey]);
+    }
+
+    storageSet(key, map);
+}
+
+/**
+ * Get a stable identity for a media item, used to remember per-file settings.
+ * The duration is left out of the key: it is only known once the metadata has
+ * loaded (and probing and playback can report it slightly differently), while
+ * the key is needed as soon as the track loads. Stores where a stale entry would
+ * do harm keep the duration in the entry and check it instead (see ResumeManager).
+ * @param {Object} track - Track object
+ * @returns {string|null} Identity string, or null if the item cannot be identified
+ */
+export function getMediaIdentity(track) {
+    if (!track) return null;
+
+    if (track.filename && track.size !== undefined && track.size !== null) {
+        return `file:${track.filename}:${track.size}`;
+    }
+
+    // Blob URLs change on every load, so they cannot identify anything
+    if (track.url && !track.url.startsWith('blob:')) {
+        return `url:${track.url}`;
+    }
+
+    return null;
+}
+
+/**
+ * Identity of a track rather than its file: CUE tracks share their file's
+ * identity, so their start time is added
+ * @param {Object} track - Track object
+ * @returns {string|null} Identity string, or null if the item cannot be identified
+ */
+export function getTrackIdentity(track) {
+    const identity = getMediaIdentity(track);
+    if (!identity || !track.segment) return identity;
+
+    return `${identity}#${track.segment.start}`;
+}
+
 /**
  * Format file size in bytes to human-readable format
  * @param {number} bytes - Size in bytes
@@ -170,6 +330,23 @@ export function formatFileSize(bytes) {
     return parseFloat((bytes / Math.pow(k, i)).toFixed(1)) + ' ' + sizes[i];
 }
 
+/**
+ * Save text as a file through a temporary download link
+ * @param {string} content - File contents
+ * @param {string} filename - Suggested filename
+ * @param {string} type - MIME type
+ */
+export function downloadTextFile(content, filename, type = 'text/plain') {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+
+    // Give the browser a moment to start the download before revoking
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
 /**
  * Shuffle an array using Fisher-Yates algorithm
  * @param {Array} array - Array to shuffle
@@ -0,0 +1,91 @@
+/**
+ * Minimal promise-based IndexedDB key/value helpers
+ */
+
+import { PLAYER_CONFIG } from './constants.js';
+
+let databasePromise = null;
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @param {IDBRequest} request
+ * @returns {Promise<*>}
+ */
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Open (and create or upgrade) the player database
+ * @returns {Promise<IDBDatabase>}
+ */
+export function openDatabase() {
+    if (databasePromise) return databasePromise;
+
+    const { NAME, VERSION, STORES } = PLAYER_CONFIG.DATABASE;
+
+    databasePromise = new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+            reject(new Error('IndexedDB is not available'));
+            return;
+        }
+
+        const request = indexedDB.open(NAME, VERSION);
+
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            for (const store of Object.values(STORES)) {
+                if (!db.objectStoreNames.contains(store)) {
+                    db.createObjectStore(store);
+                }
+            }
+        };
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+
+    // Allow a later retry if opening failed
+    databasePromise.catch(() => {
+        databasePromise = null;
+    });
+
+    return databasePromise;
+}
+
+/**
+ * Read a value from an object store
+ * @param {string} storeName
+ * @param {IDBValidKey} key
+ * @returns {Promise<*>} Stored value or undefined
+ */
+export async function idbGet(storeName, key) {
+    const db = await openDatabase();
+    return promisifyRequest(db.transaction(storeName, 'readonly').objectStore(storeName).get(key));
+}
+
+/**
+ * Write a value to an object store
+ * @param {string} storeName
+ * @param {IDBValidKey} key
+ * @param {*} value - Any structured-cloneable value (Blobs and file handles included)
+ * @returns {Promise<void>}
+ */
+export async function idbSet(storeName, key, value) {
+    const db = await openDatabase();
+    await promisifyRequest(db.transaction(storeName, 'readwrite').objectStore(storeName).put(value, key));
+}
+
+/**
+ * Delete a value from an object store
+ * @param {string} storeName
+ * @param {IDBValidKey} key
+ * @returns {Promise<void>}
+ */
+export async function idbDelete(storeName, key) {
+    const db = await openDatabase();
+    await promisifyRequest(db.transaction(storeName, 'readwrite').objectStore(storeName).delete(key));
+}
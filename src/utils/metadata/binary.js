@@ -0,0 +1,147 @@
+/**
+ * Binary reading helpers shared by the audio metadata readers
+ */
+
+const TEXT_ENCODINGS = ['iso-8859-1', 'utf-16', 'utf-16be', 'utf-8'];
+
+/**
+ * Read a byte range of a Blob/File
+ * @param {Blob} blob
+ * @param {number} start
+ * @param {number} end
+ * @returns {Promise<Uint8Array>}
+ */
+export async function readBytes(blob, start, end) {
+    const buffer = await blob.slice(start, end).arrayBuffer();
+    return new Uint8Array(buffer);
+}
+
+/**
+ * Read a big-endian unsigned integer of 1-4 bytes
+ * @param {Uint8Array} bytes
+ * @param {number} offset
+ * @param {number} length
+ * @returns {number}
+ */
+export function readUintBE(bytes, offset, length) {
+    let value = 0;
+    for (let i = 0; i < length; i++) {
+        value = value * 256 + bytes[offset + i];
+    }
+    return value;
+}
+
+/**
+ * Read a little-endian unsigned integer of 1-4 bytes
+ * @param {Uint8Array} bytes
+ * @param {number} offset
+ * @param {number} length
+ * @returns {number}
+ */
+export function readUintLE(bytes, offset, length) {
+    let value = 0;
+    for (let i = length - 1; i >= 0; i--) {
+        value = value * 256 + bytes[offset + i];
+    }
+    return value;
+}
+
+/**
+ * Read a 4-byte syncsafe integer (7 bits per byte)
+ * @param {Uint8Array} bytes
+ * @param {number} offset
+ * @returns {number}
+ */
+export function readSyncsafe(bytes, offset) {
+    return (
+        ((bytes[offset] & 0x7f) << 21) |
+        ((bytes[offset + 1] & 0x7f) << 14) |
+        ((bytes[offset + 2] & 0x7f) << 7) |
+        (bytes[offset + 3] & 0x7f)
+    );
+}
+
+/**
+ * Read a fixed-length ASCII string
+ * @param {Uint8Array} bytes
+ * @param {number} offset
+ * @param {number} length
+ * @returns {string}
+ */
+export function readAscii(bytes, offset, length) {
+    return String.fromCharCode(...bytes.subarray(offset, offset + length));
+}
+
+/**
+ * Decode text in one of the ID3 encodings
+ * @param {Uint8Array} bytes
+ * @param {number} encoding - 0 ISO-8859-1, 1 UTF-16 with BOM, 2 UTF-16BE, 3 UTF-8
+ * @returns {string}
+ */
+export function decodeText(bytes, encoding = 3) {
+    let label = TEXT_ENCODINGS[encoding] || 'utf-8';
+    let data = bytes;
+
+    // TextDecoder treats plain "utf-16" as little-endian, so honour the BOM ourselves
+    if (encoding === 1 && data.length >= 2) {
+        if (data[0] === 0xfe && data[1] === 0xff) {
+            label = 'utf-16be';
+            data = data.subarray(2);
+        } else if (data[0] === 0xff && data[1] === 0xfe) {
+            label = 'utf-16le';
+            data = data.subarray(2);
+        } else {
+            label = 'utf-16le';
+        }
+    }
+
+    return new TextDecoder(label).decode(data).replace(/\0+$/, '');
+}
+
+/**
+ * Find the end of a null-terminated string
+ * @param {Uint8Array} bytes
+ * @param {number} start
+ * @param {number} encoding - ID3 encoding; UTF-16 strings end with a double null
+ * @returns {number} Index of the terminator, or bytes.length if none
+ */
+export function findTerminator(bytes, start, encoding) {
+    const isWide = encoding === 1 || encoding === 2;
+
+    if (isWide) {
+        for (let i = start; i + 1 < bytes.length; i += 2) {
+            if (bytes[i] === 0 && bytes[i + 1] === 0) return i;
+        }
+    } else {
+        for (let i = start; i < bytes.length; i++) {
+            if (bytes[i] === 0) return i;
+        }
+    }
+
+    return bytes.length;
+}
+
+/**
+ * Guess an image MIME type from its magic bytes
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+export function sniffImageMime(bytes) {
+    if (bytes[0] === 0x89 && bytes[1] === 0x50 && bytes[2] === 0x4e && bytes[3] === 0x47) return 'image/png';
+    if (bytes[0] === 0x47 && bytes[1] === 0x49 && bytes[2] === 0x46) return 'image/gif';
+    if (bytes[0] === 0x52 && bytes[1] === 0x49 && bytes[2] === 0x46 && bytes[3] === 0x46) return 'image/webp';
+    return 'image/jpeg';
+}
+
+/**
+ * Parse a "3/12" style number pair
+ * @param {string} value
+ * @returns {{number: number|null, total: number|null}}
+ */
+export function parseNumberPair(value) {
+    const [number, total] = String(value || '').split('/').map((part) => parseInt(part, 10));
+    return {
+        number: isNaN(number) ? null : number,
+        total: isNaN(total) ? null : total,
+    };
+}
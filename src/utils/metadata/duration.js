@@ -0,0 +1,45 @@
+/**
+ * Read media durations from container headers, dispatching on file extension
+ */
+
+import { getFileExtension } from '../helpers.js';
+import { readMp3Duration } from './mpeg.js';
+import { readWavDuration } from './wav.js';
+import { readFlacTags } from './flac.js';
+import { readOggTags } from './ogg.js';
+import { readMp4Tags } from './mp4.js';
+
+/**
+ * Read a file's duration without decoding it
+ * @param {File} file
+ * @returns {Promise<number|null>} Duration in seconds, or null if the format
+ *     is unsupported or the headers don't say
+ */
+export async function readDuration(file) {
+    let duration = null;
+
+    switch (getFileExtension(file.name)) {
+        case 'mp3':
+            duration = await readMp3Duration(file);
+            break;
+        case 'wav':
+            duration = await readWavDuration(file);
+            break;
+        case 'flac':
+            duration = (await readFlacTags(file))?.duration;
+            break;
+        case 'ogg':
+        case 'oga':
+        case 'opus':
+            duration = (await readOggTags(file))?.duration;
+            break;
+        case 'm4a':
+        case 'm4b':
+        case 'mp4':
+        case 'mov':
+            duration = (await readMp4Tags(file))?.duration;
+            break;
+    }
+
+    return duration > 0 && isFinite(duration) ? duration : null;
+}
@@ -0,0 +1,89 @@
+/**
+ * FLAC metadata block reader (STREAMINFO, VORBIS_COMMENT, PICTURE)
+ */
+
+import { readBytes, readUintBE, readSyncsafe, readAscii } from './binary.js';
+import { parseVorbisComment, parseFlacPicture, commentsToTags } from './vorbis.js';
+
+const BLOCK_STREAMINFO = 0;
+const BLOCK_VORBIS_COMMENT = 4;
+const BLOCK_PICTURE = 6;
+
+// Stop after this many blocks in case the file is corrupt
+const MAX_BLOCKS = 128;
+
+/**
+ * Read tags and duration from a FLAC file without decoding audio
+ * @param {Blob} file
+ * @returns {Promise<Object|null>} Tags, or null if this is not a FLAC file
+ */
+export async function readFlacTags(file) {
+    let offset = await findStreamStart(file);
+    if (offset < 0) return null;
+
+    offset += 4; // "fLaC"
+    let duration = null;
+    let comments = null;
+    const pictures = [];
+
+    for (let i = 0; i < MAX_BLOCKS && offset + 4 <= file.size; i++) {
+        const header = await readBytes(file, offset, offset + 4);
+        const isLast = (header[0] & 0x80) !== 0;
+        const type = header[0] & 0x7f;
+        const length = readUintBE(header, 1, 3);
+        const start = offset + 4;
+        offset = start + length;
+
+        // Only read the blocks we need; padding and seek tables are skipped
+        if (type === BLOCK_STREAMINFO) {
+            duration = readStreamInfoDuration(await readBytes(file, start, offset));
+        } else if (type === BLOCK_VORBIS_COMMENT) {
+            comments = parseVorbisComment(await readBytes(file, start, offset));
+        } else if (type === BLOCK_PICTURE) {
+            const picture = parseFlacPicture(await readBytes(file, start, offset));
+            if (picture) pictures.push(picture);
+        }
+
+        if (isLast) break;
+    }
+
+    const tags = commentsToTags(comments || new Map());
+    tags.duration = duration;
+    tags.picture = pictures.find((picture) => picture.type === 3) || pictures[0] || tags.picture;
+
+    return tags;
+}
+
+/**
+ * Find the "fLaC" marker, skipping an ID3v2 tag some encoders prepend
+ * @param {Blob} file
+ * @returns {Promise<number>} Offset of the marker, or -1
+ */
+async function findStreamStart(file) {
+    const header = await readBytes(file, 0, 10);
+
+    if (readAscii(header, 0, 4) === 'fLaC') return 0;
+
+    if (readAscii(header, 0, 3) === 'ID3') {
+        const offset = 10 + readSyncsafe(header, 6);
+        const marker = await readBytes(file, offset, offset + 4);
+        if (readAscii(marker, 0, 4) === 'fLaC') return offset;
+    }
+
+    return -1;
+}
+
+/**
+ * Compute the duration from a STREAMINFO block
+ * @param {Uint8Array} bytes
+ * @returns {number|null}
+ */
+function readStreamInfoDuration(bytes) {
+    if (bytes.length < 18) return null;
+
+    // 20-bit sample rate followed by channels, bits per sample and a 36-bit sample count
+    const sampleRate = (bytes[10] << 12) | (bytes[11] << 4) | (bytes[12] >> 4);
+    const totalSamples = (bytes[13] & 0x0f) * 2 ** 32 + readUintBE(bytes, 14, 4);
+
+    return sampleRate > 0 && totalSamples > 0 ? totalSamples / sampleRate : null;
+}
@@ -0,0 +1,355 @@
+/**
+ * ID3v2 (2.2 / 2.3 / 2.4) and ID3v1 tag reader for MP3 files
+ */
+
+import {
+    readBytes,
+    readUintBE,
+    readSyncsafe,
+    readAscii,
+    decodeText,
+    findTerminator,
+    sniffImageMime,
+    parseNumberPair,
+} from './binary.js';
+
+const ID3V2_HEADER_SIZE = 10;
+const ID3V1_SIZE = 128;
+
+// Refuse to read absurdly large tags (corrupt size fields)
+const MAX_TAG_SIZE = 32 * 1024 * 1024;
+
+// ID3v2.2 three-character frame IDs mapped to their v2.3/2.4 equivalents
+const V22_FRAME_IDS = {
+    TT2: 'TIT2',
+    TP1: 'TPE1',
+    TP2: 'TPE2',
+    TAL: 'TALB',
+    TRK: 'TRCK',
+    TPA: 'TPOS',
+    TYE: 'TYER',
+    TCO: 'TCON',
+    TLE: 'TLEN',
+    PIC: 'APIC',
+};
+
+const V22_IMAGE_FORMATS = {
+    JPG: 'image/jpeg',
+    PNG: 'image/png',
+    GIF: 'image/gif',
+};
+
+// APIC picture type for the front cover
+const PICTURE_TYPE_FRONT_COVER = 3;
+
+/**
+ * ID3v1 genre list (0-79 standard, 80-147 Winamp extensions)
+ */
+export const ID3_GENRES = [
+    'Blues', 'Classic Rock', 'Country', 'Dance', 'Disco', 'Funk', 'Grunge', 'Hip-Hop',
+    'Jazz', 'Metal', 'New Age', 'Oldies', 'Other', 'Pop', 'R&B', 'Rap', 'Reggae', 'Rock',
+    'Techno', 'Industrial', 'Alternative', 'Ska', 'Death Metal', 'Pranks', 'Soundtrack',
+    'Euro-Techno', 'Ambient', 'Trip-Hop', 'Vocal', 'Jazz+Funk', 'Fusion', 'Trance',
+    'Classical', 'Instrumental', 'Acid', 'House', 'Game', 'Sound Clip', 'Gospel', 'Noise',
+    'AlternRock', 'Bass', 'Soul', 'Punk', 'Space', 'Meditative', 'Instrumental Pop',
+    'Instrumental Rock', 'Ethnic', 'Gothic', 'Darkwave', 'Techno-Industrial', 'Electronic',
+    'Pop-Folk', 'Eurodance', 'Dream', 'Southern Rock', 'Comedy', 'Cult', 'Gangsta', 'Top 40',
+    'Christian Rap', 'Pop/Funk', 'Jungle', 'Native American', 'Cabaret', 'New Wave',
+    'Psychadelic', 'Rave', 'Showtunes', 'Trailer', 'Lo-Fi', 'Tribal', 'Acid Punk',
+    'Acid Jazz', 'Polka', 'Retro', 'Musical', 'Rock & Roll', 'Hard Rock', 'Folk',
+    'Folk-Rock', 'National Folk', 'Swing', 'Fast Fusion', 'Bebob', 'Latin', 'Revival',
+    'Celtic', 'Bluegrass', 'Avantgarde', 'Gothic Rock', 'Progressive Rock',
+    'Psychedelic Rock', 'Symphonic Rock', 'Slow Rock', 'Big Band', 'Chorus',
+    'Easy Listening', 'Acoustic', 'Humour', 'Speech', 'Chanson', 'Opera', 'Chamber Music',
+    'Sonata', 'Symphony', 'Booty Bass', 'Primus', 'Porn Groove', 'Satire', 'Slow Jam',
+    'Club', 'Tango', 'Samba', 'Folklore', 'Ballad', 'Power Ballad', 'Rhythmic Soul',
+    'Freestyle', 'Duet', 'Punk Rock', 'Drum Solo', 'A capella', 'Euro-House', 'Dance Hall',
+    'Goa', 'Drum & Bass', 'Club-House', 'Hardcore', 'Terror', 'Indie', 'BritPop',
+    'Negerpunk', 'Polsk Punk', 'Beat', 'Christian Gangsta Rap', 'Heavy Metal', 'Black Metal',
+    'Crossover', 'Contemporary Christian', 'Christian Rock', 'Merengue', 'Salsa',
+    'Thrash Metal', 'Anime', 'JPop', 'Synthpop',
+];
+
+/**
+ * Read ID3 tags from an MP3 file, preferring ID3v2 and falling back to ID3v1
+ * @param {Blob} file
+ * @returns {Promise<Object|null>} Tags, or null if the file has none
+ */
+export async function readId3Tags(file) {
+    const v2 = await readId3v2(file);
+    if (v2 && (v2.title || v2.artist || v2.album || v2.picture)) return v2;
+
+    const v1 = await readId3v1(file);
+    if (!v1) return v2;
+
+    // Keep any v2 fields (e.g. a cover) and fill the gaps from v1
+    return v2 ? { ...v1, ...stripEmpty(v2) } : v1;
+}
+
+/**
+ * Read an ID3v2 tag from the start of a file
+ * @param {Blob} file
+ * @returns {Promise<Object|null>}
+ */
+export async function readId3v2(file) {
+    if (file.size < ID3V2_HEADER_SIZE) return null;
+
+    const header = await readBytes(file, 0, ID3V2_HEADER_SIZE);
+    if (readAscii(header, 0, 3) !== 'ID3') return null;
+
+    const version = header[3];
+    const flags = header[5];
+    const size = readSyncsafe(header, 6);
+
+    if (version < 2 || version > 4 || size === 0 || size > MAX_TAG_SIZE) return null;
+
+    let data = await readBytes(file, ID3V2_HEADER_SIZE, ID3V2_HEADER_SIZE + size);
+
+    // v2.2 and v2.3 apply unsynchronisation to the whole tag; v2.4 does it per frame
+    const unsynchronised = (flags & 0x80) !== 0;
+    if (unsynchronised && version < 4) {
+        data = removeUnsynchronisation(data);
+    }
+
+    // v2.2 used this bit for compression, which was never specified; give up
+    if (version === 2 && flags & 0x40) return null;
+
+    let offset = 0;
+    if (version > 2 && flags & 0x40) {
+        offset = version === 3 ? readUintBE(data, 0, 4) + 4 : readSyncsafe(data, 0);
+    }
+
+    const frames = readFrames(data, offset, version, unsynchronised);
+    return framesToTags(frames, version);
+}
+
+/**
+ * Read the 128-byte ID3v1 tag at the end of a file
+ * @param {Blob} file
+ * @returns {Promise<Object|null>}
+ */
+export async function readId3v1(file) {
+    if (file.size < ID3V1_SIZE) return null;
+
+    const bytes = await readBytes(file, file.size - ID3V1_SIZE, file.size);
+    if (readAscii(bytes, 0, 3) !== 'TAG') return null;
+
+    const field = (start, length) => decodeText(bytes.subarray(start, start + length), 0).replace(/\0.*$/s, '').trim();
+
+    // ID3v1.1 stores the track number in the last comment byte after a zero
+    const hasTrack = bytes[125] === 0 && bytes[126] !== 0;
+    const year = parseInt(field(93, 4), 10);
+
+    return {
+        title: field(3, 30),
+        artist: field(33, 30),
+        album: field(63, 30),
+        year: isNaN(year) ? null : year,
+        trackNumber: hasTrack ? bytes[126] : null,
+        genre: ID3_GENRES[bytes[127]] || '',
+    };
+}
+
+// --- Frame Parsing ---
+
+/**
+ * Remove unsynchronisation (0xFF 0x00 -> 0xFF)
+ * @param {Uint8Array} bytes
+ * @returns {Uint8Array}
+ */
+function removeUnsynchronisation(bytes) {
+    const output = new Uint8Array(bytes.length);
+    let length = 0;
+
+    for (let i = 0; i < bytes.length; i++) {
+        output[length++] = bytes[i];
+        if (bytes[i] === 0xff && bytes[i + 1] === 0x00) i++;
+    }
+
+    return output.subarray(0, length);
+}
+
+/**
+ * Split tag data into frames
+ * @param {Uint8Array} data
+ * @param {number} offset - Start of the first frame
+ * @param {number} version - Major version (2, 3 or 4)
+ * @param {boolean} unsynchronised - Tag-level unsynchronisation flag
+ * @returns {Map<string, Array<Uint8Array>>} Frame contents by (v2.3-style) ID
+ */
+function readFrames(data, offset, version, unsynchronised) {
+    const frames = new Map();
+    const idLength = version === 2 ? 3 : 4;
+    const headerSize = version === 2 ? 6 : 10;
+
+    while (offset + headerSize <= data.length) {
+        // Padding starts with a zero byte
+        if (data[offset] === 0) break;
+
+        let id = readAscii(data, offset, idLength);
+        if (!/^[A-Z0-9]+$/.test(id)) break;
+
+        let size;
+        if (version === 2) size = readUintBE(data, offset + 3, 3);
+        else if (version === 3) size = readUintBE(data, offset + 4, 4);
+        else size = readSyncsafe(data, offset + 4);
+
+        const formatFlags = version === 2 ? 0 : data[offset + 9];
+        let content = data.subarray(offset + headerSize, offset + headerSize + size);
+        offset += headerSize + size;
+
+        if (version === 2) id = V22_FRAME_IDS[id] || id;
+
+        content = unwrapFrame(content, version, formatFlags, unsynchronised);
+        if (!content) continue;
+
+        if (!frames.has(id)) frames.set(id, []);
+        frames.get(id).push(content);
+    }
+
+    return frames;
+}
+
+/**
+ * Strip per-frame flag data; returns null for frames we cannot read
+ * @param {Uint8Array} content
+ * @param {number} version
+ * @param {number} flags - Frame format flags byte
+ * @param {boolean} unsynchronised
+ * @returns {Uint8Array|null}
+ */
+function unwrapFrame(content, version, flags, unsynchronised) {
+    if (version === 3) {
+        // Compressed or encrypted
+        if (flags & 0xc0) return null;
+        return flags & 0x20 ? content.subarray(1) : content;
+    }
+
+    if (version === 4) {
+        if (flags & 0x0c) return null;
+
+        let start = 0;
+        if (flags & 0x40) start += 1; // Grouping identity
+        if (flags & 0x01) start += 4; // Data length indicator
+
+        const body = content.subarray(start);
+        return unsynchronised || flags & 0x02 ? removeUnsynchronisation(body) : body;
+    }
+
+    return content;
+}
+
+/**
+ * Decode a text frame; multiple null-separated values are joined with "/"
+ * @param {Uint8Array} content
+ * @returns {string}
+ */
+function readTextFrame(content) {
+    if (!content || content.length < 2) return '';
+
+    const encoding = content[0];
+    const values = [];
+    let offset = 1;
+
+    while (offset < content.length) {
+        const end = findTerminator(content, offset, encoding);
+        const value = decodeText(content.subarray(offset, end), encoding).trim();
+        if (value) values.push(value);
+        offset = end + (encoding === 1 || encoding === 2 ? 2 : 1);
+    }
+
+    return values.join('/');
+}
+
+/**
+ * Decode an APIC (or v2.2 PIC) frame
+ * @param {Uint8Array} content
+ * @param {number} version
+ * @returns {{mime: string, type: number, data: Uint8Array}|null}
+ */
+function readPictureFrame(content, version) {
+    const encoding = content[0];
+    let offset;
+    let mime;
+
+    if (version === 2) {
+        // v2.2 PIC frames carry a 3-character image format instead of a MIME type
+        mime = V22_IMAGE_FORMATS[readAscii(content, 1, 3).toUpperCase()] || '';
+        offset = 4;
+    } else {
+        const mimeEnd = findTerminator(content, 1, 0);
+        mime = readAscii(content, 1, mimeEnd - 1).toLowerCase();
+        offset = mimeEnd + 1;
+    }
+
+    // "-->" means the frame only links to an external image
+    if (mime === '-->') return null;
+
+    const type = content[offset];
+    const descriptionEnd = findTerminator(content, offset + 1, encoding);
+    offset = descriptionEnd + (encoding === 1 || encoding === 2 ? 2 : 1);
+
+    const data = content.subarray(offset);
+    if (data.length === 0) return null;
+
+    // Some taggers write "jpg" or nothing at all
+    if (!mime.startsWith('image/')) {
+        mime = sniffImageMime(data);
+    }
+
+    return { mime, type, data };
+}
+
+/**
+ * Resolve a TCON value: "(17)", "(17)Rock", "17" or plain text
+ * @param {string} value
+ * @returns {string}
+ */
+function parseGenre(value) {
+    const match = /^\((\d+)\)(.*)$/.exec(value) || /^(\d+)$/.exec(value);
+    if (!match) return value;
+
+    const refined = match[2]?.trim();
+    return refined || ID3_GENRES[parseInt(match[1], 10)] || '';
+}
+
+/**
+ * Map parsed frames to the player's tag fields
+ * @param {Map<string, Array<Uint8Array>>} frames
+ * @param {number} version
+ * @returns {Object}
+ */
+function framesToTags(frames, version) {
+    const text = (id) => readTextFrame(frames.get(id)?.[0]);
+
+    const track = parseNumberPair(text('TRCK'));
+    const disc = parseNumberPair(text('TPOS'));
+    const year = parseInt(text('TDRC') || text('TYER'), 10);
+    const length = parseInt(text('TLEN'), 10);
+
+    const pictures = (frames.get('APIC') || []).map((content) => readPictureFrame(content, version)).filter(Boolean);
+    const picture = pictures.find((pic) => pic.type === PICTURE_TYPE_FRONT_COVER) || pictures[0] || null;
+
+    return {
+        title: text('TIT2'),
+        artist: text('TPE1'),
+        albumArtist: text('TPE2'),
+        album: text('TALB'),
+        year: isNaN(year) ? null : year,
+        genre: parseGenre(text('TCON')),
+        trackNumber: track.number,
+        trackTotal: track.total,
+        discNumber: disc.number,
+        duration: length > 0 ? length / 1000 : null,
+        picture,
+    };
+}
+
+/**
+ * Drop empty values so they don't overwrite fallbacks when merging
+ * @param {Object} tags
+ * @returns {Object}
+ */
+function stripEmpty(tags) {
+    return Object.fromEntries(Object.entries(tags).filter(([, value]) => value !== '' && value !== null));
+}
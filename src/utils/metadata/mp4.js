@@ -0,0 +1,217 @@
+/**
+ * MP4 / M4A metadata reader (moov/mvhd and moov/udta/meta/ilst atoms)
+ */
+
+import { readBytes, readUintBE, readAscii, decodeText, sniffImageMime } from './binary.js';
+import { ID3_GENRES } from './id3.js';
+
+// Refuse to load absurdly large moov atoms (corrupt size fields)
+const MAX_MOOV_SIZE = 64 * 1024 * 1024;
+
+// Well-known data types of ilst "data" atoms
+const DATA_TYPE_JPEG = 13;
+const DATA_TYPE_PNG = 14;
+
+// ilst item names ("\xA9" is the copyright sign used by iTunes atoms)
+const TEXT_ITEMS = {
+    '\xA9nam': 'title',
+    '\xA9ART': 'artist',
+    aART: 'albumArtist',
+    '\xA9alb': 'album',
+    '\xA9gen': 'genre',
+    '\xA9day': 'year',
+};
+
+/**
+ * Read tags and duration from an MP4/M4A file without decoding audio
+ * @param {Blob} file
+ * @returns {Promise<Object|null>} Tags, or null if the file has no moov atom
+ */
+export async function readMp4Tags(file) {
+    const moov = await findTopLevelAtom(file, 'moov');
+    if (!moov || moov.end - moov.start > MAX_MOOV_SIZE) return null;
+
+    const bytes = await readBytes(file, moov.start, moov.end);
+    const tags = {
+        title: '',
+        artist: '',
+        albumArtist: '',
+        album: '',
+        year: null,
+        genre: '',
+        trackNumber: null,
+        trackTotal: null,
+        discNumber: null,
+        duration: null,
+        picture: null,
+    };
+
+    const mvhd = findChild(bytes, 0, bytes.length, 'mvhd');
+    if (mvhd) {
+        tags.duration = readMovieDuration(bytes, mvhd.start);
+    }
+
+    const ilst = findPath(bytes, ['udta', 'meta', 'ilst']);
+    if (ilst) {
+        readItemList(bytes, ilst, tags);
+    }
+
+    return tags;
+}
+
+// --- Atom Walking ---
+
+/**
+ * Scan top-level atom headers for the given type without reading atom bodies
+ * @param {Blob} file
+ * @param {string} type
+ * @returns {Promise<{start: number, end: number}|null>} Content range of the atom
+ */
+async function findTopLevelAtom(file, type) {
+    let offset = 0;
+
+    while (offset + 8 <= file.size) {
+        const header = await readBytes(file, offset, offset + 16);
+        const atomType = readAscii(header, 4, 4);
+        let size = readUintBE(header, 0, 4);
+        let headerSize = 8;
+
+        if (!/^[\x20-\x7e\xa9]{4}$/.test(atomType)) return null;
+
+        if (size === 1) {
+            // 64-bit size follows the type
+            size = readUintBE(header, 8, 4) * 2 ** 32 + readUintBE(header, 12, 4);
+            headerSize = 16;
+        } else if (size === 0) {
+            size = file.size - offset;
+        }
+
+        if (size < headerSize) return null;
+
+        if (atomType === type) {
+            return { start: offset + headerSize, end: Math.min(offset + size, file.size) };
+        }
+
+        offset += size;
+    }
+
+    return null;
+}
+
+/**
+ * Find a direct child atom within a byte range
+ * @param {Uint8Array} bytes
+ * @param {number} start
+ * @param {number} end
+ * @param {string} type
+ * @returns {{start: number, end: number}|null} Content range of the child
+ */
+function findChild(bytes, start, end, type) {
+    for (const child of children(bytes, start, end)) {
+        if (child.type === type) return child;
+    }
+    return null;
+}
+
+/**
+ * Iterate the atoms in a byte range
+ * @param {Uint8Array} bytes
+ * @param {number} start
+ * @param {number} end
+ * @returns {Generator<{type: string, start: number, end: number}>}
+ */
+function* children(bytes, start, end) {
+    let offset = start;
+
+    while (offset + 8 <= end) {
+        const size = readUintBE(bytes, offset, 4);
+        if (size < 8 || offset + size > end) return;
+
+        yield { type: readAscii(bytes, offset + 4, 4), start: offset + 8, end: offset + size };
+        offset += size;
+    }
+}
+
+/**
+ * Follow a path of atoms from the start of moov
+ * @param {Uint8Array} bytes - moov contents
+ * @param {Array<string>} path
+ * @returns {{start: number, end: number}|null}
+ */
+function findPath(bytes, path) {
+    let range = { start: 0, end: bytes.length };
+
+    for (const type of path) {
+        const child = findChild(bytes, range.start, range.end, type);
+        if (!child) return null;
+        range = child;
+
+        // ISO "meta" is a full box with version/flags; QuickTime's starts with hdlr directly
+        if (type === 'meta' && readAscii(bytes, range.start + 4, 4) !== 'hdlr') {
+            range = { start: range.start + 4, end: range.end };
+        }
+    }
+
+    return range;
+}
+
+// --- Atom Contents ---
+
+/**
+ * Read the duration from an mvhd atom
+ * @param {Uint8Array} bytes
+ * @param {number} start - Content start
+ * @returns {number|null}
+ */
+function readMovieDuration(bytes, start) {
+    const version = bytes[start];
+    let timescale;
+    let duration;
+
+    if (version === 1) {
+        timescale = readUintBE(bytes, start + 20, 4);
+        duration = readUintBE(bytes, start + 24, 4) * 2 ** 32 + readUintBE(bytes, start + 28, 4);
+    } else {
+        timescale = readUintBE(bytes, start + 12, 4);
+        duration = readUintBE(bytes, start + 16, 4);
+    }
+
+    return timescale > 0 && duration > 0 ? duration / timescale : null;
+}
+
+/**
+ * Copy ilst items onto a tags object
+ * @param {Uint8Array} bytes
+ * @param {{start: number, end: number}} ilst
+ * @param {Object} tags
+ */
+function readItemList(bytes, ilst, tags) {
+    for (const item of children(bytes, ilst.start, ilst.end)) {
+        const data = findChild(bytes, item.start, item.end, 'data');
+        if (!data) continue;
+
+        const dataType = readUintBE(bytes, data.start, 4) & 0xffffff;
+        const value = bytes.subarray(data.start + 8, data.end);
+
+        if (TEXT_ITEMS[item.type]) {
+            tags[TEXT_ITEMS[item.type]] = decodeText(value, 3).trim();
+        } else if (item.type === 'trkn' && value.length >= 6) {
+            tags.trackNumber = readUintBE(value, 2, 2) || null;
+            tags.trackTotal = readUintBE(value, 4, 2) || null;
+        } else if (item.type === 'disk' && value.length >= 4) {
+            tags.discNumber = readUintBE(value, 2, 2) || null;
+        } else if (item.type === 'gnre' && value.length >= 2 && !tags.genre) {
+            // ID3v1 genre index plus one
+            tags.genre = ID3_GENRES[readUintBE(value, 0, 2) - 1] || '';
+        } else if (item.type === 'covr' && !tags.picture && value.length > 0) {
+            let mime = sniffImageMime(value);
+            if (dataType === DATA_TYPE_JPEG) mime = 'image/jpeg';
+            if (dataType === DATA_TYPE_PNG) mime = 'image/png';
+            tags.picture = { mime, type: 3, data: value };
+        }
+    }
+
+    // Dates are often full timestamps ("2019-05-03T07:00:00Z")
+    const year = parseInt(tags.year, 10);
+    tags.year = isNaN(year) ? null : year;
+}
@@ -0,0 +1,137 @@
+/**
+ * MPEG audio (MP3) duration from Xing/Info/VBRI headers or the CBR bitrate
+ */
+
+import { readBytes, readUintBE, readSyncsafe, readAscii } from './binary.js';
+
+// How far past the ID3 tag to look for the first frame
+const FRAME_SEARCH_SIZE = 64 * 1024;
+
+// Bitrates in kbps by [version group][layer], index 1-14
+const BITRATES = {
+    V1L1: [0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+    V1L2: [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+    V1L3: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+    V2L1: [0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+    V2L2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+};
+
+const SAMPLE_RATES = [44100, 48000, 32000];
+
+/**
+ * Work out the duration of an MP3 file without decoding it
+ * @param {Blob} file
+ * @returns {Promise<number|null>} Duration in seconds
+ */
+export async function readMp3Duration(file) {
+    const start = await getAudioStart(file);
+    const bytes = await readBytes(file, start, start + FRAME_SEARCH_SIZE);
+
+    for (let i = 0; i + 4 <= bytes.length; i++) {
+        if (bytes[i] !== 0xff || (bytes[i + 1] & 0xe0) !== 0xe0) continue;
+
+        const frame = parseFrameHeader(bytes, i);
+        if (!frame) continue;
+
+        const frameCount = readVbrFrameCount(bytes, i, frame);
+        if (frameCount) {
+            return (frameCount * frame.samplesPerFrame) / frame.sampleRate;
+        }
+
+        // No VBR header: assume a constant bitrate
+        const audioBytes = file.size - (start + i) - (await hasId3v1(file) ? 128 : 0);
+        return (audioBytes * 8) / (frame.bitrate * 1000);
+    }
+
+    return null;
+}
+
+/**
+ * Offset of the audio data, skipping a leading ID3v2 tag
+ * @param {Blob} file
+ * @returns {Promise<number>}
+ */
+async function getAudioStart(file) {
+    const header = await readBytes(file, 0, 10);
+    if (readAscii(header, 0, 3) !== 'ID3') return 0;
+
+    const hasFooter = (header[5] & 0x10) !== 0;
+    return 10 + readSyncsafe(header, 6) + (hasFooter ? 10 : 0);
+}
+
+/**
+ * @param {Blob} file
+ * @returns {Promise<boolean>}
+ */
+async function hasId3v1(file) {
+    if (file.size < 128) return false;
+    const tail = await readBytes(file, file.size - 128, file.size - 125);
+    return readAscii(tail, 0, 3) === 'TAG';
+}
+
+/**
+ * Parse a 4-byte MPEG audio frame header
+ * @param {Uint8Array} bytes
+ * @param {number} offset
+ * @returns {Object|null} Frame properties, or null if the header is invalid
+ */
+function parseFrameHeader(bytes, offset) {
+    const versionBits = (bytes[offset + 1] >> 3) & 0x03; // 0 = 2.5, 2 = 2, 3 = 1
+    const layerBits = (bytes[offset + 1] >> 1) & 0x03; // 1 = III, 2 = II, 3 = I
+    const bitrateIndex = bytes[offset + 2] >> 4;
+    const sampleRateIndex = (bytes[offset + 2] >> 2) & 0x03;
+    const channelMode = bytes[offset + 3] >> 6;
+
+    if (versionBits === 1 || layerBits === 0 || bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) {
+        return null;
+    }
+
+    const isV1 = versionBits === 3;
+    const layer = 4 - layerBits;
+
+    let table;
+    if (isV1) table = BITRATES[`V1L${layer}`];
+    else table = layer === 1 ? BITRATES.V2L1 : BITRATES.V2L2;
+
+    const sampleRate = SAMPLE_RATES[sampleRateIndex] / (isV1 ? 1 : versionBits === 2 ? 2 : 4);
+
+    let samplesPerFrame = 1152;
+    if (layer === 1) samplesPerFrame = 384;
+    else if (layer === 3 && !isV1) samplesPerFrame = 576;
+
+    return {
+        isV1,
+        isMono: channelMode === 3,
+        bitrate: table[bitrateIndex],
+        sampleRate,
+        samplesPerFrame,
+    };
+}
+
+/**
+ * Read the frame count from a Xing/Info or VBRI header in the first frame
+ * @param {Uint8Array} bytes
+ * @param {number} offset - Start of the frame
+ * @param {Object} frame - Parsed frame header
+ * @returns {number|null}
+ */
+function readVbrFrameCount(bytes, offset, frame) {
+    // The Xing header follows the side information
+    let sideInfoSize;
+    if (frame.isV1) sideInfoSize = frame.isMono ? 17 : 32;
+    else sideInfoSize = frame.isMono ? 9 : 17;
+
+    const xing = offset + 4 + sideInfoSize;
+    const xingId = readAscii(bytes, xing, 4);
+    if ((xingId === 'Xing' || xingId === 'Info') && bytes[xing + 7] & 0x01) {
+        return readUintBE(bytes, xing + 8, 4) || null;
+    }
+
+    // VBRI always sits 32 bytes after the frame header
+    const vbri = offset + 4 + 32;
+    if (readAscii(bytes, vbri, 4) === 'VBRI') {
+        return readUintBE(bytes, vbri + 14, 4) || null;
+    }
+
+    return null;
+}
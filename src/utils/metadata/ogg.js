@@ -0,0 +1,142 @@
+/**
+ * Ogg Vorbis / Opus comment header reader
+ */
+
+import { readBytes, readUintLE, readAscii } from './binary.js';
+import { parseVorbisComment, commentsToTags } from './vorbis.js';
+
+const PAGE_HEADER_SIZE = 27;
+const OPUS_SAMPLE_RATE = 48000;
+
+// The comment header can hold cover art; give up past this size
+const MAX_HEADER_BYTES = 16 * 1024 * 1024;
+
+// The last page is searched for in this many bytes at the end of the file
+const TAIL_SIZE = 64 * 1024;
+
+/**
+ * Read tags and duration from an Ogg Vorbis or Opus file without decoding audio
+ * @param {Blob} file
+ * @returns {Promise<Object|null>} Tags, or null if the stream is not Vorbis or Opus
+ */
+export async function readOggTags(file) {
+    const headers = await readHeaderPackets(file);
+    if (!headers) return null;
+
+    const { serial, packets } = headers;
+    const [identification, comment] = packets;
+    let codec;
+    let commentData;
+
+    if (readAscii(identification, 0, 7) === '\x01vorbis' && readAscii(comment, 0, 7) === '\x03vorbis') {
+        codec = {
+            sampleRate: readUintLE(identification, 12, 4),
+            preSkip: 0,
+        };
+        commentData = comment.subarray(7);
+    } else if (readAscii(identification, 0, 8) === 'OpusHead' && readAscii(comment, 0, 8) === 'OpusTags') {
+        // Opus granule positions always count 48 kHz samples
+        codec = {
+            sampleRate: OPUS_SAMPLE_RATE,
+            preSkip: readUintLE(identification, 10, 2),
+        };
+        commentData = comment.subarray(8);
+    } else {
+        return null;
+    }
+
+    const tags = commentsToTags(parseVorbisComment(commentData));
+
+    const granule = await readLastGranule(file, serial);
+    if (granule !== null && codec.sampleRate > 0) {
+        tags.duration = Math.max(0, granule - codec.preSkip) / codec.sampleRate;
+    }
+
+    return tags;
+}
+
+/**
+ * Read the identification and comment packets of the first logical stream
+ * @param {Blob} file
+ * @returns {Promise<{serial: number, packets: Array<Uint8Array>}|null>}
+ */
+async function readHeaderPackets(file) {
+    const packets = [];
+    let pending = [];
+    let serial = null;
+    let offset = 0;
+
+    while (packets.length < 2 && offset < Math.min(file.size, MAX_HEADER_BYTES)) {
+        const header = await readBytes(file, offset, offset + PAGE_HEADER_SIZE);
+        if (header.length < PAGE_HEADER_SIZE || readAscii(header, 0, 4) !== 'OggS') return null;
+
+        const pageSerial = readUintLE(header, 14, 4);
+        const segmentCount = header[26];
+        const segments = await readBytes(file, offset + PAGE_HEADER_SIZE, offset + PAGE_HEADER_SIZE + segmentCount);
+        const bodySize = segments.reduce((sum, size) => sum + size, 0);
+        const bodyStart = offset + PAGE_HEADER_SIZE + segmentCount;
+        offset = bodyStart + bodySize;
+
+        // Skip pages of other multiplexed streams
+        serial ??= pageSerial;
+        if (pageSerial !== serial) continue;
+
+        const body = await readBytes(file, bodyStart, offset);
+        let position = 0;
+
+        // A segment shorter than 255 bytes ends a packet
+        for (const size of segments) {
+            pending.push(body.subarray(position, position + size));
+            position += size;
+
+            if (size < 255) {
+                packets.push(concatBytes(pending));
+                pending = [];
+                if (packets.length === 2) break;
+            }
+        }
+    }
+
+    return packets.length === 2 ? { serial, packets } : null;
+}
+
+/**
+ * Find the granule position of the stream's last page
+ * @param {Blob} file
+ * @param {number} serial
+ * @returns {Promise<number|null>}
+ */
+async function readLastGranule(file, serial) {
+    const start = Math.max(0, file.size - TAIL_SIZE);
+    const tail = await readBytes(file, start, file.size);
+
+    for (let i = tail.length - PAGE_HEADER_SIZE; i >= 0; i--) {
+        if (tail[i] !== 0x4f || readAscii(tail, i, 4) !== 'OggS') continue;
+        if (readUintLE(tail, i + 14, 4) !== serial) continue;
+
+        const low = readUintLE(tail, i + 6, 4);
+        const high = readUintLE(tail, i + 10, 4);
+
+        // -1 marks a page on which no packet ends
+        if (low === 0xffffffff && high === 0xffffffff) continue;
+
+        return high * 2 ** 32 + low;
+    }
+
+    return null;
+}
+
+/**
+ * Join byte arrays
+ * @param {Array<Uint8Array>} parts
+ * @returns {Uint8Array}
+ */
+function concatBytes(parts) {
+    const output = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let offset = 0;
+    for (const part of parts) {
+        output.set(part, offset);
+        offset += part.length;
+    }
+    return output;
+}
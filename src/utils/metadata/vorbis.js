@@ -0,0 +1,125 @@
+/**
+ * Vorbis comment and FLAC picture parsing, shared by the FLAC and Ogg readers
+ */
+
+import { readUintBE, readUintLE, decodeText, parseNumberPair } from './binary.js';
+
+/**
+ * Parse a Vorbis comment block (without any packet type prefix)
+ * @param {Uint8Array} bytes
+ * @returns {Map<string, Array<string>>} Values by upper-case field name
+ */
+export function parseVorbisComment(bytes) {
+    const comments = new Map();
+    let offset = readUintLE(bytes, 0, 4) + 4; // Skip the vendor string
+    const count = readUintLE(bytes, offset, 4);
+    offset += 4;
+
+    for (let i = 0; i < count && offset + 4 <= bytes.length; i++) {
+        const length = readUintLE(bytes, offset, 4);
+        const entry = decodeText(bytes.subarray(offset + 4, offset + 4 + length), 3);
+        offset += 4 + length;
+
+        const separator = entry.indexOf('=');
+        if (separator <= 0) continue;
+
+        const key = entry.slice(0, separator).toUpperCase();
+        if (!comments.has(key)) comments.set(key, []);
+        comments.get(key).push(entry.slice(separator + 1));
+    }
+
+    return comments;
+}
+
+/**
+ * Parse a FLAC PICTURE block (also used base64-encoded in Ogg comments)
+ * @param {Uint8Array} bytes
+ * @returns {{mime: string, type: number, data: Uint8Array}|null}
+ */
+export function parseFlacPicture(bytes) {
+    if (bytes.length < 32) return null;
+
+    const type = readUintBE(bytes, 0, 4);
+    const mimeLength = readUintBE(bytes, 4, 4);
+    const mime = decodeText(bytes.subarray(8, 8 + mimeLength), 0).toLowerCase();
+    let offset = 8 + mimeLength;
+
+    const descriptionLength = readUintBE(bytes, offset, 4);
+    offset += 4 + descriptionLength + 16; // Skip width, height, depth and colour count
+
+    const dataLength = readUintBE(bytes, offset, 4);
+    const data = bytes.subarray(offset + 4, offset + 4 + dataLength);
+
+    // "-->" means the block only links to an external image
+    if (data.length === 0 || mime === '-->') return null;
+
+    return { mime: mime || 'image/jpeg', type, data };
+}
+
+/**
+ * Decode a base64 string into bytes
+ * @param {string} value
+ * @returns {Uint8Array}
+ */
+function decodeBase64(value) {
+    const binary = atob(value.replace(/\s+/g, ''));
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+/**
+ * Read the cover from METADATA_BLOCK_PICTURE (or legacy COVERART) comments
+ * @param {Map<string, Array<string>>} comments
+ * @returns {{mime: string, type: number, data: Uint8Array}|null}
+ */
+function readCommentPicture(comments) {
+    try {
+        const pictures = (comments.get('METADATA_BLOCK_PICTURE') || [])
+            .map((value) => parseFlacPicture(decodeBase64(value)))
+            .filter(Boolean);
+        if (pictures.length > 0) {
+            return pictures.find((picture) => picture.type === 3) || pictures[0];
+        }
+
+        const legacy = comments.get('COVERART')?.[0];
+        if (legacy) {
+            const mime = comments.get('COVERARTMIME')?.[0] || 'image/jpeg';
+            return { mime, type: 3, data: decodeBase64(legacy) };
+        }
+    } catch (error) {
+        console.warn('Invalid embedded picture in Vorbis comment:', error);
+    }
+
+    return null;
+}
+
+/**
+ * Map Vorbis comments to the player's tag fields
+ * @param {Map<string, Array<string>>} comments
+ * @returns {Object}
+ */
+export function commentsToTags(comments) {
+    const text = (key) => (comments.get(key) || []).map((value) => value.trim()).filter(Boolean).join('/');
+
+    const track = parseNumberPair(text('TRACKNUMBER'));
+    const trackTotal = parseInt(text('TRACKTOTAL') || text('TOTALTRACKS'), 10);
+    const disc = parseNumberPair(text('DISCNUMBER'));
+    const year = parseInt(text('DATE') || text('YEAR'), 10);
+
+    return {
+        title: text('TITLE'),
+        artist: text('ARTIST'),
+        albumArtist: text('ALBUMARTIST') || text('ALBUM ARTIST'),
+        album: text('ALBUM'),
+        year: isNaN(year) ? null : year,
+        genre: text('GENRE'),
+        trackNumber: track.number,
+        trackTotal: isNaN(trackTotal) ? track.total : trackTotal,
+        discNumber: disc.number,
+        duration: null,
+        picture: readCommentPicture(comments),
+    };
+}
@@ -0,0 +1,44 @@
+/**
+ * WAV (RIFF) duration from the fmt and data chunks
+ */
+
+import { readBytes, readUintLE, readAscii } from './binary.js';
+
+// Stop after this many chunks in case the file is corrupt
+const MAX_CHUNKS = 64;
+
+/**
+ * Work out the duration of a WAV file from its headers
+ * @param {Blob} file
+ * @returns {Promise<number|null>} Duration in seconds
+ */
+export async function readWavDuration(file) {
+    const header = await readBytes(file, 0, 12);
+    if (readAscii(header, 0, 4) !== 'RIFF' || readAscii(header, 8, 4) !== 'WAVE') return null;
+
+    let offset = 12;
+    let byteRate = 0;
+
+    for (let i = 0; i < MAX_CHUNKS && offset + 8 <= file.size; i++) {
+        const chunk = await readBytes(file, offset, offset + 20);
+        const id = readAscii(chunk, 0, 4);
+        const size = readUintLE(chunk, 4, 4);
+
+        if (id === 'fmt ') {
+            // Format tag, channels and sample rate precede the byte rate
+            byteRate = readUintLE(chunk, 16, 4);
+        } else if (id === 'data') {
+            if (!byteRate) return null;
+
+            // Streaming writers leave the size at 0 or 0xFFFFFFFF
+            const available = file.size - (offset + 8);
+            const dataSize = size === 0 || size === 0xffffffff ? available : Math.min(size, available);
+            return dataSize / byteRate;
+        }
+
+        // Chunks are padded to an even size
+        offset += 8 + size + (size % 2);
+    }
+
+    return null;
+}
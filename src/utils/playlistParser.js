@@ -0,0 +1,347 @@
+/**
+ * M3U/M3U8, PLS and XSPF playlist parsing and writing for the LAS Player
+ *
+ * Entries are { location, title, creator, album, duration, trackNumber, image,
+ * annotation } where location is a remote URL or a path as written in the
+ * playlist file and duration is in seconds. Unknown fields are '' or null.
+ */
+
+import { getFileExtension } from './helpers.js';
+
+// "-1 tvg-id="x" group-title="a, b",Title" - attributes may contain commas
+const EXTINF_PATTERN = /^#EXTINF:\s*(-?\d+(?:\.\d+)?)((?:\s+[\w-]+="[^"]*")*)[^,]*,(.*)$/i;
+const PLS_LINE_PATTERN = /^(file|title|length)(\d+)\s*=(.*)$/i;
+const URL_SCHEME_PATTERN = /^[a-z][a-z0-9+.-]*:\/\//i;
+
+const XSPF_NAMESPACE = 'http://xspf.org/ns/0/';
+
+/**
+ * @param {Object} fields - Known entry fields
+ * @returns {Object} Entry with every field present
+ */
+function createEntry(fields) {
+    return {
+        location: '',
+        title: '',
+        creator: '',
+        album: '',
+        duration: null,
+        trackNumber: null,
+        image: '',
+        annotation: '',
+        ...fields,
+    };
+}
+
+/**
+ * Split an M3U/PLS "Artist - Title" display title
+ * @param {string} text
+ * @returns {{creator: string, title: string}}
+ */
+function splitDisplayTitle(text) {
+    const match = text.match(/^(.+?)\s+-\s+(.+)$/);
+    return match ? { creator: match[1].trim(), title: match[2].trim() } : { creator: '', title: text };
+}
+
+/**
+ * @param {Object} entry
+ * @returns {string} "Artist - Title" for M3U/PLS, on a single line
+ */
+function formatDisplayTitle({ creator, title }) {
+    return (creator ? `${creator} - ${title}` : title).replace(/\n/g, ' ');
+}
+
+/**
+ * Normalize raw playlist text: strip BOM and unify line endings
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizePlaylistText(text) {
+    return String(text).replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+}
+
+/**
+ * @param {string} value
+ * @returns {number|null} Positive duration in seconds, or null if unknown
+ */
+function parseDuration(value) {
+    const duration = parseFloat(value);
+    return duration > 0 ? duration : null;
+}
+
+/**
+ * Parse an M3U or extended M3U (#EXTM3U) playlist
+ * @param {string} text
+ * @returns {Array<{location: string, title: string, duration: number|null}>}
+ */
+export function parseM3u(text) {
+    const entries = [];
+    let info = null;
+
+    for (const rawLine of normalizePlaylistText(text).split('\n')) {
+        const line = rawLine.trim();
+        if (!line) continue;
+
+        if (line.startsWith('#')) {
+            const match = EXTINF_PATTERN.exec(line);
+            if (match) {
+                info = { duration: parseDuration(match[1]), title: match[3].trim() };
+            }
+            continue;
+        }
+
+        entries.push(
+            createEntry({
+                location: line,
+                ...splitDisplayTitle(info?.title || ''),
+                duration: info?.duration ?? null,
+            })
+        );
+        info = null;
+    }
+
+    return entries;
+}
+
+/**
+ * Parse a PLS playlist ([playlist] with FileN/TitleN/LengthN keys)
+ * @param {string} text
+ * @returns {Array<{location: string, title: string, duration: number|null}>}
+ */
+export function parsePls(text) {
+    const byNumber = new Map();
+
+    for (const rawLine of normalizePlaylistText(text).split('\n')) {
+        const match = PLS_LINE_PATTERN.exec(rawLine.trim());
+        if (!match) continue;
+
+        const [, key, number, value] = match;
+        const index = parseInt(number, 10);
+        if (!byNumber.has(index)) {
+            byNumber.set(index, createEntry({}));
+        }
+
+        const entry = byNumber.get(index);
+        switch (key.toLowerCase()) {
+            case 'file':
+                entry.location = value.trim();
+                break;
+            case 'title':
+                Object.assign(entry, splitDisplayTitle(value.trim()));
+                break;
+            case 'length':
+                entry.duration = parseDuration(value);
+                break;
+        }
+    }
+
+    return [...byNumber.entries()]
+        .sort(([a], [b]) => a - b)
+        .map(([, entry]) => entry)
+        .filter((entry) => entry.location);
+}
+
+/**
+ * Parse an XSPF playlist. Relative locations are percent-decoded so they can
+ * be matched like M3U paths.
+ * @param {string} text
+ * @returns {Array<Object>}
+ */
+export function parseXspf(text) {
+    const doc = new DOMParser().parseFromString(normalizePlaylistText(text), 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length > 0) {
+        throw new Error('Invalid XSPF document');
+    }
+
+    const entries = [];
+
+    for (const trackElement of doc.getElementsByTagNameNS('*', 'track')) {
+        const read = (name) => {
+            const child = [...trackElement.children].find((element) => element.localName === name);
+            return child?.textContent.trim() || '';
+        };
+
+        let location = read('location');
+        if (!location) continue;
+
+        if (!URL_SCHEME_PATTERN.test(location)) {
+            try {
+                location = decodeURIComponent(location);
+            } catch {
+                // Leave malformed escapes as they are
+            }
+        }
+
+        // XSPF durations are in milliseconds
+        const duration = parseDuration(read('duration'));
+
+        entries.push(
+            createEntry({
+                location,
+                title: read('title'),
+                creator: read('creator'),
+                album: read('album'),
+                duration: duration && duration / 1000,
+                trackNumber: parseInt(read('trackNum'), 10) || null,
+                image: read('image'),
+                annotation: read('annotation'),
+            })
+        );
+    }
+
+    return entries;
+}
+
+/**
+ * Parse a playlist, picking the format from the extension or contents
+ * @param {string} text
+ * @param {string} filename
+ * @returns {Array<Object>}
+ */
+export function parsePlaylist(text, filename = '') {
+    const extension = getFileExtension(filename);
+    const normalized = normalizePlaylistText(text);
+
+    if (extension === 'xspf' || /^\s*<\?xml|^\s*<playlist/i.test(normalized)) {
+        return parseXspf(normalized);
+    }
+
+    if (extension === 'pls' || /^\s*\[playlist\]/i.test(normalized)) {
+        return parsePls(normalized);
+    }
+
+    return parseM3u(normalized);
+}
+
+/**
+ * Write an extended M3U playlist (UTF-8, as .m3u8)
+ * @param {Array<Object>} entries
+ * @returns {string}
+ */
+export function serializeM3u(entries) {
+    const lines = ['#EXTM3U'];
+
+    for (const entry of entries) {
+        lines.push(`#EXTINF:${entry.duration ? Math.round(entry.duration) : -1},${formatDisplayTitle(entry)}`);
+        lines.push(entry.location);
+    }
+
+    return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Write a PLS (version 2) playlist
+ * @param {Array<Object>} entries
+ * @returns {string}
+ */
+export function serializePls(entries) {
+    const lines = ['[playlist]'];
+
+    entries.forEach((entry, index) => {
+        const number = index + 1;
+        lines.push(`File${number}=${entry.location}`);
+        if (entry.title) lines.push(`Title${number}=${formatDisplayTitle(entry)}`);
+        lines.push(`Length${number}=${entry.duration ? Math.round(entry.duration) : -1}`);
+    });
+
+    lines.push(`NumberOfEntries=${entries.length}`, 'Version=2');
+
+    return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Escape text for XML element content
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeXml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Write an XSPF (version 1) playlist. Local paths become relative URIs.
+ * @param {Array<Object>} entries
+ * @returns {string}
+ */
+export function serializeXspf(entries) {
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<playlist version="1" xmlns="${XSPF_NAMESPACE}">`,
+        '  <trackList>',
+    ];
+
+    for (const entry of entries) {
+        const location = URL_SCHEME_PATTERN.test(entry.location)
+            ? entry.location
+            : entry.location.split('/').map(encodeURIComponent).join('/');
+
+        // In the order the XSPF spec lists them
+        const fields = [
+            ['location', location],
+            ['title', entry.title],
+            ['creator', entry.creator],
+            ['annotation', entry.annotation],
+            ['image', entry.image],
+            ['album', entry.album],
+            ['trackNum', entry.trackNumber],
+            ['duration', entry.duration ? Math.round(entry.duration * 1000) : null],
+        ];
+
+        lines.push('    <track>');
+        for (const [name, value] of fields) {
+            if (value) lines.push(`      <${name}>${escapeXml(value)}</${name}>`);
+        }
+        lines.push('    </track>');
+    }
+
+    lines.push('  </trackList>', '</playlist>');
+
+    return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Check whether a playlist location is a remote URL rather than a file path
+ * @param {string} location
+ * @returns {boolean}
+ */
+export function isRemoteLocation(location) {
+    return URL_SCHEME_PATTERN.test(location) && !/^file:/i.test(location);
+}
+
+/**
+ * Resolve a local playlist location to a "/"-separated path relative to the
+ * loaded folder. Absolute paths (C:\Music\a.mp3, /home/a.mp3, file:///...)
+ * are kept whole and can only be matched by their trailing segments.
+ * @param {string} location - Path as written in the playlist
+ * @param {string} baseDir - Directory of the playlist file ('' for the root)
+ * @returns {string}
+ */
+export function resolvePlaylistPath(location, baseDir = '') {
+    let path = location;
+
+    if (/^file:/i.test(path)) {
+        path = path.replace(/^file:\/*(localhost\/)?/i, '/');
+        try {
+            path = decodeURIComponent(path);
+        } catch {
+            // Leave malformed escapes as they are
+        }
+    }
+
+    path = path.replace(/\\/g, '/');
+
+    // "/C:/Music" from file URIs and "C:/Music" from Windows playlists
+    const absolute = path.startsWith('/') || /^[a-z]:\//i.test(path);
+    const segments = absolute ? [] : baseDir.split('/').filter(Boolean);
+
+    for (const segment of path.split('/')) {
+        if (!segment || segment === '.') continue;
+        if (segment === '..') {
+            segments.pop();
+        } else {
+            segments.push(segment);
+        }
+    }
+
+    return segments.join('/');
+}
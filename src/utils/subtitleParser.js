@@ -0,0 +1,305 @@
+/**
+ * Subtitle parsing and conversion utilities for the LAS Player
+ */
+
+import { generateId } from './helpers.js';
+import { PLAYER_CONFIG, TEXT_TRACK_KIND } from './constants.js';
+
+const TIMESTAMP_PATTERN = /^(?:(\d+):)?(\d{1,2}):(\d{1,2})(?:[,.](\d{1,3}))?$/;
+const SRT_TIMING_PATTERN = /^\s*(\S+)\s*-->\s*(\S+)/;
+const SRT_ALLOWED_TAGS = ['i', 'b', 'u'];
+
+/**
+ * Parse a subtitle timestamp (HH:MM:SS,mmm / HH:MM:SS.mmm / MM:SS.mmm)
+ * @param {string} value - Timestamp string
+ * @returns {number} Time in seconds, or NaN if invalid
+ */
+export function parseTimestamp(value) {
+    const match = TIMESTAMP_PATTERN.exec(String(value).trim());
+    if (!match) return NaN;
+
+    const [, hours = '0', minutes, seconds, fraction = '0'] = match;
+    const milliseconds = parseInt(fraction.padEnd(3, '0'), 10);
+
+    return (
+        parseInt(hours, 10) * 3600 +
+        parseInt(minutes, 10) * 60 +
+        parseInt(seconds, 10) +
+        milliseconds / 1000
+    );
+}
+
+/**
+ * Format seconds as a WebVTT timestamp (HH:MM:SS.mmm)
+ * @param {number} seconds - Time in seconds
+ * @returns {string} WebVTT timestamp
+ */
+export function formatVttTimestamp(seconds) {
+    const totalMs = Math.max(0, Math.round(seconds * 1000));
+    const hours = Math.floor(totalMs / 3600000);
+    const minutes = Math.floor((totalMs % 3600000) / 60000);
+    const secs = Math.floor((totalMs % 60000) / 1000);
+    const ms = totalMs % 1000;
+
+    return (
+        `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:` +
+        `${String(secs).padStart(2, '0')}.${String(ms).padStart(3, '0')}`
+    );
+}
+
+/**
+ * Normalize raw subtitle text: strip BOM and unify line endings
+ * @param {string} text - Raw file contents
+ * @returns {string} Normalized text
+ */
+export function normalizeSubtitleText(text) {
+    return String(text).replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+}
+
+/**
+ * Escape characters that have a special meaning in WebVTT cue text
+ * @param {string} text - Plain text
+ * @returns {string} Escaped text
+ */
+export function escapeVttText(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Undo escapeVttText
+ * @param {string} text - WebVTT cue text
+ * @returns {string} Plain text
+ */
+export function unescapeVttText(text) {
+    return text.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+}
+
+/**
+ * Convert SRT cue markup to WebVTT cue markup.
+ * Keeps <i>, <b> and <u>, drops <font> and other tags (keeping their text)
+ * and removes ASS-style {\...} override blocks that some SRT files carry.
+ * @param {string} text - SRT cue text
+ * @returns {string} WebVTT cue text
+ */
+export function convertSrtMarkup(text) {
+    const stripped = text.replace(/\{\\[^}]*\}/g, '');
+    const tagPattern = /<\s*(\/?)\s*([a-z]+)[^>]*>/gi;
+    let result = '';
+    let lastIndex = 0;
+    let match;
+
+    while ((match = tagPattern.exec(stripped)) !== null) {
+        result += escapeVttText(stripped.slice(lastIndex, match.index));
+        lastIndex = tagPattern.lastIndex;
+
+        const [, closing, tagName] = match;
+        const tag = tagName.toLowerCase();
+        if (SRT_ALLOWED_TAGS.includes(tag)) {
+            result += `<${closing}${tag}>`;
+        }
+    }
+
+    result += escapeVttText(stripped.slice(lastIndex));
+    return result;
+}
+
+/**
+ * Parse SRT (SubRip) subtitle text into cues
+ * @param {string} text - Raw SRT file contents
+ * @returns {Array<{start: number, end: number, text: string}>} Parsed cues
+ * @throws {Error} If the file contains no valid cues
+ */
+export function parseSrt(text) {
+    const blocks = normalizeSubtitleText(text)
+        .split(/\n[ \t]*\n/)
+        .map((block) => block.trim())
+        .filter(Boolean);
+
+    const cues = [];
+    let invalidBlocks = 0;
+
+    for (const block of blocks) {
+        const lines = block.split('\n');
+        const timingIndex = lines.findIndex((line) => line.includes('-->'));
+
+        // The timing line is either the first line or follows the cue number
+        if (timingIndex < 0 || timingIndex > 1) {
+            invalidBlocks++;
+            continue;
+        }
+
+        const timing = SRT_TIMING_PATTERN.exec(lines[timingIndex]);
+        const start = timing ? parseTimestamp(timing[1]) : NaN;
+        const end = timing ? parseTimestamp(timing[2]) : NaN;
+
+        if (isNaN(start) || isNaN(end) || end < start) {
+            invalidBlocks++;
+            continue;
+        }
+
+        const cueText = lines
+            .slice(timingIndex + 1)
+            .map((line) => convertSrtMarkup(line).trim())
+            .filter(Boolean)
+            .join('\n');
+
+        if (cueText) {
+            cues.push({ start, end, text: cueText });
+        }
+    }
+
+    if (cues.length === 0) {
+        throw new Error(
+            invalidBlocks > 0
+                ? `No valid SRT cues found (${invalidBlocks} malformed block${invalidBlocks === 1 ? '' : 's'})`
+                : 'Subtitle file is empty'
+        );
+    }
+
+    if (invalidBlocks > 0) {
+        console.warn(`Skipped ${invalidBlocks} malformed SRT block(s)`);
+    }
+
+    return cues;
+}
+
+/**
+ * Parse the cues of a WebVTT document; cue text is kept as written
+ * @param {string} text - Raw WebVTT file contents
+ * @returns {Array<{start: number, end: number, text: string}>} Parsed cues
+ * @throws {Error} If the file contains no cues
+ */
+export function parseVtt(text) {
+    const cues = [];
+
+    for (const block of normalizeSubtitleText(text).split(/\n[ \t]*\n/)) {
+        const lines = block.trim().split('\n');
+        const timingIndex = lines.findIndex((line) => line.includes('-->'));
+
+        // The header and NOTE / STYLE / REGION blocks have no timing line
+        if (timingIndex < 0) continue;
+
+        const timing = SRT_TIMING_PATTERN.exec(lines[timingIndex]);
+        const start = timing ? parseTimestamp(timing[1]) : NaN;
+        const end = timing ? parseTimestamp(timing[2]) : NaN;
+
+        if (!isNaN(start) && !isNaN(end)) {
+            cues.push({ start, end, text: lines.slice(timingIndex + 1).join('\n').trim() });
+        }
+    }
+
+    if (cues.length === 0) {
+        throw new Error('No WebVTT cues found');
+    }
+
+    return cues;
+}
+
+/**
+ * Whether a file name follows the `movie.chapters.vtt` convention
+ * @param {string} filename
+ * @returns {boolean}
+ */
+export function isChapterFilename(filename) {
+    return /\.chapters\.vtt$/i.test(filename);
+}
+
+/**
+ * Guess whether WebVTT cues are chapters rather than subtitles: one line of
+ * plain text each, in order without overlapping, and minutes rather than
+ * seconds long on average
+ * @param {Array<{start: number, end: number, text: string}>} cues
+ * @returns {boolean}
+ */
+export function looksLikeChapters(cues) {
+    if (cues.length === 0) return false;
+
+    const isTitle = ({ text }) => text && !text.includes('\n') && !text.includes('<');
+    const inOrder = cues.every((cue, index) => index === 0 || cue.start >= cues[index - 1].end);
+    const averageLength = cues.reduce((total, { start, end }) => total + (end - start), 0) / cues.length;
+
+    return cues.every(isTitle) && inOrder && averageLength >= PLAYER_CONFIG.CHAPTER_MIN_AVERAGE_LENGTH;
+}
+
+/**
+ * Serialize cues into a WebVTT document
+ * @param {Array<{start: number, end: number, text: string}>} cues - Cues to serialize
+ * @returns {string} WebVTT file contents
+ */
+export function cuesToVtt(cues) {
+    const body = cues
+        .map(
+            (cue, index) =>
+                `${index + 1}\n${formatVttTimestamp(cue.start)} --> ${formatVttTimestamp(cue.end)}\n${cue.text}`
+        )
+        .join('\n\n');
+
+    return `WEBVTT\n\n${body}\n`;
+}
+
+/**
+ * Convert SRT subtitle text to WebVTT
+ * @param {string} text - Raw SRT file contents
+ * @returns {string} WebVTT file contents
+ * @throws {Error} If the file contains no valid cues
+ */
+export function srtToVtt(text) {
+    return cuesToVtt(parseSrt(text));
+}
+
+/**
+ * Get a display name for a BCP 47 language code
+ * @param {string} code - Language code (e.g. "en", "pt-BR")
+ * @returns {string|null} Language name, or null if the code is not a known language
+ */
+export function getLanguageName(code) {
+    if (!code || typeof Intl === 'undefined' || !Intl.DisplayNames) return null;
+
+    try {
+        const names = new Intl.DisplayNames(['en'], { type: 'language', fallback: 'none' });
+        return names.of(code) || null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Split a subtitle filename into its base name and optional language suffix
+ * (e.g. "movie.en.srt" -> { basename: "movie", language: "en" })
+ * @param {string} filename - Subtitle filename
+ * @returns {{basename: string, language: string|null}}
+ */
+export function parseSubtitleFilename(filename) {
+    const withoutExtension = filename.replace(/\.[^.]+$/, '');
+    const match = /^(.+)\.([a-z]{2,3}(?:[-_][a-z0-9]{2,8})?)$/i.exec(withoutExtension);
+
+    if (match) {
+        const language = match[2].replace('_', '-');
+        if (getLanguageName(language)) {
+            return { basename: match[1], language };
+        }
+    }
+
+    return { basename: withoutExtension, language: null };
+}
+
+/**
+ * Create a subtitle entry as stored in a playlist track's `subtitles` list.
+ * Chapter files travel the same way, with `kind` set to chapters.
+ * @param {Object} source - { file?, url?, filename, label?, language?, kind? }
+ * @returns {{id: string, file: File|null, url: string|null, filename: string, language: string|null, label: string, kind: string}}
+ */
+export function createSubtitleEntry({ file = null, url = null, filename, label, language, kind }) {
+    const parsed = parseSubtitleFilename(filename);
+    const lang = language || parsed.language;
+
+    return {
+        id: generateId(),
+        file,
+        url,
+        filename,
+        language: lang,
+        label: label || getLanguageName(lang) || parsed.basename,
+        kind: kind || (isChapterFilename(filename) ? TEXT_TRACK_KIND.CHAPTERS : TEXT_TRACK_KIND.SUBTITLES),
+    };
+}